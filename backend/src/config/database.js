@@ -86,6 +86,288 @@ export const createTables = async () => {
       )
     `,
     
+    // Category taxonomy (tree via parent_id, localized names keyed by locale)
+    `
+      CREATE TABLE IF NOT EXISTS categories (
+        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+        parent_id UUID REFERENCES categories(id) ON DELETE RESTRICT,
+        slug VARCHAR(120) UNIQUE NOT NULL,
+        name JSONB NOT NULL DEFAULT '{}',
+        position INTEGER DEFAULT 0,
+        is_active BOOLEAN DEFAULT true,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `,
+    
+    // Maps scraped/free-text category labels onto the taxonomy ('*' applies to every source)
+    `
+      CREATE TABLE IF NOT EXISTS category_mappings (
+        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+        source VARCHAR(50) NOT NULL DEFAULT '*',
+        source_category VARCHAR(255) NOT NULL,
+        category_id UUID REFERENCES categories(id) ON DELETE CASCADE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        UNIQUE (source, source_category)
+      )
+    `,
+    `
+      ALTER TABLE products
+        ADD COLUMN IF NOT EXISTS category_id UUID REFERENCES categories(id) ON DELETE SET NULL
+    `,
+    `CREATE INDEX IF NOT EXISTS products_category_id_idx ON products (category_id)`,
+    `
+      INSERT INTO categories (slug, name, position) VALUES
+        ('electronics', '{"es": "Electrónica", "en": "Electronics"}', 1),
+        ('clothing', '{"es": "Ropa", "en": "Clothing"}', 2),
+        ('home', '{"es": "Hogar", "en": "Home"}', 3),
+        ('sports', '{"es": "Deportes", "en": "Sports"}', 4),
+        ('beauty', '{"es": "Belleza", "en": "Beauty"}', 5),
+        ('general', '{"es": "General", "en": "General"}', 6)
+      ON CONFLICT (slug) DO NOTHING
+    `,
+    `
+      INSERT INTO category_mappings (source, source_category, category_id)
+      SELECT '*', m.source_category, c.id
+      FROM (VALUES
+        ('electronics', 'electronics'), ('electrónicos', 'electronics'), ('electronicos', 'electronics'),
+        ('electrónica', 'electronics'), ('gadgets', 'electronics'),
+        ('clothing', 'clothing'), ('ropa', 'clothing'), ('fashion', 'clothing'),
+        ('home', 'home'), ('hogar', 'home'), ('home decor', 'home'),
+        ('sports', 'sports'), ('deportes', 'sports'), ('sport', 'sports'), ('fitness', 'sports'),
+        ('beauty', 'beauty'), ('belleza', 'beauty'), ('cosmetics', 'beauty'),
+        ('general', 'general'), ('trending', 'general')
+      ) AS m(source_category, slug)
+      JOIN categories c ON c.slug = m.slug
+      ON CONFLICT (source, source_category) DO NOTHING
+    `,
+    `
+      UPDATE products p
+      SET category_id = m.category_id
+      FROM category_mappings m
+      WHERE p.category_id IS NULL
+        AND m.source = '*'
+        AND lower(p.category) = m.source_category
+    `,
+    
+    // Product variants table (size/color combinations with their own SKU, price and stock)
+    `
+      CREATE TABLE IF NOT EXISTS product_variants (
+        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+        product_id UUID REFERENCES products(id) ON DELETE CASCADE,
+        sku VARCHAR(100) UNIQUE NOT NULL,
+        title VARCHAR(255),
+        options JSONB NOT NULL DEFAULT '{}',
+        price DECIMAL(10,2) NOT NULL,
+        original_price DECIMAL(10,2),
+        stock_quantity INTEGER DEFAULT 0,
+        image_url TEXT,
+        position INTEGER DEFAULT 0,
+        is_active BOOLEAN DEFAULT true,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `,
+    
+    // Full-text search: accent-insensitive Spanish/English stemming plus trigram typo tolerance
+    `CREATE EXTENSION IF NOT EXISTS unaccent`,
+    `CREATE EXTENSION IF NOT EXISTS pg_trgm`,
+    `
+      ALTER TABLE products
+        ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+    `,
+    `
+      CREATE OR REPLACE FUNCTION products_search_vector_update() RETURNS TRIGGER AS $$
+      BEGIN
+        NEW.search_vector :=
+          setweight(to_tsvector('spanish', unaccent(coalesce(NEW.title, ''))), 'A') ||
+          setweight(to_tsvector('english', unaccent(coalesce(NEW.title, ''))), 'A') ||
+          setweight(to_tsvector('spanish', unaccent(coalesce(NEW.description, ''))), 'B') ||
+          setweight(to_tsvector('english', unaccent(coalesce(NEW.description, ''))), 'B') ||
+          setweight(to_tsvector('simple', unaccent(coalesce(NEW.category, '') || ' ' || coalesce(NEW.supplier, ''))), 'C');
+        RETURN NEW;
+      END
+      $$ LANGUAGE plpgsql
+    `,
+    `DROP TRIGGER IF EXISTS products_search_vector_trigger ON products`,
+    `
+      CREATE TRIGGER products_search_vector_trigger
+        BEFORE INSERT OR UPDATE OF title, description, category, supplier ON products
+        FOR EACH ROW EXECUTE FUNCTION products_search_vector_update()
+    `,
+    `UPDATE products SET title = title WHERE search_vector IS NULL`,
+    `CREATE INDEX IF NOT EXISTS products_search_vector_idx ON products USING GIN (search_vector)`,
+    // unaccent() is only STABLE (it depends on search_path), so expression
+    // indexes need this wrapper pinned to the extension's dictionary
+    `
+      CREATE OR REPLACE FUNCTION immutable_unaccent(value TEXT) RETURNS TEXT AS $$
+        SELECT public.unaccent('public.unaccent'::REGDICTIONARY, value)
+      $$ LANGUAGE sql IMMUTABLE PARALLEL SAFE STRICT
+    `,
+    `DROP INDEX IF EXISTS products_title_trgm_idx`,
+    `CREATE INDEX IF NOT EXISTS products_title_unaccent_trgm_idx ON products USING GIN (lower(immutable_unaccent(title)) gin_trgm_ops)`,
+    `DROP FUNCTION IF EXISTS search_products(TEXT, JSONB, INTEGER, INTEGER)`,
+    // sort_field (whitelisted by the API) orders the page instead of relevance,
+    // which stays as the tie-breaker; NULL keeps plain relevance order
+    `
+      CREATE OR REPLACE FUNCTION search_products(
+        search_query TEXT,
+        filters JSONB DEFAULT '{}',
+        result_limit INTEGER DEFAULT 12,
+        result_offset INTEGER DEFAULT 0,
+        sort_field TEXT DEFAULT NULL,
+        sort_ascending BOOLEAN DEFAULT false
+      ) RETURNS JSONB AS $$
+        WITH query AS (
+          SELECT
+            websearch_to_tsquery('spanish', unaccent(search_query)) ||
+              websearch_to_tsquery('english', unaccent(search_query)) AS tsq,
+            lower(immutable_unaccent(search_query)) AS normalized
+        ),
+        matches AS (
+          SELECT
+            p.id,
+            p.category_id,
+            p.category,
+            p.supplier,
+            p.stock_quantity,
+            CASE
+              WHEN p.price < 25 THEN 'budget'
+              WHEN p.price < 100 THEN 'mid-range'
+              WHEN p.price < 500 THEN 'premium'
+              ELSE 'luxury'
+            END AS price_range,
+            ts_rank_cd(p.search_vector, query.tsq) +
+              word_similarity(query.normalized, lower(immutable_unaccent(p.title))) AS rank,
+            nullif(to_jsonb(p) -> sort_field, 'null'::JSONB) AS sort_value
+          FROM products p, query
+          WHERE p.is_active = true
+            AND (p.search_vector @@ query.tsq OR query.normalized <% lower(immutable_unaccent(p.title)))
+            AND (filters->>'min_price' IS NULL OR p.price >= (filters->>'min_price')::NUMERIC)
+            AND (filters->>'max_price' IS NULL OR p.price <= (filters->>'max_price')::NUMERIC)
+            AND (filters->>'min_score' IS NULL OR p.score >= (filters->>'min_score')::NUMERIC)
+            AND (filters->>'max_score' IS NULL OR p.score <= (filters->>'max_score')::NUMERIC)
+            AND (filters->>'min_demand' IS NULL OR p.demand_score >= (filters->>'min_demand')::NUMERIC)
+            AND (filters->>'max_demand' IS NULL OR p.demand_score <= (filters->>'max_demand')::NUMERIC)
+            AND (filters->>'min_competition' IS NULL OR p.competition_score >= (filters->>'min_competition')::NUMERIC)
+            AND (filters->>'max_competition' IS NULL OR p.competition_score <= (filters->>'max_competition')::NUMERIC)
+            AND (filters->>'min_margin' IS NULL OR p.margin_percentage >= (filters->>'min_margin')::NUMERIC)
+            AND (filters->>'max_margin' IS NULL OR p.margin_percentage <= (filters->>'max_margin')::NUMERIC)
+            AND (filters->>'created_after' IS NULL OR p.created_at >= (filters->>'created_after')::TIMESTAMPTZ)
+            AND (filters->>'created_before' IS NULL OR p.created_at <= (filters->>'created_before')::TIMESTAMPTZ)
+        ),
+        -- Each facet is counted with every filter except its own applied
+        flagged AS (
+          SELECT
+            m.*,
+            (
+              (filters->'category_ids' IS NULL AND filters->'category_labels' IS NULL)
+              OR m.category_id IN (SELECT (jsonb_array_elements_text(filters->'category_ids'))::UUID)
+              OR m.category IN (SELECT jsonb_array_elements_text(filters->'category_labels'))
+            ) AS category_ok,
+            (filters->>'supplier' IS NULL OR m.supplier = filters->>'supplier') AS supplier_ok,
+            (filters->>'price_range' IS NULL OR m.price_range = filters->>'price_range') AS price_ok,
+            (NOT coalesce((filters->>'in_stock')::BOOLEAN, false) OR m.stock_quantity > 0) AS stock_ok
+          FROM matches m
+        )
+        SELECT jsonb_build_object(
+          'products', coalesce((
+            SELECT jsonb_agg((to_jsonb(p) - 'search_vector') || jsonb_build_object('search_rank', page.rank) ORDER BY page.position)
+            FROM (
+              SELECT id, rank, row_number() OVER (
+                ORDER BY
+                  CASE WHEN sort_ascending THEN sort_value END ASC NULLS LAST,
+                  CASE WHEN NOT sort_ascending THEN sort_value END DESC NULLS LAST,
+                  rank DESC, id
+              ) AS position
+              FROM flagged
+              WHERE category_ok AND supplier_ok AND price_ok AND stock_ok
+              ORDER BY position
+              LIMIT result_limit OFFSET result_offset
+            ) page
+            JOIN products p ON p.id = page.id
+          ), '[]'::JSONB),
+          'total', (SELECT count(*) FROM flagged WHERE category_ok AND supplier_ok AND price_ok AND stock_ok),
+          'facets', jsonb_build_object(
+            'category', (
+              SELECT coalesce(jsonb_object_agg(value, total), '{}'::JSONB)
+              FROM (
+                SELECT coalesce(c.slug, 'uncategorized') AS value, count(*) AS total
+                FROM flagged f LEFT JOIN categories c ON c.id = f.category_id
+                WHERE supplier_ok AND price_ok AND stock_ok GROUP BY 1
+              ) c
+            ),
+            'supplier', (
+              SELECT coalesce(jsonb_object_agg(value, total), '{}'::JSONB)
+              FROM (SELECT coalesce(supplier, 'unknown') AS value, count(*) AS total FROM flagged WHERE category_ok AND price_ok AND stock_ok GROUP BY 1) s
+            ),
+            'price_range', (
+              SELECT coalesce(jsonb_object_agg(value, total), '{}'::JSONB)
+              FROM (SELECT price_range AS value, count(*) AS total FROM flagged WHERE category_ok AND supplier_ok AND stock_ok GROUP BY 1) pr
+            ),
+            'in_stock', (
+              SELECT jsonb_build_object(
+                'true', count(*) FILTER (WHERE stock_quantity > 0),
+                'false', count(*) FILTER (WHERE stock_quantity <= 0)
+              )
+              FROM flagged WHERE category_ok AND supplier_ok AND price_ok
+            )
+          )
+        )
+      $$ LANGUAGE sql STABLE
+    `,
+    
+    // Product images table (ordered gallery with processed thumbnails per size/format)
+    `
+      CREATE TABLE IF NOT EXISTS product_images (
+        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+        product_id UUID REFERENCES products(id) ON DELETE CASCADE,
+        storage_key TEXT NOT NULL,
+        original_url TEXT NOT NULL,
+        variants JSONB NOT NULL DEFAULT '{}',
+        format VARCHAR(10),
+        width INTEGER,
+        height INTEGER,
+        alt_text VARCHAR(255),
+        position INTEGER DEFAULT 0,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `,
+    
+    // Catalog import jobs (file imports with their per-row result report)
+    `
+      CREATE TABLE IF NOT EXISTS import_jobs (
+        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+        filename VARCHAR(255),
+        format VARCHAR(10) NOT NULL,
+        dry_run BOOLEAN DEFAULT false,
+        status VARCHAR(50) DEFAULT 'processing',
+        summary JSONB,
+        results JSONB,
+        created_by UUID,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        completed_at TIMESTAMP WITH TIME ZONE
+      )
+    `,
+    `CREATE INDEX IF NOT EXISTS products_sku_idx ON products (sku)`,
+    
+    // Product revisions (audit trail of every create/update/delete with field-level diff)
+    `
+      CREATE TABLE IF NOT EXISTS product_revisions (
+        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+        product_id UUID REFERENCES products(id) ON DELETE CASCADE,
+        action VARCHAR(20) NOT NULL,
+        cause VARCHAR(50) NOT NULL,
+        actor_id UUID,
+        actor_email VARCHAR(255),
+        changes JSONB NOT NULL DEFAULT '{}',
+        snapshot JSONB NOT NULL,
+        metadata JSONB,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `,
+    `CREATE INDEX IF NOT EXISTS product_revisions_product_idx ON product_revisions (product_id, created_at DESC)`,
+    
     // Orders table
     `
       CREATE TABLE IF NOT EXISTS orders (
@@ -122,6 +404,1047 @@ export const createTables = async () => {
       )
     `,
     
+    // Variant support on existing products and order items
+    `
+      ALTER TABLE products
+        ADD COLUMN IF NOT EXISTS options JSONB DEFAULT '[]',
+        ADD COLUMN IF NOT EXISTS has_variants BOOLEAN DEFAULT false
+    `,
+    
+    // Trash bookkeeping for soft-deleted products (is_active = false)
+    `
+      ALTER TABLE products
+        ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS deleted_by UUID
+    `,
+
+    // SEO: unique slugs (generated from the title with accents transliterated) and meta fields
+    `
+      ALTER TABLE products
+        ADD COLUMN IF NOT EXISTS slug VARCHAR(120) UNIQUE,
+        ADD COLUMN IF NOT EXISTS meta_title VARCHAR(120),
+        ADD COLUMN IF NOT EXISTS meta_description VARCHAR(320)
+    `,
+    `
+      CREATE TABLE IF NOT EXISTS product_slug_redirects (
+        slug VARCHAR(120) PRIMARY KEY,
+        product_id UUID REFERENCES products(id) ON DELETE CASCADE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `,
+    // Slugs follow title changes unless set explicitly; the previous slug becomes a redirect
+    `
+      CREATE OR REPLACE FUNCTION products_slug_update() RETURNS TRIGGER AS $$
+      DECLARE
+        base TEXT;
+        candidate TEXT;
+      BEGIN
+        IF TG_OP = 'UPDATE' AND NEW.slug IS NOT DISTINCT FROM OLD.slug AND NEW.title IS DISTINCT FROM OLD.title THEN
+          NEW.slug := NULL;
+        END IF;
+
+        IF NEW.slug IS NULL OR NEW.slug = '' THEN
+          base := left(trim(both '-' from lower(regexp_replace(unaccent(coalesce(NEW.title, '')), '[^a-zA-Z0-9]+', '-', 'g'))), 100);
+          candidate := base;
+
+          IF candidate = ''
+            OR EXISTS (SELECT 1 FROM products WHERE slug = candidate AND id <> NEW.id)
+            OR EXISTS (SELECT 1 FROM product_slug_redirects WHERE slug = candidate AND product_id <> NEW.id) THEN
+            candidate := left(base, 91) || '-' || left(NEW.id::TEXT, 8);
+          END IF;
+
+          NEW.slug := trim(both '-' from candidate);
+        END IF;
+
+        IF TG_OP = 'UPDATE' AND OLD.slug IS NOT NULL AND NEW.slug IS DISTINCT FROM OLD.slug THEN
+          INSERT INTO product_slug_redirects (slug, product_id) VALUES (OLD.slug, NEW.id)
+          ON CONFLICT (slug) DO UPDATE SET product_id = EXCLUDED.product_id, created_at = NOW();
+
+          -- Only this product's own redirect: going back to an old slug must
+          -- not take one that now points at another product
+          DELETE FROM product_slug_redirects WHERE slug = NEW.slug AND product_id = NEW.id;
+        END IF;
+
+        RETURN NEW;
+      END
+      $$ LANGUAGE plpgsql
+    `,
+    `DROP TRIGGER IF EXISTS products_slug_trigger ON products`,
+    `
+      CREATE TRIGGER products_slug_trigger
+        BEFORE INSERT OR UPDATE OF title, slug ON products
+        FOR EACH ROW EXECUTE FUNCTION products_slug_update()
+    `,
+    `UPDATE products SET slug = NULL WHERE slug IS NULL`,
+
+    // Brand for the shopping feeds; feeds fall back to their configured default brand
+    `
+      ALTER TABLE products
+        ADD COLUMN IF NOT EXISTS brand VARCHAR(100)
+    `,
+
+    // Bundles: products made of other products. Their stock is derived from the
+    // components' stock and kept up to date by the triggers below
+    `
+      ALTER TABLE products
+        ADD COLUMN IF NOT EXISTS product_type VARCHAR(20) DEFAULT 'simple',
+        ADD COLUMN IF NOT EXISTS cost_price DECIMAL(10,2)
+    `,
+    `
+      CREATE TABLE IF NOT EXISTS product_bundle_items (
+        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+        bundle_id UUID REFERENCES products(id) ON DELETE CASCADE,
+        component_id UUID REFERENCES products(id) ON DELETE RESTRICT,
+        component_variant_id UUID REFERENCES product_variants(id) ON DELETE RESTRICT,
+        quantity INTEGER NOT NULL DEFAULT 1 CHECK (quantity > 0),
+        position INTEGER DEFAULT 0,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `,
+    `CREATE INDEX IF NOT EXISTS product_bundle_items_bundle_idx ON product_bundle_items (bundle_id)`,
+    `CREATE INDEX IF NOT EXISTS product_bundle_items_component_idx ON product_bundle_items (component_id)`,
+    // How many complete bundles the component stock allows; inactive components count as 0
+    `
+      CREATE OR REPLACE FUNCTION bundle_available_stock(bundle UUID) RETURNS INTEGER AS $$
+        SELECT COALESCE(MIN(
+          CASE
+            WHEN NOT p.is_active OR v.is_active = false THEN 0
+            ELSE FLOOR(COALESCE(v.stock_quantity, p.stock_quantity, 0)::NUMERIC / bi.quantity)
+          END
+        ), 0)::INTEGER
+        FROM product_bundle_items bi
+        JOIN products p ON p.id = bi.component_id
+        LEFT JOIN product_variants v ON v.id = bi.component_variant_id
+        WHERE bi.bundle_id = bundle
+      $$ LANGUAGE sql STABLE
+    `,
+    `
+      CREATE OR REPLACE FUNCTION products_bundle_stock() RETURNS TRIGGER AS $$
+      BEGIN
+        IF NEW.product_type = 'bundle' THEN
+          NEW.stock_quantity := bundle_available_stock(NEW.id);
+        END IF;
+        RETURN NEW;
+      END
+      $$ LANGUAGE plpgsql
+    `,
+    `DROP TRIGGER IF EXISTS products_bundle_stock_trigger ON products`,
+    `
+      CREATE TRIGGER products_bundle_stock_trigger
+        BEFORE INSERT OR UPDATE ON products
+        FOR EACH ROW EXECUTE FUNCTION products_bundle_stock()
+    `,
+    // Touching a bundle row makes products_bundle_stock recalculate it
+    `
+      CREATE OR REPLACE FUNCTION refresh_bundle_stock() RETURNS TRIGGER AS $$
+      BEGIN
+        IF TG_TABLE_NAME = 'products' THEN
+          UPDATE products SET stock_quantity = 0
+          WHERE product_type = 'bundle'
+            AND id IN (SELECT bundle_id FROM product_bundle_items WHERE component_id = NEW.id);
+        ELSIF TG_TABLE_NAME = 'product_variants' THEN
+          UPDATE products SET stock_quantity = 0
+          WHERE product_type = 'bundle'
+            AND id IN (SELECT bundle_id FROM product_bundle_items WHERE component_variant_id = NEW.id);
+        ELSIF TG_OP = 'DELETE' THEN
+          UPDATE products SET stock_quantity = 0
+          WHERE product_type = 'bundle' AND id = OLD.bundle_id;
+        ELSE
+          UPDATE products SET stock_quantity = 0
+          WHERE product_type = 'bundle' AND id = NEW.bundle_id;
+        END IF;
+        RETURN NULL;
+      END
+      $$ LANGUAGE plpgsql
+    `,
+    `DROP TRIGGER IF EXISTS products_refresh_bundles_trigger ON products`,
+    `
+      CREATE TRIGGER products_refresh_bundles_trigger
+        AFTER UPDATE OF stock_quantity, is_active ON products
+        FOR EACH ROW
+        WHEN (NEW.product_type IS DISTINCT FROM 'bundle')
+        EXECUTE FUNCTION refresh_bundle_stock()
+    `,
+    `DROP TRIGGER IF EXISTS product_variants_refresh_bundles_trigger ON product_variants`,
+    `
+      CREATE TRIGGER product_variants_refresh_bundles_trigger
+        AFTER UPDATE OF stock_quantity, is_active ON product_variants
+        FOR EACH ROW EXECUTE FUNCTION refresh_bundle_stock()
+    `,
+    `DROP TRIGGER IF EXISTS product_bundle_items_refresh_trigger ON product_bundle_items`,
+    `
+      CREATE TRIGGER product_bundle_items_refresh_trigger
+        AFTER INSERT OR UPDATE OR DELETE ON product_bundle_items
+        FOR EACH ROW EXECUTE FUNCTION refresh_bundle_stock()
+    `,
+    // Supplier orders placed for each component of a bundle line
+    `
+      ALTER TABLE order_items
+        ADD COLUMN IF NOT EXISTS component_orders JSONB
+    `,
+
+    // Precomputed recommendations, rebuilt by refresh_product_recommendations
+    `
+      CREATE TABLE IF NOT EXISTS product_recommendations (
+        product_id UUID REFERENCES products(id) ON DELETE CASCADE,
+        recommended_id UUID REFERENCES products(id) ON DELETE CASCADE,
+        kind VARCHAR(20) NOT NULL,
+        score DECIMAL(6,4) NOT NULL,
+        support INTEGER DEFAULT 0,
+        computed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        PRIMARY KEY (product_id, kind, recommended_id)
+      )
+    `,
+    // bought_together: confidence that an order with the product also contains the
+    // other one (support = orders with both). similar: shared category (0.4), same
+    // price_range band (0.2) and title trigram similarity (0.4)
+    `
+      CREATE OR REPLACE FUNCTION refresh_product_recommendations(
+        per_product INTEGER DEFAULT 10,
+        lookback_days INTEGER DEFAULT 365
+      ) RETURNS INTEGER AS $$
+      DECLARE
+        total INTEGER;
+      BEGIN
+        DELETE FROM product_recommendations;
+
+        INSERT INTO product_recommendations (product_id, recommended_id, kind, score, support)
+        WITH lines AS (
+          SELECT DISTINCT oi.order_id, oi.product_id
+          FROM order_items oi
+          JOIN orders o ON o.id = oi.order_id
+          JOIN products p ON p.id = oi.product_id AND p.is_active = true
+          WHERE o.status NOT IN ('failed', 'cancelled')
+            AND o.created_at >= NOW() - make_interval(days => lookback_days)
+        ),
+        totals AS (
+          SELECT product_id, count(*) AS orders FROM lines GROUP BY product_id
+        ),
+        pairs AS (
+          SELECT
+            a.product_id,
+            b.product_id AS recommended_id,
+            count(*) AS support,
+            count(*)::NUMERIC / max(t.orders) AS score,
+            row_number() OVER (PARTITION BY a.product_id ORDER BY count(*) DESC, b.product_id) AS position
+          FROM lines a
+          JOIN lines b ON b.order_id = a.order_id AND b.product_id <> a.product_id
+          JOIN totals t ON t.product_id = a.product_id
+          GROUP BY a.product_id, b.product_id
+        )
+        SELECT product_id, recommended_id, 'bought_together', score, support
+        FROM pairs
+        WHERE position <= per_product;
+
+        -- Candidates are the same category (products_category_id_idx) plus
+        -- similar titles (products_title_unaccent_trgm_idx), each fetched on
+        -- its own so both lookups use their index
+        INSERT INTO product_recommendations (product_id, recommended_id, kind, score)
+        SELECT p.id, candidate.id, 'similar', candidate.score
+        FROM products p
+        CROSS JOIN LATERAL (
+          SELECT
+            q.id,
+            (CASE WHEN q.category_id = p.category_id THEN 0.4 ELSE 0 END) +
+              (CASE WHEN width_bucket(q.price, ARRAY[25, 100, 500]::NUMERIC[]) = width_bucket(p.price, ARRAY[25, 100, 500]::NUMERIC[]) THEN 0.2 ELSE 0 END) +
+              0.4 * similarity(lower(immutable_unaccent(q.title)), lower(immutable_unaccent(p.title))) AS score
+          FROM (
+            SELECT id FROM products WHERE category_id = p.category_id
+            UNION
+            SELECT id FROM products WHERE lower(immutable_unaccent(title)) % lower(immutable_unaccent(p.title))
+          ) c
+          JOIN products q ON q.id = c.id
+          WHERE q.is_active = true
+            AND q.id <> p.id
+          ORDER BY score DESC, q.id
+          LIMIT per_product
+        ) candidate
+        WHERE p.is_active = true;
+
+        SELECT count(*) INTO total FROM product_recommendations;
+        RETURN total;
+      END
+      $$ LANGUAGE plpgsql
+    `,
+
+    // Duplicate detection: perceptual hash of the main image and suspected duplicate pairs
+    `
+      ALTER TABLE products
+        ADD COLUMN IF NOT EXISTS image_hash VARCHAR(16),
+        ADD COLUMN IF NOT EXISTS duplicates_checked_at TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS duplicate_of UUID REFERENCES products(id) ON DELETE SET NULL
+    `,
+    `CREATE INDEX IF NOT EXISTS products_image_hash_idx ON products (image_hash)`,
+    `
+      CREATE TABLE IF NOT EXISTS product_duplicates (
+        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+        product_id UUID REFERENCES products(id) ON DELETE CASCADE,
+        duplicate_id UUID REFERENCES products(id) ON DELETE CASCADE,
+        score DECIMAL(4,3) NOT NULL,
+        reasons JSONB NOT NULL DEFAULT '[]',
+        status VARCHAR(20) DEFAULT 'pending',
+        detected_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        resolved_at TIMESTAMP WITH TIME ZONE,
+        resolved_by UUID,
+        UNIQUE(product_id, duplicate_id),
+        CHECK (product_id < duplicate_id)
+      )
+    `,
+    `CREATE INDEX IF NOT EXISTS product_duplicates_status_idx ON product_duplicates (status)`,
+    // A new title or image makes the product eligible for the next duplicate scan
+    `
+      CREATE OR REPLACE FUNCTION products_duplicate_check_reset() RETURNS TRIGGER AS $$
+      BEGIN
+        IF NEW.image_url IS DISTINCT FROM OLD.image_url AND NEW.image_hash IS NOT DISTINCT FROM OLD.image_hash THEN
+          NEW.image_hash := NULL;
+        END IF;
+
+        IF (NEW.title IS DISTINCT FROM OLD.title OR NEW.image_url IS DISTINCT FROM OLD.image_url)
+          AND NEW.duplicates_checked_at IS NOT DISTINCT FROM OLD.duplicates_checked_at THEN
+          NEW.duplicates_checked_at := NULL;
+        END IF;
+
+        RETURN NEW;
+      END
+      $$ LANGUAGE plpgsql
+    `,
+    `DROP TRIGGER IF EXISTS products_duplicate_check_trigger ON products`,
+    `
+      CREATE TRIGGER products_duplicate_check_trigger
+        BEFORE UPDATE OF title, image_url ON products
+        FOR EACH ROW EXECUTE FUNCTION products_duplicate_check_reset()
+    `,
+    // Candidates for the duplicate detector: similar titles (trigram index) or the same image hash
+    `
+      CREATE OR REPLACE FUNCTION find_duplicate_candidates(
+        search_title TEXT,
+        search_image_hash TEXT DEFAULT NULL,
+        exclude_id UUID DEFAULT NULL,
+        result_limit INTEGER DEFAULT 20
+      ) RETURNS SETOF products AS $$
+        SELECT p.* FROM products p
+        WHERE p.id IN (
+          (
+            SELECT t.id FROM products t
+            WHERE t.is_active = true
+              AND (exclude_id IS NULL OR t.id <> exclude_id)
+              AND lower(t.title) % lower(search_title)
+            ORDER BY similarity(lower(t.title), lower(search_title)) DESC
+            LIMIT result_limit
+          )
+          UNION
+          (
+            SELECT i.id FROM products i
+            WHERE search_image_hash IS NOT NULL
+              AND i.image_hash = search_image_hash
+              AND i.is_active = true
+              AND (exclude_id IS NULL OR i.id <> exclude_id)
+            LIMIT result_limit
+          )
+        )
+      $$ LANGUAGE sql STABLE
+    `,
+
+    // Pricing rules: markup by category, supplier and cost band, applied to cost_price
+    `
+      ALTER TABLE products
+        ADD COLUMN IF NOT EXISTS competitor_price DECIMAL(10,2)
+    `,
+    `
+      CREATE TABLE IF NOT EXISTS pricing_rules (
+        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        priority INTEGER DEFAULT 0,
+        category_id UUID REFERENCES categories(id) ON DELETE CASCADE,
+        supplier VARCHAR(100),
+        min_cost DECIMAL(10,2),
+        max_cost DECIMAL(10,2),
+        markup_percentage DECIMAL(6,2) NOT NULL,
+        min_margin_amount DECIMAL(10,2),
+        charm_ending DECIMAL(3,2),
+        competitor_undercut_percentage DECIMAL(5,2),
+        is_active BOOLEAN DEFAULT true,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `,
+
+    // Scheduled sales: applied and reverted by the scheduler. The prices a
+    // sale replaced are kept per product so the revert restores them exactly
+    `
+      CREATE TABLE IF NOT EXISTS sale_events (
+        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        discount_type VARCHAR(20) NOT NULL,
+        discount_value DECIMAL(10,2) NOT NULL,
+        scope VARCHAR(20) NOT NULL,
+        product_ids UUID[] NOT NULL DEFAULT '{}',
+        category_ids UUID[] NOT NULL DEFAULT '{}',
+        starts_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        ends_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        status VARCHAR(20) DEFAULT 'scheduled',
+        applied_at TIMESTAMP WITH TIME ZONE,
+        reverted_at TIMESTAMP WITH TIME ZONE,
+        created_by UUID,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        CHECK (ends_at > starts_at)
+      )
+    `,
+    `CREATE INDEX IF NOT EXISTS sale_events_status_idx ON sale_events (status, starts_at)`,
+    // Products a sale could not be applied to when it started, for review
+    `
+      ALTER TABLE sale_events
+        ADD COLUMN IF NOT EXISTS failed_product_ids UUID[] NOT NULL DEFAULT '{}'
+    `,
+    `
+      CREATE TABLE IF NOT EXISTS sale_event_products (
+        event_id UUID REFERENCES sale_events(id) ON DELETE CASCADE,
+        product_id UUID REFERENCES products(id) ON DELETE CASCADE,
+        regular_price DECIMAL(10,2) NOT NULL,
+        regular_original_price DECIMAL(10,2),
+        sale_price DECIMAL(10,2) NOT NULL,
+        variant_prices JSONB NOT NULL DEFAULT '[]',
+        PRIMARY KEY (event_id, product_id)
+      )
+    `,
+    `
+      ALTER TABLE products
+        ADD COLUMN IF NOT EXISTS sale_event_id UUID REFERENCES sale_events(id) ON DELETE SET NULL
+    `,
+
+    // Stock held for checkouts. A reservation takes its units out of stock
+    // through the stock ledger right away and gives them back when released
+    // or expired, so available stock is always stock_quantity
+    `
+      CREATE TABLE IF NOT EXISTS stock_reservations (
+        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+        order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+        status VARCHAR(20) DEFAULT 'active',
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        committed_at TIMESTAMP WITH TIME ZONE,
+        released_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `,
+    `CREATE INDEX IF NOT EXISTS stock_reservations_status_idx ON stock_reservations (status, expires_at)`,
+
+    // The customer holding a checkout reservation, to cap the units one
+    // customer can keep out of stock at once
+    `
+      ALTER TABLE stock_reservations
+        ADD COLUMN IF NOT EXISTS user_id UUID
+    `,
+    `CREATE INDEX IF NOT EXISTS stock_reservations_user_idx ON stock_reservations (user_id, status)`,
+    `
+      CREATE TABLE IF NOT EXISTS stock_reservation_items (
+        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+        reservation_id UUID REFERENCES stock_reservations(id) ON DELETE CASCADE,
+        product_id UUID REFERENCES products(id) ON DELETE CASCADE,
+        variant_id UUID REFERENCES product_variants(id) ON DELETE CASCADE,
+        quantity INTEGER NOT NULL CHECK (quantity > 0)
+      )
+    `,
+    `CREATE INDEX IF NOT EXISTS stock_reservation_items_product_idx ON stock_reservation_items (product_id, variant_id)`,
+    `
+      ALTER TABLE orders
+        ADD COLUMN IF NOT EXISTS reservation_id UUID REFERENCES stock_reservations(id) ON DELETE SET NULL
+    `,
+
+    // Stock ledger: every stock change is a movement, and stock_quantity is
+    // the sum of the movements (per variant for variants, across all of them
+    // for the product). Bundles are excluded, their stock comes from components
+    `
+      CREATE TABLE IF NOT EXISTS stock_movements (
+        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+        product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        variant_id UUID REFERENCES product_variants(id) ON DELETE CASCADE,
+        quantity_change INTEGER NOT NULL,
+        balance_after INTEGER,
+        reason VARCHAR(30) NOT NULL,
+        reference_type VARCHAR(30),
+        reference_id TEXT,
+        note TEXT,
+        actor_id UUID,
+        -- Movements written in one transaction (a commit) keep their order
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT clock_timestamp()
+      )
+    `,
+    `CREATE INDEX IF NOT EXISTS stock_movements_product_idx ON stock_movements (product_id, created_at DESC)`,
+    `CREATE INDEX IF NOT EXISTS stock_movements_variant_idx ON stock_movements (variant_id) WHERE variant_id IS NOT NULL`,
+    // Product-level stock as summarizeVariants computes it: the active
+    // variants' stock when the product has any, its own movements otherwise.
+    // pending is a product-level change not inserted yet
+    `
+      CREATE OR REPLACE FUNCTION product_ledger_stock(product UUID, pending INTEGER DEFAULT 0) RETURNS INTEGER AS $$
+        SELECT CASE
+          WHEN EXISTS (SELECT 1 FROM product_variants WHERE product_id = product AND is_active) THEN
+            (SELECT COALESCE(SUM(stock_quantity), 0) FROM product_variants WHERE product_id = product AND is_active)
+          ELSE
+            pending + COALESCE((SELECT SUM(quantity_change) FROM stock_movements WHERE product_id = product AND variant_id IS NULL), 0)
+        END::INTEGER
+      $$ LANGUAGE sql STABLE
+    `,
+    // app.stock_ledger tells the triggers who is writing: 'on' while a movement
+    // updates stock_quantity, 'record' while a direct stock_quantity write is
+    // being recorded as a movement (the pending write already sets the value)
+    `
+      CREATE OR REPLACE FUNCTION stock_movements_apply() RETURNS TRIGGER AS $$
+      DECLARE
+        recording BOOLEAN := current_setting('app.stock_ledger', true) = 'record';
+      BEGIN
+        IF (SELECT product_type FROM products WHERE id = NEW.product_id) = 'bundle' THEN
+          RAISE EXCEPTION 'Bundle stock is derived from its components';
+        END IF;
+
+        -- Serializes movements per product so balances are computed in order
+        PERFORM 1 FROM products WHERE id = NEW.product_id FOR UPDATE;
+
+        IF NEW.variant_id IS NOT NULL THEN
+          NEW.balance_after := NEW.quantity_change + COALESCE(
+            (SELECT SUM(quantity_change) FROM stock_movements WHERE variant_id = NEW.variant_id), 0);
+        ELSE
+          NEW.balance_after := NEW.quantity_change + COALESCE(
+            (SELECT SUM(quantity_change) FROM stock_movements WHERE product_id = NEW.product_id AND variant_id IS NULL), 0);
+        END IF;
+
+        IF recording THEN
+          RETURN NEW;
+        END IF;
+
+        IF NEW.balance_after < 0 THEN
+          RAISE EXCEPTION USING
+            MESSAGE = 'insufficient_stock',
+            DETAIL = json_build_object(
+              'product_id', NEW.product_id,
+              'variant_id', NEW.variant_id,
+              'available', NEW.balance_after - NEW.quantity_change
+            )::TEXT;
+        END IF;
+
+        PERFORM set_config('app.stock_ledger', 'on', true);
+
+        IF NEW.variant_id IS NOT NULL THEN
+          UPDATE product_variants SET stock_quantity = NEW.balance_after, updated_at = NOW()
+          WHERE id = NEW.variant_id;
+        END IF;
+
+        UPDATE products
+        SET stock_quantity = product_ledger_stock(NEW.product_id, CASE WHEN NEW.variant_id IS NULL THEN NEW.quantity_change ELSE 0 END)
+        WHERE id = NEW.product_id;
+
+        PERFORM set_config('app.stock_ledger', '', true);
+
+        RETURN NEW;
+      END
+      $$ LANGUAGE plpgsql
+    `,
+    `DROP TRIGGER IF EXISTS stock_movements_apply_trigger ON stock_movements`,
+    `
+      CREATE TRIGGER stock_movements_apply_trigger
+        BEFORE INSERT ON stock_movements
+        FOR EACH ROW EXECUTE FUNCTION stock_movements_apply()
+    `,
+    // Writes that set stock_quantity directly (product edits, imports, variant
+    // saves, new products) are recorded as manual movements for the difference
+    // with the ledger, so the ledger always adds up to the stored stock
+    `
+      CREATE OR REPLACE FUNCTION stock_direct_write() RETURNS TRIGGER AS $$
+      DECLARE
+        product UUID;
+        variant UUID;
+        recorded INTEGER;
+      BEGIN
+        IF current_setting('app.stock_ledger', true) = 'on' THEN
+          RETURN NULL;
+        END IF;
+
+        IF TG_TABLE_NAME = 'product_variants' THEN
+          product := NEW.product_id;
+          variant := NEW.id;
+          SELECT COALESCE(SUM(quantity_change), 0) INTO recorded FROM stock_movements WHERE variant_id = variant;
+        ELSIF NEW.product_type = 'bundle' THEN
+          RETURN NULL;
+        ELSE
+          product := NEW.id;
+          recorded := product_ledger_stock(product);
+        END IF;
+
+        IF COALESCE(NEW.stock_quantity, 0) <> recorded THEN
+          PERFORM set_config('app.stock_ledger', 'record', true);
+          INSERT INTO stock_movements (product_id, variant_id, quantity_change, reason, reference_type)
+          VALUES (product, variant, COALESCE(NEW.stock_quantity, 0) - recorded, 'manual', 'direct_write');
+          PERFORM set_config('app.stock_ledger', '', true);
+        END IF;
+
+        RETURN NULL;
+      END
+      $$ LANGUAGE plpgsql
+    `,
+    `DROP TRIGGER IF EXISTS products_stock_direct_write_trigger ON products`,
+    `
+      CREATE TRIGGER products_stock_direct_write_trigger
+        AFTER INSERT OR UPDATE OF stock_quantity ON products
+        FOR EACH ROW EXECUTE FUNCTION stock_direct_write()
+    `,
+    `DROP TRIGGER IF EXISTS product_variants_stock_direct_write_trigger ON product_variants`,
+    `
+      CREATE TRIGGER product_variants_stock_direct_write_trigger
+        AFTER INSERT OR UPDATE OF stock_quantity ON product_variants
+        FOR EACH ROW EXECUTE FUNCTION stock_direct_write()
+    `,
+    // Opening balances for products that predate the ledger
+    `
+      DO $$
+      BEGIN
+        PERFORM set_config('app.stock_ledger', 'record', true);
+
+        INSERT INTO stock_movements (product_id, variant_id, quantity_change, reason, reference_type)
+        SELECT product_id, variant_id, quantity, 'manual', 'opening_balance'
+        FROM (
+          SELECT v.product_id, v.id AS variant_id, v.stock_quantity AS quantity
+          FROM product_variants v
+          JOIN products p ON p.id = v.product_id
+          WHERE p.product_type IS DISTINCT FROM 'bundle'
+            AND NOT EXISTS (SELECT 1 FROM stock_movements m WHERE m.product_id = p.id)
+          UNION ALL
+          SELECT p.id, NULL, p.stock_quantity - COALESCE(
+            (SELECT SUM(v.stock_quantity) FROM product_variants v WHERE v.product_id = p.id), 0)
+          FROM products p
+          WHERE p.product_type IS DISTINCT FROM 'bundle'
+            AND NOT EXISTS (SELECT 1 FROM stock_movements m WHERE m.product_id = p.id)
+        ) balances
+        WHERE quantity <> 0;
+      END
+      $$
+    `,
+    // Sets a product or variant to an absolute level reported from outside
+    // (supplier feeds), recording the difference. Units held by active
+    // reservations already left stock, so they are subtracted from the level.
+    // Returns the recorded change
+    `
+      CREATE OR REPLACE FUNCTION set_stock_level(
+        target_product UUID,
+        target_variant UUID,
+        stock_level INTEGER,
+        movement_reason VARCHAR,
+        movement_reference_type VARCHAR DEFAULT NULL,
+        movement_reference_id TEXT DEFAULT NULL,
+        movement_note TEXT DEFAULT NULL
+      ) RETURNS INTEGER AS $$
+      DECLARE
+        held INTEGER;
+        current_level INTEGER;
+        difference INTEGER;
+      BEGIN
+        PERFORM 1 FROM products WHERE id = target_product FOR UPDATE;
+
+        SELECT COALESCE(SUM(i.quantity), 0) INTO held
+        FROM stock_reservation_items i
+        JOIN stock_reservations r ON r.id = i.reservation_id
+        WHERE r.status = 'active'
+          AND i.product_id = target_product
+          AND i.variant_id IS NOT DISTINCT FROM target_variant;
+
+        SELECT COALESCE(SUM(quantity_change), 0) INTO current_level
+        FROM stock_movements
+        WHERE product_id = target_product
+          AND variant_id IS NOT DISTINCT FROM target_variant;
+
+        difference := GREATEST(stock_level - held, 0) - current_level;
+
+        IF difference <> 0 THEN
+          INSERT INTO stock_movements (product_id, variant_id, quantity_change, reason, reference_type, reference_id, note)
+          VALUES (target_product, target_variant, difference, movement_reason, movement_reference_type, movement_reference_id, movement_note);
+        END IF;
+
+        RETURN difference;
+      END
+      $$ LANGUAGE plpgsql
+    `,
+    // Reserves all lines or none; bundles reserve their components. The ledger
+    // locks each product row, and going through the lines in a fixed order
+    // means concurrent checkouts cannot deadlock. Of two buyers of the last
+    // unit the second one sees it gone and gets insufficient_stock. With
+    // max_user_units the customer's active reservations, this one included,
+    // may not hold more units than that (reservation_limit otherwise)
+    `DROP FUNCTION IF EXISTS reserve_stock(JSONB, INTEGER, UUID)`,
+    `
+      CREATE OR REPLACE FUNCTION reserve_stock(
+        reservation_items JSONB,
+        ttl_minutes INTEGER,
+        reservation_order UUID DEFAULT NULL,
+        reservation_user UUID DEFAULT NULL,
+        max_user_units INTEGER DEFAULT NULL
+      ) RETURNS UUID AS $$
+      DECLARE
+        new_id UUID;
+        line RECORD;
+        held_units INTEGER;
+      BEGIN
+        -- Serializes one customer's reservations so the held total is exact
+        IF reservation_user IS NOT NULL AND max_user_units IS NOT NULL THEN
+          PERFORM pg_advisory_xact_lock(hashtext(reservation_user::TEXT));
+        END IF;
+
+        INSERT INTO stock_reservations (order_id, user_id, expires_at)
+        VALUES (reservation_order, reservation_user, NOW() + make_interval(mins => ttl_minutes))
+        RETURNING id INTO new_id;
+
+        INSERT INTO stock_reservation_items (reservation_id, product_id, variant_id, quantity)
+        SELECT
+          new_id,
+          COALESCE(bi.component_id, i.product_id),
+          CASE WHEN bi.bundle_id IS NULL THEN i.variant_id ELSE bi.component_variant_id END,
+          SUM(i.quantity * COALESCE(bi.quantity, 1))
+        FROM jsonb_to_recordset(reservation_items) AS i(product_id UUID, variant_id UUID, quantity INTEGER)
+        LEFT JOIN product_bundle_items bi ON bi.bundle_id = i.product_id
+        GROUP BY 2, 3;
+
+        IF reservation_user IS NOT NULL AND max_user_units IS NOT NULL THEN
+          SELECT COALESCE(SUM(i.quantity), 0) INTO held_units
+          FROM stock_reservation_items i
+          JOIN stock_reservations r ON r.id = i.reservation_id
+          WHERE r.user_id = reservation_user
+            AND r.status = 'active';
+
+          IF held_units > max_user_units THEN
+            RAISE EXCEPTION USING
+              MESSAGE = 'reservation_limit',
+              DETAIL = json_build_object('limit', max_user_units)::TEXT;
+          END IF;
+        END IF;
+
+        FOR line IN
+          SELECT product_id, variant_id, quantity
+          FROM stock_reservation_items
+          WHERE reservation_id = new_id
+          ORDER BY product_id, variant_id NULLS FIRST
+        LOOP
+          IF NOT EXISTS (
+            SELECT 1 FROM products WHERE id = line.product_id AND is_active = true
+          ) OR (line.variant_id IS NOT NULL AND NOT EXISTS (
+            SELECT 1 FROM product_variants WHERE id = line.variant_id AND product_id = line.product_id AND is_active = true
+          )) THEN
+            RAISE EXCEPTION USING
+              MESSAGE = 'insufficient_stock',
+              DETAIL = json_build_object('product_id', line.product_id, 'variant_id', line.variant_id, 'available', 0)::TEXT;
+          END IF;
+
+          INSERT INTO stock_movements (product_id, variant_id, quantity_change, reason, reference_type, reference_id)
+          VALUES (line.product_id, line.variant_id, -line.quantity, 'reservation', 'reservation', new_id::TEXT);
+        END LOOP;
+
+        RETURN new_id;
+      END
+      $$ LANGUAGE plpgsql
+    `,
+    // Gives the units of an active reservation back to stock
+    `
+      CREATE OR REPLACE FUNCTION release_stock_reservation(target UUID, new_status VARCHAR DEFAULT 'released') RETURNS BOOLEAN AS $$
+      DECLARE
+        current_status VARCHAR(20);
+      BEGIN
+        SELECT status INTO current_status FROM stock_reservations WHERE id = target FOR UPDATE;
+
+        IF current_status IS DISTINCT FROM 'active' THEN
+          RETURN false;
+        END IF;
+
+        INSERT INTO stock_movements (product_id, variant_id, quantity_change, reason, reference_type, reference_id)
+        SELECT product_id, variant_id, quantity, 'reservation', 'reservation', target::TEXT
+        FROM stock_reservation_items
+        WHERE reservation_id = target
+        ORDER BY product_id, variant_id NULLS FIRST;
+
+        UPDATE stock_reservations SET status = new_status, released_at = NOW() WHERE id = target;
+
+        RETURN true;
+      END
+      $$ LANGUAGE plpgsql
+    `,
+    // Turns an active reservation into a sale. The ledger shows the hold
+    // coming back and the sale going out, referencing the order
+    `
+      CREATE OR REPLACE FUNCTION commit_stock_reservation(target UUID) RETURNS BOOLEAN AS $$
+      DECLARE
+        reservation RECORD;
+        line RECORD;
+      BEGIN
+        SELECT * INTO reservation FROM stock_reservations WHERE id = target FOR UPDATE;
+
+        IF reservation.status IS DISTINCT FROM 'active' THEN
+          RETURN false;
+        END IF;
+
+        FOR line IN
+          SELECT product_id, variant_id, quantity
+          FROM stock_reservation_items
+          WHERE reservation_id = target
+          ORDER BY product_id, variant_id NULLS FIRST
+        LOOP
+          INSERT INTO stock_movements (product_id, variant_id, quantity_change, reason, reference_type, reference_id)
+          VALUES
+            (line.product_id, line.variant_id, line.quantity, 'reservation', 'reservation', target::TEXT),
+            (line.product_id, line.variant_id, -line.quantity, 'sale',
+              CASE WHEN reservation.order_id IS NULL THEN 'reservation' ELSE 'order' END,
+              COALESCE(reservation.order_id, target)::TEXT);
+        END LOOP;
+
+        UPDATE stock_reservations SET status = 'committed', committed_at = NOW() WHERE id = target;
+
+        RETURN true;
+      END
+      $$ LANGUAGE plpgsql
+    `,
+
+    // Supplier stock sync: when each product was last checked and why it failed
+    `
+      ALTER TABLE products
+        ADD COLUMN IF NOT EXISTS stock_synced_at TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS stock_sync_error TEXT
+    `,
+
+    // Supplier offers: every supplier that can fulfil a product (or one of its
+    // variants), with its cost, lead time and last known stock
+    `
+      CREATE TABLE IF NOT EXISTS product_supplier_offers (
+        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+        product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        variant_id UUID REFERENCES product_variants(id) ON DELETE CASCADE,
+        supplier VARCHAR(100) NOT NULL,
+        supplier_sku VARCHAR(100),
+        cost DECIMAL(10,2) NOT NULL,
+        lead_time_days INTEGER,
+        stock_quantity INTEGER,
+        is_active BOOLEAN DEFAULT true,
+        stock_synced_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `,
+    `CREATE INDEX IF NOT EXISTS product_supplier_offers_product_idx ON product_supplier_offers (product_id)`,
+    `
+      CREATE UNIQUE INDEX IF NOT EXISTS product_supplier_offers_unique_idx
+        ON product_supplier_offers (product_id, COALESCE(variant_id, product_id), lower(supplier))
+    `,
+    // Which supplier (and offer) each order line was sent to
+    `
+      ALTER TABLE order_items
+        ADD COLUMN IF NOT EXISTS supplier VARCHAR(100),
+        ADD COLUMN IF NOT EXISTS supplier_offer_id UUID REFERENCES product_supplier_offers(id) ON DELETE SET NULL
+    `,
+
+    // Supplier registry. name matches the free-text supplier on products, offers
+    // and order items (case-insensitively). credentials_ref names the secret
+    // holding the API credentials (e.g. an environment variable), never the
+    // credentials themselves
+    `
+      CREATE TABLE IF NOT EXISTS suppliers (
+        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        contact_name VARCHAR(255),
+        contact_email VARCHAR(255),
+        contact_phone VARCHAR(50),
+        website TEXT,
+        credentials_ref VARCHAR(255),
+        default_lead_time_days INTEGER,
+        shipping_countries TEXT[] NOT NULL DEFAULT '{}',
+        notes TEXT,
+        is_active BOOLEAN DEFAULT true,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `,
+    `CREATE UNIQUE INDEX IF NOT EXISTS suppliers_name_idx ON suppliers (lower(name))`,
+    `
+      INSERT INTO suppliers (name, default_lead_time_days, credentials_ref) VALUES
+        ('Amazon', 2, 'SUPPLIER_AMAZON_API_KEY'),
+        ('AliExpress', 7, 'SUPPLIER_ALIEXPRESS_API_KEY'),
+        ('MercadoLibre', 3, 'SUPPLIER_MERCADOLIBRE_API_KEY'),
+        ('eBay', 5, 'SUPPLIER_EBAY_API_KEY')
+      ON CONFLICT DO NOTHING
+    `,
+    // Supplier order lifecycle on each line, used by the scorecards.
+    // supplier_attempts lists the offers that rejected the line before the
+    // one that took it
+    `
+      ALTER TABLE order_items
+        ADD COLUMN IF NOT EXISTS supplier_ordered_at TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS supplier_estimated_delivery TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS supplier_delivered_at TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS supplier_attempts JSONB NOT NULL DEFAULT '[]'
+    `,
+    `CREATE INDEX IF NOT EXISTS order_items_supplier_idx ON order_items (lower(supplier), supplier_ordered_at)`,
+    // Per supplier over the lookback window: lines sent to it and how they
+    // ended, plus rejected attempts (which count as failures). on_time_rate is
+    // over delivered lines. score (0-100) weighs on-time delivery 50%, no
+    // failures 30% and no cancellations 20%; null without history
+    `
+      CREATE OR REPLACE FUNCTION supplier_scorecards(lookback_days INTEGER DEFAULT 90)
+      RETURNS TABLE (
+        supplier TEXT,
+        orders BIGINT,
+        delivered BIGINT,
+        on_time_rate NUMERIC,
+        average_delivery_days NUMERIC,
+        failure_rate NUMERIC,
+        cancellation_rate NUMERIC,
+        score NUMERIC
+      ) AS $$
+        WITH lines AS (
+          SELECT lower(oi.supplier) AS supplier, oi.supplier_status, oi.supplier_ordered_at,
+            oi.supplier_estimated_delivery, oi.supplier_delivered_at
+          FROM order_items oi
+          WHERE oi.supplier IS NOT NULL
+            AND oi.supplier_ordered_at >= NOW() - make_interval(days => lookback_days)
+        ),
+        attempts AS (
+          SELECT lower(a->>'supplier') AS supplier, count(*) AS failures
+          FROM order_items oi
+          CROSS JOIN LATERAL jsonb_array_elements(oi.supplier_attempts) a
+          WHERE oi.created_at >= NOW() - make_interval(days => lookback_days)
+          GROUP BY 1
+        ),
+        totals AS (
+          SELECT
+            COALESCE(l.supplier, a.supplier) AS supplier,
+            count(l.supplier) AS orders,
+            count(*) FILTER (WHERE l.supplier_status = 'delivered') AS delivered,
+            count(*) FILTER (WHERE l.supplier_status = 'delivered'
+              AND l.supplier_delivered_at <= l.supplier_estimated_delivery) AS on_time,
+            avg(EXTRACT(EPOCH FROM l.supplier_delivered_at - l.supplier_ordered_at) / 86400)
+              FILTER (WHERE l.supplier_status = 'delivered') AS average_delivery_days,
+            count(*) FILTER (WHERE l.supplier_status = 'failed') + COALESCE(max(a.failures), 0) AS failed,
+            count(*) FILTER (WHERE l.supplier_status = 'cancelled') AS cancelled,
+            count(l.supplier) + COALESCE(max(a.failures), 0) AS attempted
+          FROM lines l
+          FULL JOIN attempts a ON a.supplier = l.supplier
+          GROUP BY 1
+        ),
+        rates AS (
+          SELECT
+            supplier,
+            orders,
+            delivered,
+            CASE WHEN delivered > 0 THEN on_time::NUMERIC / delivered END AS on_time_rate,
+            average_delivery_days,
+            CASE WHEN attempted > 0 THEN failed::NUMERIC / attempted END AS failure_rate,
+            CASE WHEN orders > 0 THEN cancelled::NUMERIC / orders END AS cancellation_rate
+          FROM totals
+        )
+        SELECT
+          supplier,
+          orders,
+          delivered,
+          round(on_time_rate, 4),
+          round(average_delivery_days, 1),
+          round(failure_rate, 4),
+          round(cancellation_rate, 4),
+          round(100 * (
+            0.5 * COALESCE(on_time_rate, 1) +
+            0.3 * (1 - COALESCE(failure_rate, 0)) +
+            0.2 * (1 - COALESCE(cancellation_rate, 0))
+          ), 1)
+        FROM rates
+      $$ LANGUAGE sql STABLE
+    `,
+
+    // Customer reviews, one per purchased order line, shown once approved
+    `
+      CREATE TABLE IF NOT EXISTS product_reviews (
+        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+        product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        order_item_id UUID UNIQUE REFERENCES order_items(id) ON DELETE SET NULL,
+        customer_email VARCHAR(255) NOT NULL,
+        author_name VARCHAR(100),
+        rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+        title VARCHAR(200),
+        body TEXT,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        moderation_note TEXT,
+        moderated_by UUID,
+        moderated_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `,
+    `CREATE INDEX IF NOT EXISTS product_reviews_product_idx ON product_reviews (product_id, status, created_at DESC)`,
+    `CREATE INDEX IF NOT EXISTS product_reviews_status_idx ON product_reviews (status, created_at)`,
+    // Approved review aggregates, cached on the product so listings can sort by them
+    `
+      ALTER TABLE products
+        ADD COLUMN IF NOT EXISTS rating_average DECIMAL(3,2) NOT NULL DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS rating_count INTEGER NOT NULL DEFAULT 0
+    `,
+    `CREATE INDEX IF NOT EXISTS products_rating_idx ON products (rating_average DESC, id)`,
+    `
+      CREATE OR REPLACE FUNCTION refresh_product_rating(target UUID) RETURNS VOID AS $$
+        UPDATE products p
+        SET rating_average = COALESCE(r.average, 0), rating_count = r.total
+        FROM (
+          SELECT round(avg(rating), 2) AS average, count(*) AS total
+          FROM product_reviews
+          WHERE product_id = target AND status = 'approved'
+        ) r
+        WHERE p.id = target
+      $$ LANGUAGE sql
+    `,
+    `
+      CREATE OR REPLACE FUNCTION product_reviews_rating_update() RETURNS TRIGGER AS $$
+      BEGIN
+        IF TG_OP = 'INSERT' THEN
+          PERFORM refresh_product_rating(NEW.product_id);
+        ELSIF TG_OP = 'DELETE' THEN
+          PERFORM refresh_product_rating(OLD.product_id);
+        ELSE
+          PERFORM refresh_product_rating(OLD.product_id);
+
+          IF NEW.product_id <> OLD.product_id THEN
+            PERFORM refresh_product_rating(NEW.product_id);
+          END IF;
+        END IF;
+
+        RETURN NULL;
+      END
+      $$ LANGUAGE plpgsql
+    `,
+    `DROP TRIGGER IF EXISTS product_reviews_rating_trigger ON product_reviews`,
+    `
+      CREATE TRIGGER product_reviews_rating_trigger
+        AFTER INSERT OR UPDATE OF status, rating, product_id OR DELETE ON product_reviews
+        FOR EACH ROW EXECUTE FUNCTION product_reviews_rating_update()
+    `,
+
+    // Product text in other locales, keyed by locale like category names:
+    // { "en": { "title", "description", "meta_title", "meta_description" } }
+    `
+      ALTER TABLE products
+        ADD COLUMN IF NOT EXISTS translations JSONB NOT NULL DEFAULT '{}'
+    `,
+    // Sets (or with NULL removes) one locale in a single update, so concurrent
+    // edits of different locales cannot overwrite each other
+    `
+      CREATE OR REPLACE FUNCTION set_product_translation(
+        target_product UUID,
+        target_locale TEXT,
+        translation JSONB
+      ) RETURNS SETOF products AS $$
+        UPDATE products
+        SET translations = CASE
+              WHEN translation IS NULL THEN translations - target_locale
+              ELSE jsonb_set(translations, ARRAY[target_locale], translation)
+            END,
+            updated_at = NOW()
+        WHERE id = target_product
+        RETURNING *
+      $$ LANGUAGE sql
+    `,
+    `
+      ALTER TABLE order_items
+        ADD COLUMN IF NOT EXISTS variant_id UUID REFERENCES product_variants(id) ON DELETE SET NULL
+    `,
+    
     // Analytics table
     `
       CREATE TABLE IF NOT EXISTS analytics (
@@ -0,0 +1,339 @@
+import { getDatabase } from '../config/database.js'
+import {
+  DEFAULT_LOCALE,
+  getAllCategories,
+  buildCategoryTree,
+  getCategoryPath,
+  isDescendant,
+  withLocalizedName
+} from '../services/categories.js'
+import { slugify } from '../services/slug.js'
+import { isUUID } from '../services/validation.js'
+
+const forbidden = (res) => res.status(403).json({
+  success: false,
+  error: {
+    message: 'Solo un administrador puede gestionar las categorías'
+  }
+})
+
+const notFound = (res) => res.status(404).json({
+  success: false,
+  error: {
+    message: 'Categoría no encontrada'
+  }
+})
+
+const duplicateSlug = (res) => res.status(409).json({
+  success: false,
+  error: {
+    message: 'Ya existe una categoría con ese slug'
+  }
+})
+
+const findCategory = (categories, idOrSlug) => {
+  return categories.find(category =>
+    isUUID(idOrSlug) ? category.id === idOrSlug : category.slug === idOrSlug
+  )
+}
+
+export const getCategories = async (req, res) => {
+  try {
+    const locale = req.query.lang || DEFAULT_LOCALE
+    const includeInactive = req.query.include_inactive === 'true' && req.user?.role === 'admin'
+    const categories = await getAllCategories({ includeInactive })
+
+    res.json({
+      success: true,
+      data: req.query.flat === 'true'
+        ? categories.map(category => withLocalizedName(category, locale))
+        : buildCategoryTree(categories, locale)
+    })
+  } catch (error) {
+    console.error('Error fetching categories:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al obtener categorías'
+      }
+    })
+  }
+}
+
+// Accepts either the category id or its slug
+export const getCategory = async (req, res) => {
+  try {
+    const locale = req.query.lang || DEFAULT_LOCALE
+    const categories = await getAllCategories()
+    const category = findCategory(categories, req.params.id)
+
+    if (!category) return notFound(res)
+
+    res.json({
+      success: true,
+      data: {
+        ...withLocalizedName(category, locale),
+        path: getCategoryPath(categories, category.id).map(item => withLocalizedName(item, locale)),
+        children: categories
+          .filter(item => item.parent_id === category.id)
+          .map(item => withLocalizedName(item, locale))
+      }
+    })
+  } catch (error) {
+    console.error('Error fetching category:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al obtener categoría'
+      }
+    })
+  }
+}
+
+export const createCategory = async (req, res) => {
+  try {
+    if (req.user?.role !== 'admin') return forbidden(res)
+
+    const supabase = getDatabase()
+    const { name, slug, parent_id = null, position = 0 } = req.body
+
+    if (!name || typeof name !== 'object' || !name[DEFAULT_LOCALE]) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `Se requiere name como objeto con al menos la traducción "${DEFAULT_LOCALE}"`
+        }
+      })
+    }
+
+    const { data: category, error } = await supabase
+      .from('categories')
+      .insert({
+        name,
+        slug: slugify(slug || name[DEFAULT_LOCALE]),
+        parent_id,
+        position
+      })
+      .select()
+      .single()
+
+    if (error?.code === '23505') return duplicateSlug(res)
+    if (error) throw error
+
+    res.status(201).json({
+      success: true,
+      data: category
+    })
+  } catch (error) {
+    console.error('Error creating category:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al crear categoría'
+      }
+    })
+  }
+}
+
+export const updateCategory = async (req, res) => {
+  try {
+    if (req.user?.role !== 'admin') return forbidden(res)
+
+    const supabase = getDatabase()
+    const { id } = req.params
+    const updates = {}
+
+    for (const field of ['name', 'parent_id', 'position', 'is_active']) {
+      if (req.body[field] !== undefined) updates[field] = req.body[field]
+    }
+    if (req.body.slug) updates.slug = slugify(req.body.slug)
+
+    if (updates.parent_id) {
+      const categories = await getAllCategories({ includeInactive: true })
+
+      if (isDescendant(categories, id, updates.parent_id)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Una categoría no puede moverse dentro de sí misma o de sus subcategorías'
+          }
+        })
+      }
+    }
+
+    updates.updated_at = new Date().toISOString()
+
+    const { data: category, error } = await supabase
+      .from('categories')
+      .update(updates)
+      .eq('id', id)
+      .select()
+      .maybeSingle()
+
+    if (error?.code === '23505') return duplicateSlug(res)
+    if (error) throw error
+    if (!category) return notFound(res)
+
+    res.json({
+      success: true,
+      data: category
+    })
+  } catch (error) {
+    console.error('Error updating category:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al actualizar categoría'
+      }
+    })
+  }
+}
+
+// Only empty leaf categories can be deleted; products would otherwise lose
+// their category silently
+export const deleteCategory = async (req, res) => {
+  try {
+    if (req.user?.role !== 'admin') return forbidden(res)
+
+    const supabase = getDatabase()
+    const { id } = req.params
+
+    const [{ count: children }, { count: products }] = await Promise.all([
+      supabase.from('categories').select('id', { count: 'exact', head: true }).eq('parent_id', id),
+      supabase.from('products').select('id', { count: 'exact', head: true }).eq('category_id', id)
+    ])
+
+    if (children > 0 || products > 0) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: 'La categoría tiene subcategorías o productos asignados'
+        }
+      })
+    }
+
+    const { error } = await supabase
+      .from('categories')
+      .delete()
+      .eq('id', id)
+
+    if (error) throw error
+
+    res.json({
+      success: true,
+      message: 'Categoría eliminada correctamente'
+    })
+  } catch (error) {
+    console.error('Error deleting category:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al eliminar categoría'
+      }
+    })
+  }
+}
+
+export const getCategoryMappings = async (req, res) => {
+  try {
+    const supabase = getDatabase()
+
+    let query = supabase
+      .from('category_mappings')
+      .select('*, categories (slug, name)')
+      .order('source_category', { ascending: true })
+
+    if (req.query.source) {
+      query = query.eq('source', req.query.source)
+    }
+
+    const { data: mappings, error } = await query
+
+    if (error) throw error
+
+    res.json({
+      success: true,
+      data: mappings
+    })
+  } catch (error) {
+    console.error('Error fetching category mappings:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al obtener mapeos de categorías'
+      }
+    })
+  }
+}
+
+// Creates or replaces the mapping for a source label
+export const upsertCategoryMapping = async (req, res) => {
+  try {
+    if (req.user?.role !== 'admin') return forbidden(res)
+
+    const supabase = getDatabase()
+    const { source = '*', source_category, category_id } = req.body
+
+    if (!source_category || !category_id) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Se requieren source_category y category_id'
+        }
+      })
+    }
+
+    const { data: mapping, error } = await supabase
+      .from('category_mappings')
+      .upsert({
+        source,
+        source_category: source_category.trim().toLowerCase(),
+        category_id
+      }, { onConflict: 'source,source_category' })
+      .select()
+      .single()
+
+    if (error) throw error
+
+    res.json({
+      success: true,
+      data: mapping
+    })
+  } catch (error) {
+    console.error('Error saving category mapping:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al guardar mapeo de categoría'
+      }
+    })
+  }
+}
+
+export const deleteCategoryMapping = async (req, res) => {
+  try {
+    if (req.user?.role !== 'admin') return forbidden(res)
+
+    const supabase = getDatabase()
+
+    const { error } = await supabase
+      .from('category_mappings')
+      .delete()
+      .eq('id', req.params.mappingId)
+
+    if (error) throw error
+
+    res.json({
+      success: true,
+      message: 'Mapeo eliminado correctamente'
+    })
+  } catch (error) {
+    console.error('Error deleting category mapping:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al eliminar mapeo de categoría'
+      }
+    })
+  }
+}
@@ -0,0 +1,66 @@
+import { getFeed, clearFeedCache } from '../services/productFeeds.js'
+import { validationErrorResponse } from '../services/validation.js'
+
+// Feeds are fetched by Google and Meta without a session; when FEED_TOKEN is
+// set the feed URL must carry it as ?token=
+const hasFeedAccess = (req) => !process.env.FEED_TOKEN || req.query.token === process.env.FEED_TOKEN
+
+const sendFeed = async (name, req, res) => {
+  try {
+    if (!hasFeedAccess(req)) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          message: 'Token de feed no válido'
+        }
+      })
+    }
+
+    const { feed, errors } = await getFeed(name, req.query)
+
+    if (errors.length > 0) {
+      return validationErrorResponse(res, errors, 'Parámetros de filtrado no válidos')
+    }
+
+    res.setHeader('Cache-Control', `public, max-age=${feed.maxAge}`)
+    res.setHeader('ETag', feed.etag)
+    res.setHeader('Last-Modified', feed.generatedAt.toUTCString())
+
+    if (req.headers['if-none-match'] === feed.etag) {
+      return res.status(304).end()
+    }
+
+    res.type(feed.contentType).send(feed.body)
+  } catch (error) {
+    console.error(`Error generating ${name} feed:`, error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al generar el feed'
+      }
+    })
+  }
+}
+
+export const getGoogleFeed = (req, res) => sendFeed('google', req, res)
+
+export const getMetaFeed = (req, res) => sendFeed('meta', req, res)
+
+// Lets admins publish catalog changes before the cache expires
+export const clearFeeds = async (req, res) => {
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      error: {
+        message: 'Solo los administradores pueden vaciar la caché de feeds'
+      }
+    })
+  }
+
+  res.json({
+    success: true,
+    data: {
+      cleared: clearFeedCache()
+    }
+  })
+}
@@ -0,0 +1,93 @@
+import crypto from 'crypto'
+
+// Local stand-in for a supplier API, used with SUPPLIER_ADAPTER=mock. Stock
+// and cost are derived from the SKU so repeated syncs agree; PUT overrides a
+// SKU (including making it unknown) and orders draw its stock down until the
+// server restarts
+const overrides = new Map()
+
+const currentItem = (sku) => overrides.has(sku) ? overrides.get(sku) : seededItem(sku)
+
+const seededItem = (sku) => {
+  const hash = crypto.createHash('md5').update(sku).digest()
+
+  return {
+    sku,
+    stock: hash.readUInt16BE(0) % 120,
+    cost: Math.round((2 + hash.readUInt16BE(2) % 9800 / 100) * 100) / 100
+  }
+}
+
+export const getMockStock = (req, res) => {
+  const skus = Array.isArray(req.body?.skus) ? req.body.skus.map(String) : []
+
+  if (skus.length === 0 || skus.length > 100) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'skus must list between 1 and 100 SKUs'
+      }
+    })
+  }
+
+  const items = skus
+    .map(currentItem)
+    .filter(item => item && !item.missing)
+
+  res.json({ items })
+}
+
+// Rejected like a real supplier would when the SKU is unknown or short
+export const placeMockOrder = (req, res) => {
+  const sku = String(req.body?.sku || '')
+  const quantity = parseInt(req.body?.quantity)
+  const item = currentItem(sku)
+
+  if (!sku || item.missing) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        message: `Unknown SKU ${sku}`
+      }
+    })
+  }
+
+  if (!(quantity > 0) || quantity > item.stock) {
+    return res.status(409).json({
+      success: false,
+      error: {
+        message: `Only ${item.stock} units of ${sku} available`
+      }
+    })
+  }
+
+  overrides.set(sku, { ...item, stock: item.stock - quantity })
+
+  res.status(201).json({
+    order: {
+      id: `MOCK-${crypto.randomUUID().slice(0, 8).toUpperCase()}`,
+      sku,
+      quantity
+    }
+  })
+}
+
+// Body: { stock, cost } to pin the values, or { missing: true } to make the
+// supplier stop recognising the SKU
+export const setMockStock = (req, res) => {
+  const { sku } = req.params
+  const { stock, cost, missing } = req.body || {}
+
+  const item = missing
+    ? { sku, missing: true }
+    : { ...seededItem(sku), ...(stock !== undefined && { stock }), ...(cost !== undefined && { cost }) }
+
+  overrides.set(sku, item)
+
+  res.json({ item })
+}
+
+export const resetMockStock = (req, res) => {
+  overrides.clear()
+  res.json({ success: true })
+}
@@ -0,0 +1,235 @@
+import { getDatabase } from '../config/database.js'
+import {
+  MAX_PREVIEW_PRODUCTS,
+  PRICING_RULE_SCHEMA,
+  getPricingRules,
+  previewPricing,
+  applyPricing
+} from '../services/pricingEngine.js'
+import { parseProductFilters } from '../services/productFilters.js'
+import { resolveCategoryFilter } from '../services/categories.js'
+import { validate, validationErrorResponse } from '../services/validation.js'
+
+const forbidden = (res) => res.status(403).json({
+  success: false,
+  error: {
+    message: 'Solo un administrador puede gestionar los precios'
+  }
+})
+
+const notFound = (res) => res.status(404).json({
+  success: false,
+  error: {
+    message: 'Regla de precios no encontrada'
+  }
+})
+
+// Validates a rule body; on update, min/max cost are checked against the
+// stored values for the bound that is not being changed
+const validateRule = (body, existing = null) => {
+  const { value, errors } = validate(PRICING_RULE_SCHEMA, body, { partial: Boolean(existing) })
+  const minCost = value.min_cost !== undefined ? value.min_cost : existing?.min_cost
+  const maxCost = value.max_cost !== undefined ? value.max_cost : existing?.max_cost
+
+  if (minCost !== null && minCost !== undefined && maxCost !== null && maxCost !== undefined && Number(minCost) >= Number(maxCost)) {
+    errors.push({ field: 'max_cost', message: 'Debe ser mayor que min_cost' })
+  }
+
+  return { value, errors }
+}
+
+// Same filters as the product listing, e.g. ?category=electronics&supplier=aliexpress
+const parsePricingFilters = async (input) => {
+  const { filters: parsedFilters, errors: filterErrors } = parseProductFilters(input)
+  const { filters, errors: categoryErrors } = await resolveCategoryFilter(parsedFilters)
+
+  return { filters, errors: [...filterErrors, ...categoryErrors] }
+}
+
+export const getPricingRuleList = async (req, res) => {
+  try {
+    const rules = await getPricingRules({ includeInactive: true })
+
+    res.json({
+      success: true,
+      data: rules
+    })
+  } catch (error) {
+    console.error('Error fetching pricing rules:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al obtener reglas de precios'
+      }
+    })
+  }
+}
+
+export const createPricingRule = async (req, res) => {
+  try {
+    if (req.user?.role !== 'admin') return forbidden(res)
+
+    const supabase = getDatabase()
+    const { value, errors } = validateRule(req.body)
+
+    if (errors.length > 0) return validationErrorResponse(res, errors)
+
+    const { data: rule, error } = await supabase
+      .from('pricing_rules')
+      .insert(value)
+      .select()
+      .single()
+
+    if (error) throw error
+
+    res.status(201).json({
+      success: true,
+      data: rule
+    })
+  } catch (error) {
+    console.error('Error creating pricing rule:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al crear regla de precios'
+      }
+    })
+  }
+}
+
+export const updatePricingRule = async (req, res) => {
+  try {
+    if (req.user?.role !== 'admin') return forbidden(res)
+
+    const supabase = getDatabase()
+    const { id } = req.params
+
+    const { data: existing, error: fetchError } = await supabase
+      .from('pricing_rules')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle()
+
+    if (fetchError) throw fetchError
+    if (!existing) return notFound(res)
+
+    const { value, errors } = validateRule(req.body, existing)
+
+    if (errors.length === 0 && Object.keys(value).length === 0) {
+      errors.push({ field: 'body', message: 'No hay campos para actualizar' })
+    }
+
+    if (errors.length > 0) return validationErrorResponse(res, errors)
+
+    const { data: rule, error } = await supabase
+      .from('pricing_rules')
+      .update({ ...value, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select()
+      .single()
+
+    if (error) throw error
+
+    res.json({
+      success: true,
+      data: rule
+    })
+  } catch (error) {
+    console.error('Error updating pricing rule:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al actualizar regla de precios'
+      }
+    })
+  }
+}
+
+export const deletePricingRule = async (req, res) => {
+  try {
+    if (req.user?.role !== 'admin') return forbidden(res)
+
+    const supabase = getDatabase()
+
+    const { data: rule, error } = await supabase
+      .from('pricing_rules')
+      .delete()
+      .eq('id', req.params.id)
+      .select()
+      .maybeSingle()
+
+    if (error) throw error
+    if (!rule) return notFound(res)
+
+    res.json({
+      success: true,
+      message: 'Regla de precios eliminada correctamente'
+    })
+  } catch (error) {
+    console.error('Error deleting pricing rule:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al eliminar regla de precios'
+      }
+    })
+  }
+}
+
+// Old vs new price for the products the rules would change; nothing is written
+export const getPricingPreview = async (req, res) => {
+  try {
+    const { limit, ...query } = req.query
+    const { filters, errors } = await parsePricingFilters(query)
+    const { value: options, errors: limitErrors } = validate({
+      limit: { type: 'integer', min: 1, max: MAX_PREVIEW_PRODUCTS }
+    }, { limit })
+
+    errors.push(...limitErrors)
+    if (errors.length > 0) return validationErrorResponse(res, errors, 'Parámetros no válidos')
+
+    const preview = await previewPricing(filters, { limit: options.limit ?? MAX_PREVIEW_PRODUCTS })
+
+    res.json({
+      success: true,
+      data: preview
+    })
+  } catch (error) {
+    console.error('Error previewing pricing:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al calcular la vista previa de precios'
+      }
+    })
+  }
+}
+
+// Applies the rules to the products matching the filters in the body (same
+// keys as the preview query string)
+export const applyPricingRules = async (req, res) => {
+  try {
+    if (req.user?.role !== 'admin') return forbidden(res)
+
+    const { filters, errors } = await parsePricingFilters(req.body || {})
+    if (errors.length > 0) return validationErrorResponse(res, errors)
+
+    const applied = await applyPricing(filters, req.user)
+
+    res.json({
+      success: true,
+      data: {
+        updated: applied.length,
+        changes: applied
+      }
+    })
+  } catch (error) {
+    console.error('Error applying pricing rules:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al aplicar reglas de precios'
+      }
+    })
+  }
+}
@@ -1,20 +1,111 @@
 import { getDatabase } from '../config/database.js'
 import { analyzeProductWithAI } from '../services/productAnalysis.js'
 import { searchTrendingProducts } from '../services/trendingProducts.js'
+import { VARIANT_CONFLICT, getProductVariants, saveProductVariants } from '../services/productVariants.js'
+import { getBundleItems, getBundleCost, validateBundleItems, saveBundleItems } from '../services/productBundles.js'
+import {
+  checkNewProduct,
+  flagDuplicates,
+  mergeIntoExisting,
+  summarizeMatches
+} from '../services/productDuplicates.js'
+import { searchProducts } from '../services/productSearch.js'
+import { getProductImages } from '../services/productImages.js'
+import {
+  REVISION_CAUSES,
+  recordProductRevision,
+  getProductHistory as fetchProductHistory,
+  rollbackProduct as rollbackProductToRevision
+} from '../services/productHistory.js'
+import { parseProductFilters, parseProductSort, applyProductFilters } from '../services/productFilters.js'
+import { resolveCategoryFilter, mapSourceCategory } from '../services/categories.js'
+import { validationErrorResponse } from '../services/validation.js'
+import { trashProducts } from '../services/productTrash.js'
+import { withSEODefaults, findProductBySlug, findSlugRedirect } from '../services/productSeo.js'
+import { slugify } from '../services/slug.js'
+import { loadPricingContext, priceProduct } from '../services/pricingEngine.js'
+import { withActiveSales } from '../services/scheduledSales.js'
+import { resolveLocale, localizeProduct, localizeProducts } from '../services/productTranslations.js'
+import { parsePagination, applyCursor, buildCursorPage, cursorMatchesSort } from '../services/pagination.js'
 
 export const getProducts = async (req, res) => {
   try {
     const supabase = getDatabase()
-    const { 
-      page = 1, 
-      limit = 12, 
-      category, 
-      search, 
-      sortBy = 'created_at',
-      sortOrder = 'desc'
-    } = req.query
+    const { search } = req.query
+    const locale = resolveLocale(req)
 
-    const offset = (page - 1) * limit
+    const { filters: parsedFilters, errors: filterErrors } = parseProductFilters(req.query)
+    const { filters, errors: categoryErrors } = await resolveCategoryFilter(parsedFilters)
+    const { sort, errors: sortErrors } = parseProductSort(req.query)
+    const { pagination, errors: paginationErrors } = parsePagination(req.query)
+    const errors = [...filterErrors, ...categoryErrors, ...sortErrors, ...paginationErrors]
+
+    if (pagination.mode === 'cursor' && !cursorMatchesSort(pagination.cursor, sort)) {
+      errors.push({ field: 'cursor', message: 'El cursor no corresponde a la ordenación solicitada' })
+    }
+
+    if (pagination.mode === 'cursor' && search) {
+      errors.push({ field: 'cursor', message: 'La búsqueda solo admite paginación por páginas' })
+    }
+
+    if (errors.length > 0) {
+      return validationErrorResponse(res, errors, 'Parámetros de filtrado no válidos')
+    }
+
+    const { page, limit, offset } = pagination
+
+    res.set('Content-Language', locale).vary('Accept-Language')
+
+    // Search mode: relevance-ranked results with facet counts, unless an
+    // explicit sortBy asks for another order
+    if (search && search.trim()) {
+      const { products, total, facets } = await searchProducts({
+        search,
+        filters,
+        sort: req.query.sortBy ? sort : null,
+        limit,
+        offset
+      })
+
+      return res.json({
+        success: true,
+        data: {
+          products: localizeProducts(await withActiveSales(products), locale),
+          facets,
+          pagination: {
+            mode: 'page',
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      })
+    }
+
+    // Cursor mode: keyset pagination on the sort field + id, no total count
+    if (pagination.mode === 'cursor') {
+      let query = supabase
+        .from('products')
+        .select('*')
+        .eq('is_active', true)
+
+      query = applyCursor(applyProductFilters(query, filters), sort, pagination)
+
+      const { data: rows, error } = await query
+
+      if (error) throw error
+
+      const { items, pagination: cursorPagination } = buildCursorPage(rows, sort, pagination)
+
+      return res.json({
+        success: true,
+        data: {
+          products: localizeProducts(await withActiveSales(items), locale),
+          pagination: cursorPagination
+        }
+      })
+    }
 
     let query = supabase
       .from('products')
@@ -22,16 +113,12 @@ export const getProducts = async (req, res) => {
       .eq('is_active', true)
 
     // Apply filters
-    if (category) {
-      query = query.eq('category', category)
-    }
-    
-    if (search) {
-      query = query.or(`title.ilike.%${search}%,description.ilike.%${search}%`)
-    }
+    query = applyProductFilters(query, filters)
 
-    // Apply sorting
-    query = query.order(sortBy, { ascending: sortOrder === 'asc' })
+    // Apply sorting (id as tie-breaker keeps pages stable)
+    query = query
+      .order(sort.field, { ascending: sort.ascending })
+      .order('id', { ascending: sort.ascending })
 
     // Apply pagination
     query = query.range(offset, offset + limit - 1)
@@ -43,10 +130,11 @@ export const getProducts = async (req, res) => {
     res.json({
       success: true,
       data: {
-        products,
+        products: localizeProducts(await withActiveSales(products), locale),
         pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
+          mode: 'page',
+          page,
+          limit,
           total: count || 0,
           pages: Math.ceil((count || 0) / limit)
         }
@@ -72,26 +160,47 @@ export const getProduct = async (req, res) => {
       .from('products')
       .select('*')
       .eq('id', id)
-      .eq('is_active', true)
-      .single()
+      .maybeSingle()
 
     if (error) throw error
 
+    await sendProductDetail(req, res, product)
+  } catch (error) {
+    console.error('Error fetching product:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al obtener producto'
+      }
+    })
+  }
+}
+
+export const getProductBySlug = async (req, res) => {
+  try {
+    const { slug } = req.params
+    const product = await findProductBySlug(slug)
+
+    // Slugs from before a title change answer with a permanent redirect
     if (!product) {
-      return res.status(404).json({
-        success: false,
-        error: {
-          message: 'Producto no encontrado'
-        }
-      })
+      const currentSlug = await findSlugRedirect(slug)
+
+      if (currentSlug) {
+        return res
+          .status(301)
+          .location(`${req.baseUrl}/slug/${currentSlug}`)
+          .json({
+            success: true,
+            data: {
+              redirect_to: currentSlug
+            }
+          })
+      }
     }
 
-    res.json({
-      success: true,
-      data: product
-    })
+    await sendProductDetail(req, res, product)
   } catch (error) {
-    console.error('Error fetching product:', error)
+    console.error('Error fetching product by slug:', error)
     res.status(500).json({
       success: false,
       error: {
@@ -101,6 +210,52 @@ export const getProduct = async (req, res) => {
   }
 }
 
+// Shared by the id and slug lookups. The text is served in the requested
+// locale, with all translations alongside for editing
+const sendProductDetail = async (req, res, product) => {
+  if (!product) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        message: 'Producto no encontrado'
+      }
+    })
+  }
+
+  // Soft-deleted products are in the trash, not gone
+  if (!product.is_active) {
+    return res.status(410).json({
+      success: false,
+      error: {
+        message: 'Producto eliminado'
+      }
+    })
+  }
+
+  const [variants, images, bundleItems, [withSale]] = await Promise.all([
+    getProductVariants(product.id),
+    getProductImages(product.id),
+    product.product_type === 'bundle' ? getBundleItems(product.id) : null,
+    withActiveSales([product])
+  ])
+
+  const localized = localizeProduct(withSale, resolveLocale(req), { keepTranslations: true })
+  res.set('Content-Language', localized.locale).vary('Accept-Language')
+
+  res.json({
+    success: true,
+    data: {
+      ...withSEODefaults(localized),
+      variants,
+      images,
+      ...(bundleItems && {
+        bundle_items: bundleItems,
+        bundle_cost: getBundleCost(bundleItems)
+      })
+    }
+  })
+}
+
 export const createProduct = async (req, res) => {
   try {
     const supabase = getDatabase()
@@ -111,13 +266,37 @@ export const createProduct = async (req, res) => {
       original_price,
       image_url,
       category,
+      category_id,
       supplier,
+      brand,
       sku,
       stock_quantity = 0,
-      margin_percentage
+      margin_percentage,
+      is_active = true,
+      slug,
+      meta_title,
+      meta_description,
+      product_type = 'simple',
+      cost_price,
+      competitor_price,
+      bundle_items = [],
+      variants = [],
+      translations = {}
     } = req.body
 
-    // Analyze product with AI if requested
+    // Bundle stock comes from its components, so bundles have no variants
+    const bundle = product_type === 'bundle'
+      ? await validateBundleItems(null, bundle_items)
+      : { items: [], errors: [] }
+
+    if (product_type === 'bundle' && variants.length > 0) {
+      bundle.errors.push({ field: 'variants', message: 'Un pack no puede tener variantes' })
+    }
+
+    if (bundle.errors.length > 0) return validationErrorResponse(res, bundle.errors)
+
+    // Analyze product with AI if requested (body already validated and
+    // whitelisted for the user's role by validateCreateProduct)
     let analysisResult = null
     if (req.body.analyze) {
       analysisResult = await analyzeProductWithAI({
@@ -128,6 +307,10 @@ export const createProduct = async (req, res) => {
       })
     }
 
+    // Manually created products are never merged, suspected duplicates are
+    // flagged for review and returned as a warning
+    const duplicateCheck = await checkNewProduct({ title, image_url })
+
     const { data: product, error } = await supabase
       .from('products')
       .insert({
@@ -137,25 +320,92 @@ export const createProduct = async (req, res) => {
         original_price,
         image_url,
         category,
+        category_id: category_id || await mapSourceCategory({ sourceCategory: category }),
         supplier,
+        brand,
         sku,
         stock_quantity,
-        score: analysisResult?.score || 0,
-        demand_score: analysisResult?.demand || 0,
-        competition_score: analysisResult?.competition || 0,
-        margin_percentage
+        score: analysisResult?.score || req.body.score || 0,
+        demand_score: analysisResult?.demand || req.body.demand_score || 0,
+        competition_score: analysisResult?.competition || req.body.competition_score || 0,
+        margin_percentage,
+        is_active,
+        // Generated from the title by the products_slug_update trigger when not given
+        slug: slug ? slugify(slug) : null,
+        meta_title,
+        meta_description,
+        product_type,
+        cost_price,
+        competitor_price,
+        translations,
+        image_hash: duplicateCheck.image_hash,
+        duplicates_checked_at: new Date().toISOString()
       })
       .select()
       .single()
 
     if (error) throw error
 
+    // Variants override the product-level price and stock with their
+    // aggregates. When they or the bundle components cannot be saved the
+    // product is removed again rather than left half created
+    let saved
+    try {
+      saved = Array.isArray(variants) && variants.length > 0
+        ? await saveProductVariants(product, variants)
+        : { product, variants: [] }
+
+      if (product_type === 'bundle') {
+        Object.assign(saved, await saveBundleItems(product, bundle.items))
+      }
+    } catch (saveError) {
+      await supabase.from('products').delete().eq('id', product.id)
+      throw saveError
+    }
+
+    await flagDuplicates(product.id, duplicateCheck.matches)
+
+    await recordProductRevision({
+      after: { ...saved.product, variants: saved.variants },
+      action: 'create',
+      cause: REVISION_CAUSES.MANUAL,
+      actor: req.user
+    })
+
     res.status(201).json({
       success: true,
-      data: product
+      data: {
+        ...saved.product,
+        variants: saved.variants,
+        ...(saved.bundle_items && { bundle_items: saved.bundle_items })
+      },
+      ...(duplicateCheck.matches.length > 0 && {
+        duplicates: summarizeMatches(duplicateCheck.matches)
+      })
     })
   } catch (error) {
     console.error('Error creating product:', error)
+
+    if (error.code === VARIANT_CONFLICT) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: 'Las variantes chocan con las de otro producto',
+          details: error.details
+        }
+      })
+    }
+
+    // Unique violation on slug or sku
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: 'El slug o SKU ya está en uso'
+        }
+      })
+    }
+
     res.status(500).json({
       success: false,
       error: {
@@ -169,10 +419,47 @@ export const updateProduct = async (req, res) => {
   try {
     const supabase = getDatabase()
     const { id } = req.params
-    const updates = req.body
+    // Only whitelisted, type-checked fields reach this point (validateUpdateProduct)
+    const { variants, bundle_items: bundleItems, ...updates } = req.body
+
+    const { data: before } = await supabase
+      .from('products')
+      .select('*')
+      .eq('id', id)
+      .single()
+
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Producto no encontrado'
+        }
+      })
+    }
+
+    // Components are required when a product becomes a bundle and dropped when
+    // it stops being one
+    const productType = updates.product_type || before.product_type || 'simple'
+    const bundle = productType === 'bundle' && (bundleItems || before.product_type !== 'bundle')
+      ? await validateBundleItems(id, bundleItems)
+      : { items: [], errors: [] }
+
+    if (productType !== 'bundle' && bundleItems) {
+      bundle.errors.push({ field: 'bundle_items', message: 'Solo los packs tienen componentes' })
+    }
+    if (productType === 'bundle' && Array.isArray(variants) && variants.length > 0) {
+      bundle.errors.push({ field: 'variants', message: 'Un pack no puede tener variantes' })
+    }
+    // Sending variants: [] along with the change deactivates the existing ones
+    if (productType === 'bundle' && before.has_variants && !Array.isArray(variants)) {
+      bundle.errors.push({ field: 'variants', message: 'El producto tiene variantes; envía variants: [] para eliminarlas antes de convertirlo en pack' })
+    }
+
+    if (bundle.errors.length > 0) return validationErrorResponse(res, bundle.errors)
 
     // Re-analyze if product data changed significantly
-    if (updates.title || updates.price || updates.category) {
+    const reanalyze = Boolean(updates.title || updates.price || updates.category)
+    if (reanalyze) {
       const analysisResult = await analyzeProductWithAI({
         title: updates.title,
         price: updates.price,
@@ -184,6 +471,15 @@ export const updateProduct = async (req, res) => {
       updates.competition_score = analysisResult.competition
     }
 
+    if (updates.slug) {
+      updates.slug = slugify(updates.slug)
+    }
+
+    // Keep the taxonomy link in sync when only the free-text label changes
+    if (updates.category && !updates.category_id) {
+      updates.category_id = await mapSourceCategory({ sourceCategory: updates.category })
+    }
+
     updates.updated_at = new Date().toISOString()
 
     const { data: product, error } = await supabase
@@ -195,12 +491,58 @@ export const updateProduct = async (req, res) => {
 
     if (error) throw error
 
+    // Variants are only touched when the client sends them
+    const beforeVariants = await getProductVariants(product.id)
+    const saved = Array.isArray(variants)
+      ? await saveProductVariants(product, variants)
+      : { product, variants: beforeVariants }
+
+    if (productType === 'bundle' && bundle.items.length > 0) {
+      Object.assign(saved, await saveBundleItems(product, bundle.items))
+    } else if (productType !== 'bundle' && before.product_type === 'bundle') {
+      Object.assign(saved, await saveBundleItems(product, []))
+    }
+
+    await recordProductRevision({
+      before: { ...before, variants: beforeVariants },
+      after: { ...saved.product, variants: saved.variants },
+      action: 'update',
+      cause: REVISION_CAUSES.MANUAL,
+      actor: req.user,
+      metadata: reanalyze ? { reanalyzed: true } : null
+    })
+
     res.json({
       success: true,
-      data: product
+      data: {
+        ...saved.product,
+        variants: saved.variants,
+        ...(saved.bundle_items && { bundle_items: saved.bundle_items })
+      }
     })
   } catch (error) {
     console.error('Error updating product:', error)
+
+    if (error.code === VARIANT_CONFLICT) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: 'Las variantes chocan con las de otro producto',
+          details: error.details
+        }
+      })
+    }
+
+    // Unique violation on slug or sku
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: 'El slug o SKU ya está en uso'
+        }
+      })
+    }
+
     res.status(500).json({
       success: false,
       error: {
@@ -212,18 +554,19 @@ export const updateProduct = async (req, res) => {
 
 export const deleteProduct = async (req, res) => {
   try {
-    const supabase = getDatabase()
     const { id } = req.params
 
-    const { error } = await supabase
-      .from('products')
-      .update({ 
-        is_active: false,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', id)
+    // Moves the product to the trash; it can be restored until the retention job purges it
+    const [product] = await trashProducts([id], req.user)
 
-    if (error) throw error
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Producto no encontrado o ya eliminado'
+        }
+      })
+    }
 
     res.json({
       success: true,
@@ -240,6 +583,75 @@ export const deleteProduct = async (req, res) => {
   }
 }
 
+export const getProductHistory = async (req, res) => {
+  try {
+    const { id } = req.params
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100)
+    const page = Math.max(parseInt(req.query.page) || 1, 1)
+
+    const { revisions, total } = await fetchProductHistory(id, {
+      limit,
+      offset: (page - 1) * limit
+    })
+
+    res.json({
+      success: true,
+      data: {
+        revisions,
+        pagination: {
+          mode: 'page',
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    })
+  } catch (error) {
+    console.error('Error fetching product history:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al obtener historial del producto'
+      }
+    })
+  }
+}
+
+export const rollbackProduct = async (req, res) => {
+  try {
+    const { id, revisionId } = req.params
+
+    const { product, notRestored } = await rollbackProductToRevision(id, revisionId, req.user)
+
+    res.json({
+      success: true,
+      data: product,
+      // Fields the revision recorded but a rollback does not write back
+      ...(notRestored.length > 0 && { not_restored: notRestored })
+    })
+  } catch (error) {
+    console.error('Error rolling back product:', error)
+
+    if (error.code === VARIANT_CONFLICT) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: 'Las variantes chocan con las de otro producto',
+          details: error.details
+        }
+      })
+    }
+
+    res.status(error.status || 500).json({
+      success: false,
+      error: {
+        message: error.status ? error.message : 'Error al restaurar revisión del producto'
+      }
+    })
+  }
+}
+
 export const analyzeProduct = async (req, res) => {
   try {
     const { url, title, price, category, supplier } = req.body
@@ -300,9 +712,18 @@ export const getTrendingProducts = async (req, res) => {
   }
 }
 
+// Price and margin from the pricing rules for products with a cost_price,
+// when the import asked for it (pricingContext is null otherwise)
+const withRulePricing = (product, pricingContext) => {
+  const pricing = pricingContext && priceProduct(product, pricingContext)
+  if (!pricing) return product
+
+  return { ...product, price: pricing.price, margin_percentage: pricing.margin_percentage }
+}
+
 export const bulkImportProducts = async (req, res) => {
   try {
-    const { products } = req.body
+    const { products, on_duplicate: onDuplicate = 'flag', apply_pricing: applyPricing = false } = req.body
 
     if (!Array.isArray(products) || products.length === 0) {
       return res.status(400).json({
@@ -315,15 +736,49 @@ export const bulkImportProducts = async (req, res) => {
 
     const supabase = getDatabase()
     const results = []
+    const pricingContext = applyPricing ? await loadPricingContext() : null
 
     // Process products in batches to avoid overwhelming the system
     const batchSize = 10
     for (let i = 0; i < products.length; i += batchSize) {
-      const batch = products.slice(i, i + batchSize)
+      const candidates = products.slice(i, i + batchSize)
+
+      // Certain duplicates of existing products are merged into them when
+      // on_duplicate is "merge"; everything else is inserted and flagged
+      const checks = await Promise.all(candidates.map(product => checkNewProduct(product)))
+      const batch = []
+      const batchChecks = []
+      const merged = []
+
+      for (const [index, product] of candidates.entries()) {
+        const check = checks[index]
+
+        if (onDuplicate === 'merge' && check.duplicate) {
+          const existing = await mergeIntoExisting(check.duplicate.product, product, { actor: req.user })
+          merged.push({ title: product.title, merged_into: existing.id, score: check.duplicate.score })
+          continue
+        }
+
+        batch.push({
+          ...product,
+          image_hash: check.image_hash,
+          duplicates_checked_at: new Date().toISOString()
+        })
+        batchChecks.push(check)
+      }
+
+      if (batch.length === 0) {
+        results.push({ success: true, count: 0, products: [], merged })
+        continue
+      }
       
       // Analyze each product in the batch
       const analyzedBatch = await Promise.all(
-        batch.map(async (product) => {
+        batch.map(async ({ variants, ...product }) => {
+          if (product.category && !product.category_id) {
+            product.category_id = await mapSourceCategory({ sourceCategory: product.category })
+          }
+
           try {
             const analysisResult = await analyzeProductWithAI({
               title: product.title,
@@ -332,16 +787,16 @@ export const bulkImportProducts = async (req, res) => {
               supplier: product.supplier
             })
             
-            return {
+            return withRulePricing({
               ...product,
               score: analysisResult.score,
               demand_score: analysisResult.demand,
               competition_score: analysisResult.competition,
               margin_percentage: analysisResult.recommended_margin
-            }
+            }, pricingContext)
           } catch (error) {
             console.error('Error analyzing product:', product.title, error)
-            return product
+            return withRulePricing(product, pricingContext)
           }
         })
       )
@@ -354,9 +809,42 @@ export const bulkImportProducts = async (req, res) => {
 
       if (error) {
         console.error('Error inserting batch:', error)
-        results.push({ error: error.message, products: batch })
+        results.push({ error: error.message, products: batch, merged })
       } else {
-        results.push({ success: true, count: data.length, products: data })
+        await Promise.all(data.map((product, index) => flagDuplicates(product.id, batchChecks[index].matches)))
+
+        // Inserted rows come back in batch order, so variants can be matched by index
+        const products = await Promise.all(
+          data.map(async (product, index) => {
+            const variants = batch[index].variants
+            if (!Array.isArray(variants) || variants.length === 0) return product
+
+            try {
+              const saved = await saveProductVariants(product, variants)
+              return { ...saved.product, variants: saved.variants }
+            } catch (error) {
+              console.error('Error saving variants:', product.title, error)
+              return { ...product, variants_error: error.message }
+            }
+          })
+        )
+
+        await Promise.all(products.map(({ variants_error, ...product }) => recordProductRevision({
+          after: product,
+          action: 'create',
+          cause: REVISION_CAUSES.IMPORT,
+          actor: req.user
+        })))
+
+        results.push({
+          success: true,
+          count: data.length,
+          products,
+          merged,
+          duplicates: data
+            .map((product, index) => ({ product_id: product.id, matches: summarizeMatches(batchChecks[index].matches) }))
+            .filter(entry => entry.matches.length > 0)
+        })
       }
     }
 
@@ -0,0 +1,115 @@
+import {
+  SUSPECT_SCORE,
+  listDuplicateGroups,
+  mergeDuplicates,
+  dismissDuplicate
+} from '../services/productDuplicates.js'
+import { isUUID, validate, validationErrorResponse } from '../services/validation.js'
+
+const MERGE_SCHEMA = {
+  primary_id: { type: 'uuid', required: true },
+  duplicate_ids: { type: 'array', required: true, minLength: 1, maxLength: 100, items: { type: 'uuid' } }
+}
+
+const forbidden = (res) => res.status(403).json({
+  success: false,
+  error: {
+    message: 'Solo un administrador puede gestionar productos duplicados'
+  }
+})
+
+export const getDuplicateGroups = async (req, res) => {
+  try {
+    if (req.user?.role !== 'admin') return forbidden(res)
+
+    const { value: query, errors } = validate({ min_score: { type: 'number', min: 0, max: 1 } }, {
+      min_score: req.query.min_score
+    })
+
+    if (errors.length > 0) return validationErrorResponse(res, errors, 'Parámetros no válidos')
+
+    const groups = await listDuplicateGroups({ minScore: query.min_score ?? SUSPECT_SCORE })
+
+    res.json({
+      success: true,
+      data: groups
+    })
+  } catch (error) {
+    console.error('Error fetching duplicate groups:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al obtener productos duplicados'
+      }
+    })
+  }
+}
+
+// Keeps primary_id and moves duplicate_ids to the trash
+export const mergeDuplicateProducts = async (req, res) => {
+  try {
+    if (req.user?.role !== 'admin') return forbidden(res)
+
+    const { value, errors } = validate(MERGE_SCHEMA, req.body)
+    if (errors.length > 0) return validationErrorResponse(res, errors)
+
+    const result = await mergeDuplicates(value.primary_id, value.duplicate_ids, req.user)
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Producto no encontrado'
+        }
+      })
+    }
+
+    res.json({
+      success: true,
+      data: result
+    })
+  } catch (error) {
+    console.error('Error merging duplicate products:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al fusionar productos duplicados'
+      }
+    })
+  }
+}
+
+// The pair is not suggested again, even if both products change
+export const dismissDuplicatePair = async (req, res) => {
+  try {
+    if (req.user?.role !== 'admin') return forbidden(res)
+
+    if (!isUUID(req.params.pairId)) {
+      return validationErrorResponse(res, [{ field: 'pairId', message: 'Debe ser un UUID válido' }], 'Identificador no válido')
+    }
+
+    const pair = await dismissDuplicate(req.params.pairId, req.user)
+
+    if (!pair) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Sugerencia de duplicado no encontrada'
+        }
+      })
+    }
+
+    res.json({
+      success: true,
+      data: pair
+    })
+  } catch (error) {
+    console.error('Error dismissing duplicate pair:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al descartar duplicado'
+      }
+    })
+  }
+}
@@ -0,0 +1,105 @@
+import { once } from 'events'
+import { parseProductFilters } from '../services/productFilters.js'
+import { resolveCategoryFilter } from '../services/categories.js'
+import { EXPORT_FORMATS, getExportFields, iterateCatalog } from '../services/catalogExport.js'
+import { toCSVRow } from '../services/csv.js'
+import { validationErrorResponse } from '../services/validation.js'
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8'
+}
+
+// Respects backpressure so slow clients don't buffer the whole catalog. When
+// the client goes away while waiting it throws, which ends the export loop and
+// with it the catalog iterator
+const write = async (res, chunk) => {
+  if (res.destroyed) throw new Error('Client disconnected')
+  if (res.write(chunk)) return
+
+  const controller = new AbortController()
+  try {
+    const event = await Promise.race([
+      once(res, 'drain', { signal: controller.signal }).then(() => 'drain'),
+      once(res, 'close', { signal: controller.signal }).then(() => 'close')
+    ])
+
+    if (event === 'close') throw new Error('Client disconnected')
+  } finally {
+    controller.abort()
+  }
+}
+
+// JSON is written as { "products": [...] }, the shape /bulk-import takes, so
+// an export can seed a catalog with copies of the products. CSV matches the
+// columns of the file import, which updates the products by SKU
+export const exportProducts = async (req, res) => {
+  const format = req.query.format || 'csv'
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: `Formato no soportado, use uno de: ${EXPORT_FORMATS.join(', ')}`
+      }
+    })
+  }
+
+  const { filters: parsedFilters, errors: filterErrors } = parseProductFilters(req.query)
+  const { filters, errors: categoryErrors } = await resolveCategoryFilter(parsedFilters)
+  const errors = [...filterErrors, ...categoryErrors]
+
+  if (errors.length > 0) {
+    return validationErrorResponse(res, errors, 'Parámetros de filtrado no válidos')
+  }
+
+  // Inactive products are only exported for admins
+  const includeInactive = req.query.include_inactive === 'true' && req.user?.role === 'admin'
+  const fields = getExportFields(req.user, format)
+  const filename = `products-${new Date().toISOString().slice(0, 10)}.${format}`
+
+  res.setHeader('Content-Type', CONTENT_TYPES[format])
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`)
+
+  try {
+    let first = true
+
+    if (format === 'csv') await write(res, toCSVRow(fields))
+    if (format === 'json') await write(res, '{"products":[')
+
+    for await (const product of iterateCatalog(filters, { fields, includeInactive })) {
+      if (format === 'csv') {
+        await write(res, toCSVRow(fields.map(field => product[field])))
+      } else if (format === 'json') {
+        await write(res, (first ? '' : ',') + JSON.stringify(product))
+      } else {
+        await write(res, JSON.stringify(product) + '\n')
+      }
+      first = false
+    }
+
+    if (format === 'json') await write(res, ']}')
+
+    res.end()
+  } catch (error) {
+    if (res.destroyed) {
+      console.warn('Product export aborted:', error.message)
+      return
+    }
+
+    console.error('Error exporting products:', error)
+
+    if (!res.headersSent) {
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: 'Error al exportar productos'
+        }
+      })
+    }
+
+    // Part of the file was already sent; abort so the client sees a failed download
+    res.destroy(error)
+  }
+}
@@ -0,0 +1,170 @@
+import { getDatabase } from '../config/database.js'
+import {
+  getProductImages,
+  addProductImage,
+  deleteProductImage,
+  reorderProductImages,
+  assertReadableImage,
+  INVALID_IMAGE
+} from '../services/productImages.js'
+import { isUUID, validationErrorResponse } from '../services/validation.js'
+
+export const listProductImages = async (req, res) => {
+  try {
+    const images = await getProductImages(req.params.id)
+
+    res.json({
+      success: true,
+      data: images
+    })
+  } catch (error) {
+    console.error('Error fetching product images:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al obtener imágenes del producto'
+      }
+    })
+  }
+}
+
+export const uploadImages = async (req, res) => {
+  try {
+    const supabase = getDatabase()
+    const { id } = req.params
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Se requiere al menos una imagen en el campo "images"'
+        }
+      })
+    }
+
+    const { data: product } = await supabase
+      .from('products')
+      .select('id')
+      .eq('id', id)
+      .single()
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Producto no encontrado'
+        }
+      })
+    }
+
+    // Every file is checked before any is stored, so an upload is all or nothing
+    const invalid = []
+    for (const [index, file] of req.files.entries()) {
+      try {
+        await assertReadableImage(file.buffer)
+      } catch (error) {
+        if (error.code !== INVALID_IMAGE) throw error
+        invalid.push({ field: `images[${index}]`, message: `${file.originalname}: no es una imagen válida o está dañada` })
+      }
+    }
+
+    if (invalid.length > 0) {
+      return validationErrorResponse(res, invalid, 'El archivo no es una imagen válida o está dañado')
+    }
+
+    // Processed one at a time to keep sharp's memory usage bounded
+    const images = []
+    for (const file of req.files) {
+      images.push(await addProductImage(id, file, { altText: req.body.alt_text }))
+    }
+
+    res.status(201).json({
+      success: true,
+      data: images
+    })
+  } catch (error) {
+    if (error.code === INVALID_IMAGE) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'El archivo no es una imagen válida o está dañado'
+        }
+      })
+    }
+
+    console.error('Error uploading product images:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al subir imágenes del producto'
+      }
+    })
+  }
+}
+
+export const reorderImages = async (req, res) => {
+  try {
+    const { image_ids } = req.body
+
+    if (!Array.isArray(image_ids) || image_ids.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Se requiere un array image_ids con el nuevo orden'
+        }
+      })
+    }
+
+    const invalidIds = image_ids
+      .map((imageId, index) => ({ imageId, index }))
+      .filter(({ imageId }) => !isUUID(imageId))
+      .map(({ index }) => ({ field: `image_ids[${index}]`, message: 'Debe ser un UUID válido' }))
+
+    if (invalidIds.length > 0) return validationErrorResponse(res, invalidIds)
+
+    const images = await reorderProductImages(req.params.id, image_ids)
+
+    res.json({
+      success: true,
+      data: images
+    })
+  } catch (error) {
+    console.error('Error reordering product images:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al reordenar imágenes del producto'
+      }
+    })
+  }
+}
+
+export const removeImage = async (req, res) => {
+  try {
+    const image = isUUID(req.params.imageId)
+      ? await deleteProductImage(req.params.id, req.params.imageId)
+      : null
+
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Imagen no encontrada'
+        }
+      })
+    }
+
+    res.json({
+      success: true,
+      message: 'Imagen eliminada correctamente'
+    })
+  } catch (error) {
+    console.error('Error deleting product image:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al eliminar imagen del producto'
+      }
+    })
+  }
+}
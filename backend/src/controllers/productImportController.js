@@ -0,0 +1,246 @@
+import { getDatabase } from '../config/database.js'
+import {
+  detectImportFormat,
+  parseImportFile,
+  runCatalogImport,
+  buildImportReportCSV
+} from '../services/catalogImport.js'
+import { DUPLICATE_ACTIONS } from '../services/productDuplicates.js'
+
+const MAX_IMPORT_ROWS = 10000
+
+// Runs the import and stores its outcome on the job. Returns the completed
+// job; failures mark the job as failed and are rethrown
+const runImportJob = async (job, rows, options) => {
+  const supabase = getDatabase()
+
+  try {
+    const { summary, results } = await runCatalogImport(rows, options)
+
+    const { data: completedJob, error } = await supabase
+      .from('import_jobs')
+      .update({
+        status: 'completed',
+        summary,
+        results,
+        completed_at: new Date().toISOString()
+      })
+      .eq('id', job.id)
+      .select()
+      .single()
+
+    if (error) throw error
+
+    return completedJob
+  } catch (error) {
+    await supabase
+      .from('import_jobs')
+      .update({ status: 'failed', completed_at: new Date().toISOString() })
+      .eq('id', job.id)
+
+    throw error
+  }
+}
+
+// With analyze every row waits for an AI call, so those imports run in the
+// background: the response is a 202 with the job, polled at /imports/:id
+export const importProductsFile = async (req, res) => {
+  const supabase = getDatabase()
+
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Se requiere un archivo CSV o XLSX en el campo "file"'
+        }
+      })
+    }
+
+    const format = detectImportFormat(req.file)
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Formato no soportado, use CSV o XLSX'
+        }
+      })
+    }
+
+    let mapping = {}
+    if (req.body.mapping) {
+      try {
+        mapping = typeof req.body.mapping === 'string' ? JSON.parse(req.body.mapping) : req.body.mapping
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'El mapeo de columnas debe ser un objeto JSON válido'
+          }
+        })
+      }
+    }
+
+    const dryRun = req.body.dry_run === 'true' || req.body.dry_run === true
+    const analyze = req.body.analyze === 'true' || req.body.analyze === true
+    const applyPricing = req.body.apply_pricing === 'true' || req.body.apply_pricing === true
+    const onDuplicate = req.body.on_duplicate || 'flag'
+
+    if (!DUPLICATE_ACTIONS.includes(onDuplicate)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `on_duplicate debe ser uno de: ${DUPLICATE_ACTIONS.join(', ')}`
+        }
+      })
+    }
+
+    let rows
+    try {
+      rows = await parseImportFile(req.file, format)
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `No se pudo leer el archivo ${format.toUpperCase()}`
+        }
+      })
+    }
+
+    if (rows.length === 0 || rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `El archivo debe contener entre 1 y ${MAX_IMPORT_ROWS} filas`
+        }
+      })
+    }
+
+    const { data: job, error: jobError } = await supabase
+      .from('import_jobs')
+      .insert({
+        filename: req.file.originalname,
+        format,
+        dry_run: dryRun,
+        status: 'processing',
+        created_by: req.user?.id || null
+      })
+      .select()
+      .single()
+
+    if (jobError) throw jobError
+
+    const options = { mapping, dryRun, analyze, applyPricing, onDuplicate, actor: req.user }
+
+    if (analyze && !dryRun) {
+      runImportJob(job, rows, options).catch(error => {
+        console.error('Error importing products file:', error)
+      })
+
+      return res.status(202).json({
+        success: true,
+        data: {
+          ...job,
+          job_url: `/api/products/imports/${job.id}`,
+          report_url: `/api/products/imports/${job.id}/report`
+        }
+      })
+    }
+
+    const completedJob = await runImportJob(job, rows, options)
+
+    res.json({
+      success: true,
+      data: {
+        ...completedJob,
+        report_url: `/api/products/imports/${job.id}/report`
+      }
+    })
+  } catch (error) {
+    console.error('Error importing products file:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al importar archivo de productos'
+      }
+    })
+  }
+}
+
+// Jobs and their reports are visible to whoever started the import and to
+// admins; anyone else gets a 404 like for an unknown job. columns must
+// include created_by
+const findOwnImportJob = async (req, columns) => {
+  const { data: job, error } = await getDatabase()
+    .from('import_jobs')
+    .select(columns)
+    .eq('id', req.params.id)
+    .maybeSingle()
+
+  if (error) throw error
+  if (!job) return null
+  if (req.user?.role !== 'admin' && job.created_by !== req.user?.id) return null
+
+  return job
+}
+
+export const getImportJob = async (req, res) => {
+  try {
+    const job = await findOwnImportJob(req, '*')
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Importación no encontrada'
+        }
+      })
+    }
+
+    res.json({
+      success: true,
+      data: job
+    })
+  } catch (error) {
+    console.error('Error fetching import job:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al obtener importación'
+      }
+    })
+  }
+}
+
+// Per-row result report as a CSV download (or JSON with ?format=json)
+export const downloadImportReport = async (req, res) => {
+  try {
+    const job = await findOwnImportJob(req, 'id, results, created_by')
+
+    if (!job || !job.results) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Informe de importación no disponible'
+        }
+      })
+    }
+
+    if (req.query.format === 'json') {
+      res.setHeader('Content-Disposition', `attachment; filename="import-${job.id}.json"`)
+      return res.json(job.results)
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8')
+    res.setHeader('Content-Disposition', `attachment; filename="import-${job.id}.csv"`)
+    res.send(buildImportReportCSV(job.results))
+  } catch (error) {
+    console.error('Error downloading import report:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al descargar informe de importación'
+      }
+    })
+  }
+}
@@ -0,0 +1,64 @@
+import { getDatabase } from '../config/database.js'
+import {
+  RECOMMENDATION_KINDS,
+  MAX_RECOMMENDATIONS_LIMIT,
+  getRecommendations
+} from '../services/productRecommendations.js'
+import { validate, validationErrorResponse } from '../services/validation.js'
+
+const RECOMMENDATIONS_QUERY_SCHEMA = {
+  kind: { type: 'string', enum: RECOMMENDATION_KINDS },
+  limit: { type: 'integer', min: 1, max: MAX_RECOMMENDATIONS_LIMIT }
+}
+
+// Precomputed by the scheduler; products with no order history still get
+// similar products once the nightly refresh has run
+export const getProductRecommendations = async (req, res) => {
+  try {
+    const supabase = getDatabase()
+    const { id } = req.params
+    const { value: query, errors } = validate(RECOMMENDATIONS_QUERY_SCHEMA, {
+      kind: req.query.kind,
+      limit: req.query.limit
+    })
+
+    if (errors.length > 0) {
+      return validationErrorResponse(res, errors, 'Parámetros no válidos')
+    }
+
+    const { data: product } = await supabase
+      .from('products')
+      .select('id')
+      .eq('id', id)
+      .eq('is_active', true)
+      .maybeSingle()
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Producto no encontrado'
+        }
+      })
+    }
+
+    const { recommendations, computed_at } = await getRecommendations(id, {
+      kinds: query.kind ? [query.kind] : RECOMMENDATION_KINDS,
+      limit: query.limit
+    })
+
+    res.json({
+      success: true,
+      data: recommendations,
+      computed_at
+    })
+  } catch (error) {
+    console.error('Error fetching product recommendations:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al obtener recomendaciones'
+      }
+    })
+  }
+}
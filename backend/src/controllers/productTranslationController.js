@@ -0,0 +1,155 @@
+import { getDatabase } from '../config/database.js'
+import { translateProductWithAI } from '../services/productAnalysis.js'
+import { REVISION_CAUSES, recordProductRevision } from '../services/productHistory.js'
+import { TRANSLATION_LOCALES, TRANSLATION_SCHEMA, saveTranslation } from '../services/productTranslations.js'
+import { validate, validationErrorResponse } from '../services/validation.js'
+
+const notFound = (res) => res.status(404).json({
+  success: false,
+  error: {
+    message: 'Producto no encontrado'
+  }
+})
+
+const checkLocale = (req, res) => {
+  if (TRANSLATION_LOCALES.includes(req.params.locale)) return true
+
+  validationErrorResponse(res, [{
+    field: 'locale',
+    message: `Debe ser uno de: ${TRANSLATION_LOCALES.join(', ')}`
+  }], 'Idioma no válido')
+
+  return false
+}
+
+const saveAndRecord = async (req, locale, translation, cause, metadata = null) => {
+  const saved = await saveTranslation(req.params.id, locale, translation)
+  if (!saved) return null
+
+  await recordProductRevision({
+    before: saved.before,
+    after: saved.after,
+    action: 'update',
+    cause,
+    actor: req.user,
+    metadata
+  })
+
+  return saved.after
+}
+
+export const updateProductTranslation = async (req, res) => {
+  try {
+    if (!checkLocale(req, res)) return
+
+    const { value, errors } = validate(TRANSLATION_SCHEMA, req.body)
+
+    if (errors.length > 0) return validationErrorResponse(res, errors)
+
+    const product = await saveAndRecord(req, req.params.locale, value, REVISION_CAUSES.MANUAL)
+    if (!product) return notFound(res)
+
+    res.json({
+      success: true,
+      data: {
+        locale: req.params.locale,
+        translation: product.translations[req.params.locale]
+      }
+    })
+  } catch (error) {
+    console.error('Error updating product translation:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al guardar traducción'
+      }
+    })
+  }
+}
+
+// Without a translation the product is served in the default locale again
+export const deleteProductTranslation = async (req, res) => {
+  try {
+    if (!checkLocale(req, res)) return
+
+    const product = await saveAndRecord(req, req.params.locale, null, REVISION_CAUSES.MANUAL)
+    if (!product) return notFound(res)
+
+    res.json({
+      success: true,
+      message: 'Traducción eliminada correctamente'
+    })
+  } catch (error) {
+    console.error('Error deleting product translation:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al eliminar traducción'
+      }
+    })
+  }
+}
+
+// Replaces any existing translation with a machine one; it can be reviewed
+// and corrected afterwards through the PUT
+export const generateProductTranslation = async (req, res) => {
+  try {
+    if (!checkLocale(req, res)) return
+
+    const supabase = getDatabase()
+    const { locale } = req.params
+
+    const { data: source, error } = await supabase
+      .from('products')
+      .select('id, title, description, meta_title, meta_description')
+      .eq('id', req.params.id)
+      .maybeSingle()
+
+    if (error) throw error
+    if (!source) return notFound(res)
+
+    let generated
+    try {
+      generated = await translateProductWithAI(source, locale)
+    } catch (translationError) {
+      console.error('Error translating product with AI:', translationError)
+      return res.status(502).json({
+        success: false,
+        error: {
+          message: 'No se pudo traducir automáticamente'
+        }
+      })
+    }
+
+    const { value, errors } = validate(TRANSLATION_SCHEMA, generated)
+
+    if (errors.length > 0) {
+      console.error('Invalid AI translation:', errors)
+      return res.status(502).json({
+        success: false,
+        error: {
+          message: 'No se pudo traducir automáticamente'
+        }
+      })
+    }
+
+    const product = await saveAndRecord(req, locale, value, REVISION_CAUSES.TRANSLATION, { locale })
+    if (!product) return notFound(res)
+
+    res.json({
+      success: true,
+      data: {
+        locale,
+        translation: product.translations[locale]
+      }
+    })
+  } catch (error) {
+    console.error('Error generating product translation:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al traducir producto'
+      }
+    })
+  }
+}
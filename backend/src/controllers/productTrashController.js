@@ -0,0 +1,214 @@
+import { parseProductFilters } from '../services/productFilters.js'
+import { resolveCategoryFilter } from '../services/categories.js'
+import { parsePagination } from '../services/pagination.js'
+import { validationErrorResponse, isUUID } from '../services/validation.js'
+import {
+  MAX_BULK_IDS,
+  listTrash,
+  resolveBulkTargets,
+  trashProducts,
+  restoreProducts,
+  purgeProducts
+} from '../services/productTrash.js'
+
+const isEffectiveFilter = (value) => value !== undefined && value !== false &&
+  !(Array.isArray(value) && value.length === 0)
+
+const forbidden = (res, message) => res.status(403).json({
+  success: false,
+  error: {
+    message
+  }
+})
+
+// Bulk bodies are either { ids: [...] } or { filter: { <listing query params> } }
+const parseBulkBody = async (body = {}) => {
+  const { ids, filter } = body
+
+  if (ids !== undefined) {
+    if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_BULK_IDS) {
+      return { errors: [{ field: 'ids', message: `Debe ser una lista de entre 1 y ${MAX_BULK_IDS} ids` }] }
+    }
+
+    const invalid = ids.findIndex(id => !isUUID(id))
+    if (invalid !== -1) {
+      return { errors: [{ field: `ids[${invalid}]`, message: 'Debe ser un UUID válido' }] }
+    }
+
+    return { target: { ids }, errors: [] }
+  }
+
+  if (!filter || typeof filter !== 'object' || Object.keys(filter).length === 0) {
+    return { errors: [{ field: 'body', message: 'Se requiere ids o un filtro no vacío' }] }
+  }
+
+  const { filters: parsedFilters, errors: filterErrors } = parseProductFilters(filter)
+  const { filters, errors: categoryErrors } = await resolveCategoryFilter(parsedFilters)
+  const errors = [...filterErrors, ...categoryErrors]
+
+  // Unknown keys and no-op values (in_stock=false) parse to nothing, and an
+  // empty filter would match the whole catalog
+  if (errors.length === 0 && !Object.values(filters).some(isEffectiveFilter)) {
+    errors.push({ field: 'filter', message: 'El filtro no contiene ningún criterio válido' })
+  }
+
+  return { target: { filters }, errors }
+}
+
+export const getTrash = async (req, res) => {
+  try {
+    const { pagination, errors } = parsePagination({ ...req.query, pagination: 'page' })
+
+    if (errors.length > 0) {
+      return validationErrorResponse(res, errors, 'Parámetros de paginación no válidos')
+    }
+
+    const { page, limit, offset } = pagination
+    const { products, total } = await listTrash({ limit, offset })
+
+    res.json({
+      success: true,
+      data: {
+        products,
+        pagination: {
+          mode: 'page',
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    })
+  } catch (error) {
+    console.error('Error fetching trash:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al obtener la papelera'
+      }
+    })
+  }
+}
+
+export const restoreProduct = async (req, res) => {
+  try {
+    if (req.user?.role !== 'admin') {
+      return forbidden(res, 'Solo un administrador puede restaurar productos')
+    }
+
+    const [product] = await restoreProducts([req.params.id], req.user)
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Producto no encontrado en la papelera'
+        }
+      })
+    }
+
+    res.json({
+      success: true,
+      data: product
+    })
+  } catch (error) {
+    console.error('Error restoring product:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al restaurar producto'
+      }
+    })
+  }
+}
+
+export const bulkDeleteProducts = async (req, res) => {
+  try {
+    if (req.user?.role !== 'admin') {
+      return forbidden(res, 'Solo un administrador puede eliminar productos en lote')
+    }
+
+    const { target, errors } = await parseBulkBody(req.body)
+    if (errors.length > 0) return validationErrorResponse(res, errors)
+
+    const ids = await resolveBulkTargets(target, { active: true })
+    const products = await trashProducts(ids, req.user)
+
+    res.json({
+      success: true,
+      data: {
+        deleted: products.map(product => product.id)
+      }
+    })
+  } catch (error) {
+    console.error('Error bulk deleting products:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al eliminar productos en lote'
+      }
+    })
+  }
+}
+
+export const bulkRestoreProducts = async (req, res) => {
+  try {
+    if (req.user?.role !== 'admin') {
+      return forbidden(res, 'Solo un administrador puede restaurar productos en lote')
+    }
+
+    const { target, errors } = await parseBulkBody(req.body)
+    if (errors.length > 0) return validationErrorResponse(res, errors)
+
+    const ids = await resolveBulkTargets(target, { active: false })
+    const products = await restoreProducts(ids, req.user)
+
+    res.json({
+      success: true,
+      data: {
+        restored: products.map(product => product.id)
+      }
+    })
+  } catch (error) {
+    console.error('Error bulk restoring products:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al restaurar productos en lote'
+      }
+    })
+  }
+}
+
+// Permanent deletion, admins only. Products with orders are never purged
+export const purgeProduct = async (req, res) => {
+  try {
+    if (req.user?.role !== 'admin') {
+      return forbidden(res, 'Solo un administrador puede eliminar productos permanentemente')
+    }
+
+    const { purged } = await purgeProducts([req.params.id])
+
+    if (purged.length === 0) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: 'El producto no está en la papelera o tiene pedidos o packs asociados'
+        }
+      })
+    }
+
+    res.json({
+      success: true,
+      message: 'Producto eliminado permanentemente'
+    })
+  } catch (error) {
+    console.error('Error purging product:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al eliminar producto permanentemente'
+      }
+    })
+  }
+}
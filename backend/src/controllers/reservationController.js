@@ -0,0 +1,123 @@
+import {
+  RESERVATION_SCHEMA,
+  getMaxUnitsPerUser,
+  getReservation,
+  reserveStock,
+  releaseReservation
+} from '../services/stockReservations.js'
+import { validate, validationErrorResponse } from '../services/validation.js'
+
+const notFound = (res) => res.status(404).json({
+  success: false,
+  error: {
+    message: 'Reserva no encontrada'
+  }
+})
+
+// Other customers' reservations are reported as not found
+const findOwnReservation = async (req) => {
+  const reservation = await getReservation(req.params.id)
+
+  if (!reservation) return null
+  if (req.user?.role !== 'admin' && reservation.user_id !== req.user?.id) return null
+
+  return reservation
+}
+
+// Called when checkout starts; the returned id goes on the order as
+// reservation_id so payment commits this hold instead of reserving again
+export const createReservation = async (req, res) => {
+  try {
+    const { value, errors } = validate(RESERVATION_SCHEMA, req.body)
+    if (errors.length > 0) return validationErrorResponse(res, errors)
+
+    const { reservation, unavailable, limit } = await reserveStock(value.items, {
+      userId: req.user.id,
+      maxUserUnits: getMaxUnitsPerUser()
+    })
+
+    if (limit) {
+      return res.status(429).json({
+        success: false,
+        error: {
+          message: `No se pueden reservar más de ${limit} unidades a la vez`
+        }
+      })
+    }
+
+    if (!reservation) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: 'No hay stock suficiente',
+          details: unavailable
+        }
+      })
+    }
+
+    res.status(201).json({
+      success: true,
+      data: reservation
+    })
+  } catch (error) {
+    console.error('Error creating stock reservation:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al reservar stock'
+      }
+    })
+  }
+}
+
+export const getStockReservation = async (req, res) => {
+  try {
+    const reservation = await findOwnReservation(req)
+
+    if (!reservation) return notFound(res)
+
+    res.json({
+      success: true,
+      data: reservation
+    })
+  } catch (error) {
+    console.error('Error fetching stock reservation:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al obtener reserva'
+      }
+    })
+  }
+}
+
+// Abandoned or cancelled checkout
+export const releaseStockReservation = async (req, res) => {
+  try {
+    if (!await findOwnReservation(req)) return notFound(res)
+
+    const released = await releaseReservation(req.params.id)
+
+    if (!released) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: 'La reserva ya no está activa'
+        }
+      })
+    }
+
+    res.json({
+      success: true,
+      data: await getReservation(req.params.id)
+    })
+  } catch (error) {
+    console.error('Error releasing stock reservation:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al liberar reserva'
+      }
+    })
+  }
+}
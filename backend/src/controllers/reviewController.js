@@ -0,0 +1,234 @@
+import { getDatabase } from '../config/database.js'
+import {
+  MODERATION_SCHEMA,
+  REVIEW_SCHEMA,
+  REVIEW_STATUSES,
+  createReview,
+  getApprovedReviews,
+  getRatingDistribution,
+  getReviewsForModeration,
+  moderateReview,
+  verifyPurchase
+} from '../services/productReviews.js'
+import { validate, validationErrorResponse } from '../services/validation.js'
+
+const forbidden = (res) => res.status(403).json({
+  success: false,
+  error: {
+    message: 'Solo un administrador puede moderar opiniones'
+  }
+})
+
+const notFound = (res, message = 'Producto no encontrado') => res.status(404).json({
+  success: false,
+  error: {
+    message
+  }
+})
+
+const findActiveProduct = async (id) => {
+  const supabase = getDatabase()
+
+  const { data: product, error } = await supabase
+    .from('products')
+    .select('id, rating_average, rating_count')
+    .eq('id', id)
+    .eq('is_active', true)
+    .maybeSingle()
+
+  if (error) throw error
+
+  return product
+}
+
+// Approved reviews with the product's rating summary
+export const getProductReviews = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100)
+    const page = Math.max(parseInt(req.query.page) || 1, 1)
+
+    const { value: query, errors } = validate({
+      sort: { type: 'string', enum: ['newest', 'rating_desc', 'rating_asc'] },
+      rating: { type: 'integer', min: 1, max: 5 }
+    }, {
+      sort: req.query.sort,
+      rating: req.query.rating
+    })
+
+    if (errors.length > 0) return validationErrorResponse(res, errors, 'Parámetros no válidos')
+
+    const product = await findActiveProduct(req.params.id)
+    if (!product) return notFound(res)
+
+    const [{ reviews, total }, distribution] = await Promise.all([
+      getApprovedReviews(product.id, {
+        sort: query.sort,
+        rating: query.rating,
+        limit,
+        offset: (page - 1) * limit
+      }),
+      getRatingDistribution(product.id)
+    ])
+
+    res.json({
+      success: true,
+      data: {
+        reviews,
+        summary: {
+          average: parseFloat(product.rating_average),
+          count: product.rating_count,
+          distribution
+        },
+        pagination: {
+          mode: 'page',
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    })
+  } catch (error) {
+    console.error('Error fetching product reviews:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al obtener opiniones'
+      }
+    })
+  }
+}
+
+// Verified purchases only; the review waits for moderation before it counts
+export const createProductReview = async (req, res) => {
+  try {
+    const { value, errors } = validate(REVIEW_SCHEMA, req.body)
+
+    if (errors.length > 0) return validationErrorResponse(res, errors)
+
+    const product = await findActiveProduct(req.params.id)
+    if (!product) return notFound(res)
+
+    const { reason } = await verifyPurchase(product.id, value.order_item_id, value.email)
+
+    if (reason === 'not_found') {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: 'Solo se puede opinar sobre productos comprados con ese email'
+        }
+      })
+    }
+
+    if (reason === 'not_reviewable') {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: 'El pedido todavía no se ha completado'
+        }
+      })
+    }
+
+    const review = await createReview(product.id, value)
+
+    if (!review) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: 'Ya hay una opinión para esta compra'
+        }
+      })
+    }
+
+    res.status(201).json({
+      success: true,
+      data: review,
+      message: 'Opinión recibida; se publicará tras su revisión'
+    })
+  } catch (error) {
+    console.error('Error creating product review:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al crear opinión'
+      }
+    })
+  }
+}
+
+export const getReviewQueue = async (req, res) => {
+  try {
+    if (req.user?.role !== 'admin') return forbidden(res)
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100)
+    const page = Math.max(parseInt(req.query.page) || 1, 1)
+
+    const { value: query, errors } = validate({
+      status: { type: 'string', enum: REVIEW_STATUSES },
+      product_id: { type: 'uuid' }
+    }, {
+      status: req.query.status,
+      product_id: req.query.product_id
+    })
+
+    if (errors.length > 0) return validationErrorResponse(res, errors, 'Parámetros no válidos')
+
+    const { reviews, total } = await getReviewsForModeration({
+      status: query.status,
+      productId: query.product_id,
+      limit,
+      offset: (page - 1) * limit
+    })
+
+    res.json({
+      success: true,
+      data: {
+        reviews,
+        pagination: {
+          mode: 'page',
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    })
+  } catch (error) {
+    console.error('Error fetching review queue:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al obtener opiniones'
+      }
+    })
+  }
+}
+
+// Approving or rejecting an already moderated review is allowed (e.g. to take
+// down an approved one)
+export const moderateProductReview = async (req, res) => {
+  try {
+    if (req.user?.role !== 'admin') return forbidden(res)
+
+    const { value, errors } = validate(MODERATION_SCHEMA, req.body)
+
+    if (errors.length > 0) return validationErrorResponse(res, errors)
+
+    const review = await moderateReview(req.params.id, value, req.user)
+
+    if (!review) return notFound(res, 'Opinión no encontrada')
+
+    res.json({
+      success: true,
+      data: review
+    })
+  } catch (error) {
+    console.error('Error moderating review:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al moderar opinión'
+      }
+    })
+  }
+}
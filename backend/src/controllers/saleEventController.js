@@ -0,0 +1,282 @@
+import { getDatabase } from '../config/database.js'
+import {
+  SALE_EVENT_SCHEMA,
+  SALE_STATUSES,
+  validateSaleEvent,
+  cancelSaleEvent as cancelEvent
+} from '../services/scheduledSales.js'
+import { validate, validationErrorResponse } from '../services/validation.js'
+
+const forbidden = (res) => res.status(403).json({
+  success: false,
+  error: {
+    message: 'Solo un administrador puede gestionar las rebajas'
+  }
+})
+
+const notFound = (res) => res.status(404).json({
+  success: false,
+  error: {
+    message: 'Rebaja no encontrada'
+  }
+})
+
+const findEvent = async (id) => {
+  const supabase = getDatabase()
+
+  const { data: event, error } = await supabase
+    .from('sale_events')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle()
+
+  if (error) throw error
+
+  return event
+}
+
+export const getSaleEvents = async (req, res) => {
+  try {
+    const supabase = getDatabase()
+
+    const { value: query, errors } = validate({ status: { type: 'string', enum: SALE_STATUSES } }, {
+      status: req.query.status
+    })
+
+    if (errors.length > 0) return validationErrorResponse(res, errors, 'Parámetros no válidos')
+
+    let dbQuery = supabase
+      .from('sale_events')
+      .select('*')
+      .order('starts_at', { ascending: false })
+
+    if (query.status) {
+      dbQuery = dbQuery.eq('status', query.status)
+    }
+
+    const { data: events, error } = await dbQuery
+
+    if (error) throw error
+
+    res.json({
+      success: true,
+      data: events
+    })
+  } catch (error) {
+    console.error('Error fetching sale events:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al obtener rebajas'
+      }
+    })
+  }
+}
+
+// Includes the products the sale was applied to and the prices it replaced
+export const getSaleEvent = async (req, res) => {
+  try {
+    const supabase = getDatabase()
+    const event = await findEvent(req.params.id)
+
+    if (!event) return notFound(res)
+
+    const { data: products, error } = await supabase
+      .from('sale_event_products')
+      .select('product_id, regular_price, regular_original_price, sale_price, product:products!product_id (title, sku, price, sale_event_id)')
+      .eq('event_id', event.id)
+
+    if (error) throw error
+
+    res.json({
+      success: true,
+      data: {
+        ...event,
+        products
+      }
+    })
+  } catch (error) {
+    console.error('Error fetching sale event:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al obtener rebaja'
+      }
+    })
+  }
+}
+
+// The scheduler applies the sale once starts_at is reached
+export const createSaleEvent = async (req, res) => {
+  try {
+    if (req.user?.role !== 'admin') return forbidden(res)
+
+    const supabase = getDatabase()
+    const { value, errors } = validate(SALE_EVENT_SCHEMA, req.body)
+
+    if (errors.length === 0) errors.push(...validateSaleEvent(value))
+    if (errors.length > 0) return validationErrorResponse(res, errors)
+
+    const { data: event, error } = await supabase
+      .from('sale_events')
+      .insert({ ...value, created_by: req.user.id })
+      .select()
+      .single()
+
+    if (error) throw error
+
+    res.status(201).json({
+      success: true,
+      data: event
+    })
+  } catch (error) {
+    console.error('Error creating sale event:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al crear rebaja'
+      }
+    })
+  }
+}
+
+// Only sales that have not started can be changed; a running sale has to be
+// cancelled (which restores prices) and scheduled again
+export const updateSaleEvent = async (req, res) => {
+  try {
+    if (req.user?.role !== 'admin') return forbidden(res)
+
+    const supabase = getDatabase()
+    const existing = await findEvent(req.params.id)
+
+    if (!existing) return notFound(res)
+
+    if (existing.status !== 'scheduled') {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: 'Solo se pueden modificar rebajas que aún no han empezado'
+        }
+      })
+    }
+
+    const { value, errors } = validate(SALE_EVENT_SCHEMA, req.body, { partial: true })
+
+    if (errors.length === 0 && Object.keys(value).length === 0) {
+      errors.push({ field: 'body', message: 'No hay campos para actualizar' })
+    }
+
+    if (errors.length === 0) errors.push(...validateSaleEvent({ ...existing, ...value }))
+    if (errors.length > 0) return validationErrorResponse(res, errors)
+
+    const { data: event, error } = await supabase
+      .from('sale_events')
+      .update({ ...value, updated_at: new Date().toISOString() })
+      .eq('id', existing.id)
+      .eq('status', 'scheduled')
+      .select()
+      .maybeSingle()
+
+    if (error) throw error
+
+    // Started (or was cancelled) between the check above and the update
+    if (!event) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: 'Solo se pueden modificar rebajas que aún no han empezado'
+        }
+      })
+    }
+
+    res.json({
+      success: true,
+      data: event
+    })
+  } catch (error) {
+    console.error('Error updating sale event:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al actualizar rebaja'
+      }
+    })
+  }
+}
+
+export const cancelSaleEvent = async (req, res) => {
+  try {
+    if (req.user?.role !== 'admin') return forbidden(res)
+
+    const existing = await findEvent(req.params.id)
+
+    if (!existing) return notFound(res)
+
+    if (!['scheduled', 'active'].includes(existing.status)) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: 'La rebaja ya ha terminado'
+        }
+      })
+    }
+
+    const event = await cancelEvent(existing)
+
+    res.json({
+      success: true,
+      data: event
+    })
+  } catch (error) {
+    console.error('Error cancelling sale event:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al cancelar rebaja'
+      }
+    })
+  }
+}
+
+// A running sale holds the regular prices it replaced, so it has to be
+// cancelled before it can be deleted
+export const deleteSaleEvent = async (req, res) => {
+  try {
+    if (req.user?.role !== 'admin') return forbidden(res)
+
+    const supabase = getDatabase()
+    const existing = await findEvent(req.params.id)
+
+    if (!existing) return notFound(res)
+
+    if (existing.status === 'active') {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: 'La rebaja está en curso; cancélala antes de eliminarla'
+        }
+      })
+    }
+
+    const { error } = await supabase
+      .from('sale_events')
+      .delete()
+      .eq('id', existing.id)
+      .neq('status', 'active')
+
+    if (error) throw error
+
+    res.json({
+      success: true,
+      message: 'Rebaja eliminada correctamente'
+    })
+  } catch (error) {
+    console.error('Error deleting sale event:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al eliminar rebaja'
+      }
+    })
+  }
+}
@@ -0,0 +1,150 @@
+import { getDatabase } from '../config/database.js'
+import {
+  STOCK_MOVEMENT_REASONS,
+  STOCK_MOVEMENT_SCHEMA,
+  getStockMovements,
+  recordStockMovement
+} from '../services/stockLedger.js'
+import { validate, validationErrorResponse } from '../services/validation.js'
+
+const forbidden = (res) => res.status(403).json({
+  success: false,
+  error: {
+    message: 'Solo un administrador puede registrar movimientos de stock'
+  }
+})
+
+const notFound = (res) => res.status(404).json({
+  success: false,
+  error: {
+    message: 'Producto no encontrado'
+  }
+})
+
+// Why the product's stock is what it is, newest movement first
+export const getStockMovementHistory = async (req, res) => {
+  try {
+    const { id } = req.params
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100)
+    const page = Math.max(parseInt(req.query.page) || 1, 1)
+
+    const { value: query, errors } = validate({
+      variant_id: { type: 'uuid' },
+      reason: { type: 'string', enum: STOCK_MOVEMENT_REASONS }
+    }, {
+      variant_id: req.query.variant_id,
+      reason: req.query.reason
+    })
+
+    if (errors.length > 0) return validationErrorResponse(res, errors, 'Parámetros no válidos')
+
+    const { movements, total } = await getStockMovements(id, {
+      variantId: query.variant_id,
+      reason: query.reason,
+      limit,
+      offset: (page - 1) * limit
+    })
+
+    res.json({
+      success: true,
+      data: {
+        movements,
+        pagination: {
+          mode: 'page',
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    })
+  } catch (error) {
+    console.error('Error fetching stock movements:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al obtener movimientos de stock'
+      }
+    })
+  }
+}
+
+// Manual adjustments (stock counts, damaged units) and customer returns
+export const createStockMovement = async (req, res) => {
+  try {
+    if (req.user?.role !== 'admin') return forbidden(res)
+
+    const supabase = getDatabase()
+    const { id } = req.params
+
+    const { value, errors } = validate(STOCK_MOVEMENT_SCHEMA, req.body)
+
+    if (errors.length === 0 && value.quantity_change === 0) {
+      errors.push({ field: 'quantity_change', message: 'No puede ser 0' })
+    }
+
+    if (errors.length > 0) return validationErrorResponse(res, errors)
+
+    const { data: product, error } = await supabase
+      .from('products')
+      .select('id, product_type, has_variants, product_variants (id)')
+      .eq('id', id)
+      .maybeSingle()
+
+    if (error) throw error
+    if (!product) return notFound(res)
+
+    if (product.product_type === 'bundle') {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: 'El stock de un pack se calcula a partir de sus componentes'
+        }
+      })
+    }
+
+    // The product total follows its variants, so a product-level movement
+    // would leave the two out of step
+    if (product.has_variants && !value.variant_id) {
+      return validationErrorResponse(res, [{ field: 'variant_id', message: 'Es obligatorio para un producto con variantes' }])
+    }
+
+    if (value.variant_id && !product.product_variants.some(variant => variant.id === value.variant_id)) {
+      return validationErrorResponse(res, [{ field: 'variant_id', message: 'La variante no pertenece al producto' }])
+    }
+
+    const { movement, unavailable } = await recordStockMovement({
+      productId: id,
+      variantId: value.variant_id || null,
+      quantityChange: value.quantity_change,
+      reason: value.reason,
+      referenceType: value.reference_type,
+      referenceId: value.reference_id,
+      note: value.note,
+      actor: req.user
+    })
+
+    if (!movement) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: 'El stock no puede quedar por debajo de cero',
+          details: unavailable
+        }
+      })
+    }
+
+    res.status(201).json({
+      success: true,
+      data: movement
+    })
+  } catch (error) {
+    console.error('Error recording stock movement:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al registrar movimiento de stock'
+      }
+    })
+  }
+}
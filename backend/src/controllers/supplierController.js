@@ -0,0 +1,252 @@
+import { getDatabase } from '../config/database.js'
+import {
+  DEFAULT_SCORECARD_DAYS,
+  SUPPLIER_SCHEMA,
+  getRankedSuppliers,
+  getSupplierScorecards,
+  normalizeSupplier
+} from '../services/suppliers.js'
+import { SUPPLIER_ORDER_STATUSES, updateSupplierOrderStatus } from '../services/orderProcessor.js'
+import { validate, validationErrorResponse } from '../services/validation.js'
+
+const SCORECARD_QUERY_SCHEMA = {
+  days: { type: 'integer', min: 1, max: 730 },
+  include_inactive: { type: 'boolean' }
+}
+
+const SUPPLIER_ORDER_SCHEMA = {
+  status: { type: 'string', required: true, enum: SUPPLIER_ORDER_STATUSES },
+  delivered_at: { type: 'date', nullable: true }
+}
+
+const forbidden = (res) => res.status(403).json({
+  success: false,
+  error: {
+    message: 'Solo un administrador puede gestionar los proveedores'
+  }
+})
+
+const notFound = (res, message = 'Proveedor no encontrado') => res.status(404).json({
+  success: false,
+  error: {
+    message
+  }
+})
+
+const duplicateName = (res) => res.status(409).json({
+  success: false,
+  error: {
+    message: 'Ya existe un proveedor con ese nombre'
+  }
+})
+
+const findSupplier = async (id) => {
+  const supabase = getDatabase()
+
+  const { data: supplier, error } = await supabase
+    .from('suppliers')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle()
+
+  if (error) throw error
+
+  return supplier
+}
+
+// Ranked by scorecard score over the last `days` (90 by default)
+export const getSuppliers = async (req, res) => {
+  try {
+    const { value: query, errors } = validate(SCORECARD_QUERY_SCHEMA, {
+      days: req.query.days,
+      include_inactive: req.query.include_inactive
+    })
+
+    if (errors.length > 0) return validationErrorResponse(res, errors, 'Parámetros no válidos')
+
+    const suppliers = await getRankedSuppliers({
+      lookbackDays: query.days || DEFAULT_SCORECARD_DAYS,
+      includeInactive: query.include_inactive
+    })
+
+    res.json({
+      success: true,
+      data: suppliers.map((supplier, index) => ({ ...supplier, rank: supplier.scorecard ? index + 1 : null }))
+    })
+  } catch (error) {
+    console.error('Error fetching suppliers:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al obtener proveedores'
+      }
+    })
+  }
+}
+
+export const getSupplier = async (req, res) => {
+  try {
+    const { value: query, errors } = validate({ days: SCORECARD_QUERY_SCHEMA.days }, { days: req.query.days })
+
+    if (errors.length > 0) return validationErrorResponse(res, errors, 'Parámetros no válidos')
+
+    const supplier = await findSupplier(req.params.id)
+    if (!supplier) return notFound(res)
+
+    const scorecards = await getSupplierScorecards(query.days || DEFAULT_SCORECARD_DAYS)
+
+    res.json({
+      success: true,
+      data: {
+        ...supplier,
+        scorecard: scorecards.get(supplier.name.toLowerCase()) || null
+      }
+    })
+  } catch (error) {
+    console.error('Error fetching supplier:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al obtener proveedor'
+      }
+    })
+  }
+}
+
+export const createSupplier = async (req, res) => {
+  try {
+    if (req.user?.role !== 'admin') return forbidden(res)
+
+    const supabase = getDatabase()
+    const { value, errors } = validate(SUPPLIER_SCHEMA, req.body)
+
+    if (errors.length > 0) return validationErrorResponse(res, errors)
+
+    const { data: supplier, error } = await supabase
+      .from('suppliers')
+      .insert(normalizeSupplier(value))
+      .select()
+      .single()
+
+    if (error?.code === '23505') return duplicateName(res)
+    if (error) throw error
+
+    res.status(201).json({
+      success: true,
+      data: supplier
+    })
+  } catch (error) {
+    console.error('Error creating supplier:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al crear proveedor'
+      }
+    })
+  }
+}
+
+// Renaming a supplier does not rename the free-text supplier on products,
+// offers or past order lines; their scorecard history stays under the old name
+export const updateSupplier = async (req, res) => {
+  try {
+    if (req.user?.role !== 'admin') return forbidden(res)
+
+    const supabase = getDatabase()
+    const { value, errors } = validate(SUPPLIER_SCHEMA, req.body, { partial: true })
+
+    if (errors.length === 0 && Object.keys(value).length === 0) {
+      errors.push({ field: 'body', message: 'No hay campos para actualizar' })
+    }
+
+    if (errors.length > 0) return validationErrorResponse(res, errors)
+
+    const { data: supplier, error } = await supabase
+      .from('suppliers')
+      .update({ ...normalizeSupplier(value), updated_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .select()
+      .maybeSingle()
+
+    if (error?.code === '23505') return duplicateName(res)
+    if (error) throw error
+    if (!supplier) return notFound(res)
+
+    res.json({
+      success: true,
+      data: supplier
+    })
+  } catch (error) {
+    console.error('Error updating supplier:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al actualizar proveedor'
+      }
+    })
+  }
+}
+
+export const deleteSupplier = async (req, res) => {
+  try {
+    if (req.user?.role !== 'admin') return forbidden(res)
+
+    const supabase = getDatabase()
+
+    const { data: deleted, error } = await supabase
+      .from('suppliers')
+      .delete()
+      .eq('id', req.params.id)
+      .select('id')
+
+    if (error) throw error
+    if (deleted.length === 0) return notFound(res)
+
+    res.json({
+      success: true,
+      message: 'Proveedor eliminado correctamente'
+    })
+  } catch (error) {
+    console.error('Error deleting supplier:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al eliminar proveedor'
+      }
+    })
+  }
+}
+
+// Delivery confirmations and cancellations reported by the supplier
+export const updateSupplierOrder = async (req, res) => {
+  try {
+    if (req.user?.role !== 'admin') return forbidden(res)
+
+    const { value, errors } = validate(SUPPLIER_ORDER_SCHEMA, req.body)
+
+    if (errors.length === 0 && value.delivered_at && value.status !== 'delivered') {
+      errors.push({ field: 'delivered_at', message: 'Solo se indica para pedidos entregados' })
+    }
+
+    if (errors.length > 0) return validationErrorResponse(res, errors)
+
+    const items = await updateSupplierOrderStatus(req.params.supplierOrderId, value.status, {
+      deliveredAt: value.delivered_at
+    })
+
+    if (items.length === 0) return notFound(res, 'Pedido a proveedor no encontrado')
+
+    res.json({
+      success: true,
+      data: items
+    })
+  } catch (error) {
+    console.error('Error updating supplier order:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al actualizar pedido a proveedor'
+      }
+    })
+  }
+}
@@ -0,0 +1,209 @@
+import { getDatabase } from '../config/database.js'
+import { SUPPLIER_OFFER_SCHEMA, getProductOffers, rankOffers } from '../services/supplierOffers.js'
+import { getSupplierScorecards } from '../services/suppliers.js'
+import { isUUID, validate, validationErrorResponse } from '../services/validation.js'
+
+const forbidden = (res) => res.status(403).json({
+  success: false,
+  error: {
+    message: 'Solo un administrador puede gestionar las ofertas de proveedores'
+  }
+})
+
+const notFound = (res, message = 'Producto no encontrado') => res.status(404).json({
+  success: false,
+  error: {
+    message
+  }
+})
+
+const duplicateOffer = (res) => res.status(409).json({
+  success: false,
+  error: {
+    message: 'Ya existe una oferta de ese proveedor para el producto'
+  }
+})
+
+const findProduct = async (id) => {
+  const supabase = getDatabase()
+
+  const { data: product, error } = await supabase
+    .from('products')
+    .select('id, product_type, product_variants (id)')
+    .eq('id', id)
+    .maybeSingle()
+
+  if (error) throw error
+
+  return product
+}
+
+const validateVariant = (product, variantId) => !variantId || product.product_variants.some(variant => variant.id === variantId)
+
+// Offers in the order createSupplierOrder would try them (rank), followed by
+// those it would skip (inactive or out of stock)
+export const getSupplierOffers = async (req, res) => {
+  try {
+    if (req.user?.role !== 'admin') return forbidden(res)
+
+    const product = await findProduct(req.params.id)
+    if (!product) return notFound(res)
+
+    const [offers, scorecards] = await Promise.all([getProductOffers(product.id), getSupplierScorecards()])
+    const ranked = rankOffers(offers, { variantId: req.query.variant_id || null, scorecards })
+
+    res.json({
+      success: true,
+      data: [
+        ...ranked.map((offer, index) => ({ ...offer, rank: index + 1 })),
+        ...offers.filter(offer => !ranked.includes(offer)).map(offer => ({ ...offer, rank: null }))
+      ]
+    })
+  } catch (error) {
+    console.error('Error fetching supplier offers:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al obtener ofertas de proveedores'
+      }
+    })
+  }
+}
+
+export const createSupplierOffer = async (req, res) => {
+  try {
+    if (req.user?.role !== 'admin') return forbidden(res)
+
+    const supabase = getDatabase()
+    const { value, errors } = validate(SUPPLIER_OFFER_SCHEMA, req.body)
+
+    if (errors.length > 0) return validationErrorResponse(res, errors)
+
+    const product = await findProduct(req.params.id)
+    if (!product) return notFound(res)
+
+    if (product.product_type === 'bundle') {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: 'Un pack se compra a través de los proveedores de sus componentes'
+        }
+      })
+    }
+
+    if (!validateVariant(product, value.variant_id)) {
+      return validationErrorResponse(res, [{ field: 'variant_id', message: 'La variante no pertenece al producto' }])
+    }
+
+    const { data: offer, error } = await supabase
+      .from('product_supplier_offers')
+      .insert({ ...value, product_id: product.id })
+      .select()
+      .single()
+
+    if (error?.code === '23505') return duplicateOffer(res)
+    if (error) throw error
+
+    res.status(201).json({
+      success: true,
+      data: offer
+    })
+  } catch (error) {
+    console.error('Error creating supplier offer:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al crear oferta de proveedor'
+      }
+    })
+  }
+}
+
+export const updateSupplierOffer = async (req, res) => {
+  try {
+    if (req.user?.role !== 'admin') return forbidden(res)
+
+    const supabase = getDatabase()
+    const { id, offerId } = req.params
+
+    if (!isUUID(offerId)) {
+      return validationErrorResponse(res, [{ field: 'offerId', message: 'Debe ser un UUID válido' }], 'Identificador no válido')
+    }
+
+    const { value, errors } = validate(SUPPLIER_OFFER_SCHEMA, req.body, { partial: true })
+
+    if (errors.length === 0 && Object.keys(value).length === 0) {
+      errors.push({ field: 'body', message: 'No hay campos para actualizar' })
+    }
+
+    if (errors.length > 0) return validationErrorResponse(res, errors)
+
+    const product = await findProduct(id)
+    if (!product) return notFound(res)
+
+    if (!validateVariant(product, value.variant_id)) {
+      return validationErrorResponse(res, [{ field: 'variant_id', message: 'La variante no pertenece al producto' }])
+    }
+
+    const { data: offer, error } = await supabase
+      .from('product_supplier_offers')
+      .update({ ...value, updated_at: new Date().toISOString() })
+      .eq('id', offerId)
+      .eq('product_id', id)
+      .select()
+      .maybeSingle()
+
+    if (error?.code === '23505') return duplicateOffer(res)
+    if (error) throw error
+    if (!offer) return notFound(res, 'Oferta no encontrada')
+
+    res.json({
+      success: true,
+      data: offer
+    })
+  } catch (error) {
+    console.error('Error updating supplier offer:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al actualizar oferta de proveedor'
+      }
+    })
+  }
+}
+
+export const deleteSupplierOffer = async (req, res) => {
+  try {
+    if (req.user?.role !== 'admin') return forbidden(res)
+
+    const supabase = getDatabase()
+    const { id, offerId } = req.params
+
+    if (!isUUID(offerId)) {
+      return validationErrorResponse(res, [{ field: 'offerId', message: 'Debe ser un UUID válido' }], 'Identificador no válido')
+    }
+
+    const { data: deleted, error } = await supabase
+      .from('product_supplier_offers')
+      .delete()
+      .eq('id', offerId)
+      .eq('product_id', id)
+      .select('id')
+
+    if (error) throw error
+    if (deleted.length === 0) return notFound(res, 'Oferta no encontrada')
+
+    res.json({
+      success: true,
+      message: 'Oferta eliminada correctamente'
+    })
+  } catch (error) {
+    console.error('Error deleting supplier offer:', error)
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error al eliminar oferta de proveedor'
+      }
+    })
+  }
+}
@@ -0,0 +1,38 @@
+// Fixed-window request limit per client: the authenticated user, or the IP
+// for anonymous requests. Counters live in memory, so each server process
+// applies the limit on its own
+export const rateLimit = ({ windowMs, max, message = 'Demasiadas solicitudes, inténtalo más tarde' }) => {
+  const hits = new Map()
+
+  return (req, res, next) => {
+    const now = Date.now()
+    const key = req.user?.id || req.ip
+
+    // Drop finished windows now and then so the map cannot grow unbounded
+    if (hits.size > 10000) {
+      for (const [client, entry] of hits) {
+        if (entry.resetAt <= now) hits.delete(client)
+      }
+    }
+
+    let entry = hits.get(key)
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs }
+      hits.set(key, entry)
+    }
+
+    entry.count++
+
+    if (entry.count > max) {
+      res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)))
+      return res.status(429).json({
+        success: false,
+        error: {
+          message
+        }
+      })
+    }
+
+    next()
+  }
+}
@@ -0,0 +1,60 @@
+import multer from 'multer'
+
+const MAX_IMAGE_SIZE = 10 * 1024 * 1024 // 10MB
+const MAX_IMAGES_PER_UPLOAD = 10
+
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMAGE_SIZE,
+    files: MAX_IMAGES_PER_UPLOAD
+  },
+  fileFilter: (req, file, cb) => {
+    if (!file.mimetype.startsWith('image/')) {
+      const error = new Error('Solo se permiten archivos de imagen')
+      error.status = 400
+      return cb(error)
+    }
+    cb(null, true)
+  }
+})
+
+// Wraps multer so upload errors (size, count, type) become 400 responses
+// instead of reaching the generic 500 handler
+export const uploadProductImages = (req, res, next) => {
+  imageUpload.array('images', MAX_IMAGES_PER_UPLOAD)(req, res, (error) => {
+    if (!error) return next()
+
+    res.status(error.status || 400).json({
+      success: false,
+      error: {
+        message: error instanceof multer.MulterError
+          ? `Error al subir imágenes: ${error.message}`
+          : error.message
+      }
+    })
+  })
+}
+
+const MAX_IMPORT_FILE_SIZE = 20 * 1024 * 1024 // 20MB
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMPORT_FILE_SIZE,
+    files: 1
+  }
+})
+
+export const uploadImportFile = (req, res, next) => {
+  importUpload.single('file')(req, res, (error) => {
+    if (!error) return next()
+
+    res.status(400).json({
+      success: false,
+      error: {
+        message: `Error al subir archivo: ${error.message}`
+      }
+    })
+  })
+}
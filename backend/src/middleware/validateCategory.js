@@ -0,0 +1,18 @@
+import { validationErrorResponse, isUUID } from '../services/validation.js'
+
+// GET /categories/:id also accepts a slug, so the id check is per route rather
+// than a router.param like products and reservations use
+export const validateCategoryId = (req, res, next) => {
+  if (!isUUID(req.params.id)) {
+    return validationErrorResponse(res, [{ field: 'id', message: 'Debe ser un UUID válido' }], 'Identificador de categoría no válido')
+  }
+  next()
+}
+
+// Used with router.param
+export const validateMappingId = (req, res, next, id) => {
+  if (!isUUID(id)) {
+    return validationErrorResponse(res, [{ field: 'mappingId', message: 'Debe ser un UUID válido' }], 'Identificador de mapeo no válido')
+  }
+  next()
+}
@@ -0,0 +1,97 @@
+import { validate, validationErrorResponse, isUUID } from '../services/validation.js'
+import { PRODUCT_SCHEMA, getWritableProductFields } from '../services/productSchema.js'
+import { DUPLICATE_ACTIONS } from '../services/productDuplicates.js'
+
+const MAX_BULK_PRODUCTS = 1000
+
+// Used with router.param, so every /:id route gets a 400 instead of a
+// database error for malformed ids
+export const validateProductId = (req, res, next, id) => {
+  if (!isUUID(id)) {
+    return validationErrorResponse(res, [{ field: 'id', message: 'Debe ser un UUID válido' }], 'Identificador no válido')
+  }
+  next()
+}
+
+export const validateCreateProduct = (req, res, next) => {
+  const { value, errors } = validate(PRODUCT_SCHEMA, req.body, {
+    allowedFields: [...getWritableProductFields(req.user), 'analyze']
+  })
+
+  if (errors.length > 0) return validationErrorResponse(res, errors)
+
+  req.body = value
+  next()
+}
+
+export const validateUpdateProduct = (req, res, next) => {
+  const { value, errors } = validate(PRODUCT_SCHEMA, req.body, {
+    partial: true,
+    allowedFields: getWritableProductFields(req.user, { existing: true })
+  })
+
+  if (errors.length === 0 && Object.keys(value).length === 0) {
+    errors.push({ field: 'body', message: 'No hay campos para actualizar' })
+  }
+
+  if (errors.length > 0) return validationErrorResponse(res, errors)
+
+  req.body = value
+  next()
+}
+
+export const validateBulkImport = (req, res, next) => {
+  const { products, on_duplicate: onDuplicate, apply_pricing: applyPricing } = req.body || {}
+
+  if (!Array.isArray(products) || products.length === 0 || products.length > MAX_BULK_PRODUCTS) {
+    return validationErrorResponse(res, [{
+      field: 'products',
+      message: `Se requiere un array de entre 1 y ${MAX_BULK_PRODUCTS} productos`
+    }])
+  }
+
+  // Bundle components reference existing products, so bundles are set up
+  // through the single product endpoints
+  const allowedFields = getWritableProductFields(req.user).filter(field => field !== 'bundle_items')
+  const errors = []
+  const validated = products.map((product, index) => {
+    const result = validate(PRODUCT_SCHEMA, product, { allowedFields, path: `products[${index}]` })
+    errors.push(...result.errors)
+
+    if (result.value.product_type === 'bundle') {
+      errors.push({ field: `products[${index}].product_type`, message: 'Los packs se crean uno a uno, con sus componentes' })
+    }
+
+    return result.value
+  })
+
+  if (onDuplicate !== undefined && !DUPLICATE_ACTIONS.includes(onDuplicate)) {
+    errors.push({ field: 'on_duplicate', message: `Debe ser uno de: ${DUPLICATE_ACTIONS.join(', ')}` })
+  }
+
+  if (applyPricing !== undefined && typeof applyPricing !== 'boolean') {
+    errors.push({ field: 'apply_pricing', message: 'Debe ser true o false' })
+  }
+
+  if (errors.length > 0) return validationErrorResponse(res, errors)
+
+  req.body = { products: validated, on_duplicate: onDuplicate, apply_pricing: applyPricing }
+  next()
+}
+
+const ANALYZE_SCHEMA = {
+  url: { type: 'url' },
+  title: { type: 'string', maxLength: 500 },
+  price: { type: 'number', min: 0.01 },
+  category: { type: 'string', maxLength: 100 },
+  supplier: { type: 'string', maxLength: 100 }
+}
+
+export const validateAnalyzeProduct = (req, res, next) => {
+  const { value, errors } = validate(ANALYZE_SCHEMA, req.body)
+
+  if (errors.length > 0) return validationErrorResponse(res, errors)
+
+  req.body = value
+  next()
+}
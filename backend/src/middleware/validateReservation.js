@@ -0,0 +1,9 @@
+import { validationErrorResponse, isUUID } from '../services/validation.js'
+
+// Used with router.param, like validateProductId for products
+export const validateReservationId = (req, res, next, id) => {
+  if (!isUUID(id)) {
+    return validationErrorResponse(res, [{ field: 'id', message: 'Debe ser un UUID válido' }], 'Identificador de reserva no válido')
+  }
+  next()
+}
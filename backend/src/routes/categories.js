@@ -0,0 +1,37 @@
+import express from 'express'
+import {
+  getCategories,
+  getCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  getCategoryMappings,
+  upsertCategoryMapping,
+  deleteCategoryMapping
+} from '../controllers/categoryController.js'
+import { authenticateToken } from '../middleware/auth.js'
+import { validateCategoryId, validateMappingId } from '../middleware/validateCategory.js'
+
+const router = express.Router()
+
+router.param('mappingId', validateMappingId)
+
+// Inactive categories are for admins, so asking for them needs a login
+const authenticateForInactive = (req, res, next) => {
+  if (req.query.include_inactive === 'true') return authenticateToken(req, res, next)
+  next()
+}
+
+// Public routes
+router.get('/', authenticateForInactive, getCategories)
+router.get('/mappings', authenticateToken, getCategoryMappings)
+router.get('/:id', getCategory)
+
+// Protected routes (admin only)
+router.post('/', authenticateToken, createCategory)
+router.put('/:id', authenticateToken, validateCategoryId, updateCategory)
+router.delete('/:id', authenticateToken, validateCategoryId, deleteCategory)
+router.post('/mappings', authenticateToken, upsertCategoryMapping)
+router.delete('/mappings/:mappingId', authenticateToken, deleteCategoryMapping)
+
+export default router
@@ -0,0 +1,14 @@
+import express from 'express'
+import { getGoogleFeed, getMetaFeed, clearFeeds } from '../controllers/feedController.js'
+import { authenticateToken } from '../middleware/auth.js'
+
+const router = express.Router()
+
+// Public routes (optionally protected with FEED_TOKEN)
+router.get('/google.xml', getGoogleFeed)
+router.get('/meta.csv', getMetaFeed)
+
+// Protected routes
+router.delete('/cache', authenticateToken, clearFeeds)
+
+export default router
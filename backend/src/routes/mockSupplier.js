@@ -0,0 +1,12 @@
+import express from 'express'
+import { getMockStock, placeMockOrder, setMockStock, resetMockStock } from '../controllers/mockSupplierController.js'
+
+const router = express.Router()
+
+// Development only; server.js does not mount it in production
+router.post('/stock', getMockStock)
+router.put('/stock/:sku', setMockStock)
+router.post('/orders', placeMockOrder)
+router.delete('/stock', resetMockStock)
+
+export default router
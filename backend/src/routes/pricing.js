@@ -0,0 +1,25 @@
+import express from 'express'
+import {
+  getPricingRuleList,
+  createPricingRule,
+  updatePricingRule,
+  deletePricingRule,
+  getPricingPreview,
+  applyPricingRules
+} from '../controllers/pricingController.js'
+import { authenticateToken } from '../middleware/auth.js'
+import { validatePricingRuleId } from '../middleware/validatePricing.js'
+
+const router = express.Router()
+
+router.param('id', validatePricingRuleId)
+
+// Protected routes
+router.get('/rules', authenticateToken, getPricingRuleList)
+router.post('/rules', authenticateToken, createPricingRule)
+router.put('/rules/:id', authenticateToken, updatePricingRule)
+router.delete('/rules/:id', authenticateToken, deletePricingRule)
+router.get('/preview', authenticateToken, getPricingPreview)
+router.post('/apply', authenticateToken, applyPricingRules)
+
+export default router
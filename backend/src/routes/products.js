@@ -7,22 +7,104 @@ import {
   deleteProduct,
   analyzeProduct,
   getTrendingProducts,
-  bulkImportProducts
+  bulkImportProducts,
+  getProductHistory,
+  rollbackProduct,
+  getProductBySlug
 } from '../controllers/productController.js'
+import {
+  listProductImages,
+  uploadImages,
+  reorderImages,
+  removeImage
+} from '../controllers/productImageController.js'
+import {
+  importProductsFile,
+  getImportJob,
+  downloadImportReport
+} from '../controllers/productImportController.js'
+import { exportProducts } from '../controllers/productExportController.js'
+import { getProductRecommendations } from '../controllers/productRecommendationController.js'
+import {
+  getDuplicateGroups,
+  mergeDuplicateProducts,
+  dismissDuplicatePair
+} from '../controllers/productDuplicateController.js'
+import {
+  getTrash,
+  restoreProduct,
+  bulkDeleteProducts,
+  bulkRestoreProducts,
+  purgeProduct
+} from '../controllers/productTrashController.js'
+import { getStockMovementHistory, createStockMovement } from '../controllers/stockMovementController.js'
+import {
+  getSupplierOffers,
+  createSupplierOffer,
+  updateSupplierOffer,
+  deleteSupplierOffer
+} from '../controllers/supplierOfferController.js'
+import { getProductReviews, createProductReview } from '../controllers/reviewController.js'
+import {
+  updateProductTranslation,
+  deleteProductTranslation,
+  generateProductTranslation
+} from '../controllers/productTranslationController.js'
 import { authenticateToken } from '../middleware/auth.js'
+import { uploadProductImages, uploadImportFile } from '../middleware/upload.js'
+import {
+  validateProductId,
+  validateCreateProduct,
+  validateUpdateProduct,
+  validateBulkImport,
+  validateAnalyzeProduct
+} from '../middleware/validateProduct.js'
 
 const router = express.Router()
 
+router.param('id', validateProductId)
+
 // Public routes
 router.get('/', getProducts)
 router.get('/trending', getTrendingProducts)
+router.get('/export', authenticateToken, exportProducts)
+router.get('/trash', authenticateToken, getTrash)
+router.get('/duplicates', authenticateToken, getDuplicateGroups)
+router.get('/slug/:slug', getProductBySlug)
 router.get('/:id', getProduct)
-router.post('/analyze', analyzeProduct)
+router.get('/:id/images', listProductImages)
+router.get('/:id/recommendations', getProductRecommendations)
+router.get('/:id/reviews', getProductReviews)
+router.post('/:id/reviews', createProductReview)
+router.post('/analyze', validateAnalyzeProduct, analyzeProduct)
 
 // Protected routes
-router.post('/', authenticateToken, createProduct)
-router.put('/:id', authenticateToken, updateProduct)
+router.post('/', authenticateToken, validateCreateProduct, createProduct)
+router.put('/:id', authenticateToken, validateUpdateProduct, updateProduct)
 router.delete('/:id', authenticateToken, deleteProduct)
-router.post('/bulk-import', authenticateToken, bulkImportProducts)
+router.post('/bulk-import', authenticateToken, validateBulkImport, bulkImportProducts)
+router.post('/bulk-delete', authenticateToken, bulkDeleteProducts)
+router.post('/bulk-restore', authenticateToken, bulkRestoreProducts)
+router.post('/duplicates/merge', authenticateToken, mergeDuplicateProducts)
+router.post('/duplicates/:pairId/dismiss', authenticateToken, dismissDuplicatePair)
+router.post('/:id/restore', authenticateToken, restoreProduct)
+router.delete('/:id/purge', authenticateToken, purgeProduct)
+router.post('/import', authenticateToken, uploadImportFile, importProductsFile)
+router.get('/imports/:id', authenticateToken, getImportJob)
+router.get('/imports/:id/report', authenticateToken, downloadImportReport)
+router.post('/:id/images', authenticateToken, uploadProductImages, uploadImages)
+router.put('/:id/images/order', authenticateToken, reorderImages)
+router.delete('/:id/images/:imageId', authenticateToken, removeImage)
+router.get('/:id/history', authenticateToken, getProductHistory)
+router.post('/:id/history/:revisionId/rollback', authenticateToken, rollbackProduct)
+router.get('/:id/stock-movements', authenticateToken, getStockMovementHistory)
+router.post('/:id/stock-movements', authenticateToken, createStockMovement)
+router.get('/:id/suppliers', authenticateToken, getSupplierOffers)
+router.post('/:id/suppliers', authenticateToken, createSupplierOffer)
+router.put('/:id/suppliers/:offerId', authenticateToken, updateSupplierOffer)
+router.delete('/:id/suppliers/:offerId', authenticateToken, deleteSupplierOffer)
+router.put('/:id/translations/:locale', authenticateToken, updateProductTranslation)
+router.delete('/:id/translations/:locale', authenticateToken, deleteProductTranslation)
+router.post('/:id/translations/:locale/generate', authenticateToken, generateProductTranslation)
 
 export default router
\ No newline at end of file
@@ -0,0 +1,21 @@
+import express from 'express'
+import {
+  createReservation,
+  getStockReservation,
+  releaseStockReservation
+} from '../controllers/reservationController.js'
+import { authenticateToken } from '../middleware/auth.js'
+import { rateLimit } from '../middleware/rateLimit.js'
+import { validateReservationId } from '../middleware/validateReservation.js'
+
+const router = express.Router()
+
+router.param('id', validateReservationId)
+
+// Protected routes: a reservation takes its units out of stock right away,
+// so it belongs to a signed-in customer and creating them is rate limited
+router.post('/', authenticateToken, rateLimit({ windowMs: 60 * 1000, max: 10 }), createReservation)
+router.get('/:id', authenticateToken, getStockReservation)
+router.delete('/:id', authenticateToken, releaseStockReservation)
+
+export default router
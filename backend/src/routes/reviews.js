@@ -0,0 +1,14 @@
+import express from 'express'
+import { getReviewQueue, moderateProductReview } from '../controllers/reviewController.js'
+import { authenticateToken } from '../middleware/auth.js'
+import { validateProductId } from '../middleware/validateProduct.js'
+
+const router = express.Router()
+
+router.param('id', validateProductId)
+
+// Protected routes (moderation; product reviews live under /api/products/:id/reviews)
+router.get('/', authenticateToken, getReviewQueue)
+router.put('/:id/moderation', authenticateToken, moderateProductReview)
+
+export default router
@@ -0,0 +1,25 @@
+import express from 'express'
+import {
+  getSaleEvents,
+  getSaleEvent,
+  createSaleEvent,
+  updateSaleEvent,
+  cancelSaleEvent,
+  deleteSaleEvent
+} from '../controllers/saleEventController.js'
+import { authenticateToken } from '../middleware/auth.js'
+import { validateSaleEventId } from '../middleware/validateSaleEvent.js'
+
+const router = express.Router()
+
+router.param('id', validateSaleEventId)
+
+// Protected routes
+router.get('/', authenticateToken, getSaleEvents)
+router.get('/:id', authenticateToken, getSaleEvent)
+router.post('/', authenticateToken, createSaleEvent)
+router.put('/:id', authenticateToken, updateSaleEvent)
+router.post('/:id/cancel', authenticateToken, cancelSaleEvent)
+router.delete('/:id', authenticateToken, deleteSaleEvent)
+
+export default router
@@ -0,0 +1,25 @@
+import express from 'express'
+import {
+  getSuppliers,
+  getSupplier,
+  createSupplier,
+  updateSupplier,
+  deleteSupplier,
+  updateSupplierOrder
+} from '../controllers/supplierController.js'
+import { authenticateToken } from '../middleware/auth.js'
+import { validateProductId } from '../middleware/validateProduct.js'
+
+const router = express.Router()
+
+router.param('id', validateProductId)
+
+// Protected routes
+router.get('/', authenticateToken, getSuppliers)
+router.get('/:id', authenticateToken, getSupplier)
+router.post('/', authenticateToken, createSupplier)
+router.put('/:id', authenticateToken, updateSupplier)
+router.delete('/:id', authenticateToken, deleteSupplier)
+router.put('/orders/:supplierOrderId', authenticateToken, updateSupplierOrder)
+
+export default router
@@ -8,15 +8,24 @@ import dotenv from 'dotenv'
 // Routes
 import authRoutes from './routes/auth.js'
 import productRoutes from './routes/products.js'
+import categoryRoutes from './routes/categories.js'
+import feedRoutes from './routes/feeds.js'
+import pricingRoutes from './routes/pricing.js'
+import saleRoutes from './routes/sales.js'
+import reservationRoutes from './routes/reservations.js'
+import supplierRoutes from './routes/suppliers.js'
+import reviewRoutes from './routes/reviews.js'
 import orderRoutes from './routes/orders.js'
 import analyticsRoutes from './routes/analytics.js'
 import automationRoutes from './routes/automation.js'
 import settingsRoutes from './routes/settings.js'
 import marketingRoutes from './routes/marketing.js'
+import mockSupplierRoutes from './routes/mockSupplier.js'
 
 // Services
 import { initializeScheduler } from './services/scheduler.js'
 import { initializeDatabase } from './config/database.js'
+import { LOCAL_UPLOADS_DIR } from './services/storage.js'
 
 // Load environment variables
 dotenv.config()
@@ -47,6 +56,9 @@ app.use(morgan('combined'))
 app.use(express.json({ limit: '10mb' }))
 app.use(express.urlencoded({ extended: true, limit: '10mb' }))
 
+// Product images stored by the local storage driver
+app.use('/uploads', express.static(LOCAL_UPLOADS_DIR, { maxAge: '7d' }))
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({
@@ -60,12 +72,25 @@ app.get('/health', (req, res) => {
 // API Routes
 app.use('/api/auth', authRoutes)
 app.use('/api/products', productRoutes)
+app.use('/api/categories', categoryRoutes)
+app.use('/api/feeds', feedRoutes)
+app.use('/api/pricing', pricingRoutes)
+app.use('/api/sales', saleRoutes)
+app.use('/api/reservations', reservationRoutes)
+app.use('/api/suppliers', supplierRoutes)
+app.use('/api/reviews', reviewRoutes)
 app.use('/api/orders', orderRoutes)
 app.use('/api/analytics', analyticsRoutes)
 app.use('/api/automation', automationRoutes)
 app.use('/api/settings', settingsRoutes)
 app.use('/api/marketing', marketingRoutes)
 
+// Mock supplier API for the stock sync. Unauthenticated, so it is only
+// mounted when explicitly selected with SUPPLIER_ADAPTER=mock
+if (process.env.SUPPLIER_ADAPTER === 'mock') {
+  app.use('/mock-supplier', mockSupplierRoutes)
+}
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error('Error:', err)
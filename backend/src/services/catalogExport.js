@@ -0,0 +1,75 @@
+import { getDatabase } from '../config/database.js'
+import { applyProductFilters } from './productFilters.js'
+import { getWritableProductFields } from './productSchema.js'
+
+export const EXPORT_FORMATS = ['csv', 'json', 'ndjson']
+
+// Unique per product. The CSV keeps them, since the file import matches rows
+// by SKU and updates those products. The JSON formats leave them out: the
+// bulk import only creates products, and their SKUs and slugs would collide
+// with the originals
+const IDENTITY_FIELDS = ['sku', 'slug']
+
+// Exported rows carry the fields the exporting user may write
+export const getExportFields = (user, format = 'csv') => getWritableProductFields(user)
+  .filter(field => !['variants', 'bundle_items', 'translations'].includes(field))
+  .filter(field => format === 'csv' || !IDENTITY_FIELDS.includes(field))
+
+const VARIANT_EXPORT_FIELDS = ['sku', 'title', 'options', 'price', 'original_price', 'stock_quantity', 'image_url', 'position', 'is_active']
+
+const pick = (row, fields) => Object.fromEntries(fields.map(field => [field, row[field] ?? null]))
+
+// Variant SKUs are left out along with the product's
+export const toExportRow = (product, fields) => {
+  const variantFields = fields.includes('sku')
+    ? VARIANT_EXPORT_FIELDS
+    : VARIANT_EXPORT_FIELDS.filter(field => !IDENTITY_FIELDS.includes(field))
+
+  return {
+    ...pick(product, fields),
+    variants: (product.product_variants || [])
+      .filter(variant => variant.is_active)
+      .sort((a, b) => a.position - b.position)
+      .map(variant => pick(variant, variantFields))
+  }
+}
+
+// Walks the catalog in id order, one batch at a time, so exports and feeds of
+// any size can be generated without loading every product in memory
+export async function* iterateProducts(filters, { select = '*, product_variants (*)', includeInactive = false, batchSize = 500 } = {}) {
+  const supabase = getDatabase()
+  let lastId = null
+
+  while (true) {
+    let query = supabase
+      .from('products')
+      .select(select)
+
+    if (!includeInactive) {
+      query = query.eq('is_active', true)
+    }
+
+    if (lastId) {
+      query = query.gt('id', lastId)
+    }
+
+    const { data: products, error } = await applyProductFilters(query, filters)
+      .order('id', { ascending: true })
+      .limit(batchSize)
+
+    if (error) throw error
+
+    for (const product of products) {
+      yield product
+    }
+
+    if (products.length < batchSize) return
+    lastId = products[products.length - 1].id
+  }
+}
+
+export async function* iterateCatalog(filters, { fields, includeInactive = false, batchSize = 500 }) {
+  for await (const product of iterateProducts(filters, { includeInactive, batchSize })) {
+    yield toExportRow(product, fields)
+  }
+}
@@ -0,0 +1,337 @@
+import csv from 'csv-parser'
+import ExcelJS from 'exceljs'
+import { Readable } from 'stream'
+import { getDatabase } from '../config/database.js'
+import { analyzeProductWithAI } from './productAnalysis.js'
+import { toCSV } from './csv.js'
+import { REVISION_CAUSES, recordProductRevision } from './productHistory.js'
+import { mapSourceCategory } from './categories.js'
+import { PRODUCT_SCHEMA, getWritableProductFields } from './productSchema.js'
+import { validate } from './validation.js'
+import { slugify } from './slug.js'
+import { loadPricingContext, priceProduct } from './pricingEngine.js'
+import { checkNewProduct, flagDuplicates, mergeIntoExisting } from './productDuplicates.js'
+
+export const IMPORT_FIELDS = [
+  'title',
+  'description',
+  'price',
+  'original_price',
+  'image_url',
+  'category',
+  'category_id',
+  'supplier',
+  'brand',
+  'sku',
+  'stock_quantity',
+  'margin_percentage',
+  'cost_price',
+  'competitor_price',
+  'slug',
+  'meta_title',
+  'meta_description',
+  'is_active'
+]
+
+const DECIMAL_FIELDS = ['price', 'original_price', 'margin_percentage', 'cost_price', 'competitor_price']
+
+export const REPORT_COLUMNS = ['row', 'status', 'sku', 'title', 'product_id', 'duplicates', 'errors']
+
+export const detectImportFormat = (file) => {
+  const name = (file.originalname || '').toLowerCase()
+
+  if (name.endsWith('.xlsx') || file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') {
+    return 'xlsx'
+  }
+
+  if (name.endsWith('.csv') || ['text/csv', 'application/csv', 'text/plain'].includes(file.mimetype)) {
+    return 'csv'
+  }
+
+  return null
+}
+
+const parseCSV = (buffer) => new Promise((resolve, reject) => {
+  const rows = []
+
+  Readable.from(buffer)
+    .pipe(csv({ mapHeaders: ({ header }) => header.replace(/^\uFEFF/, '').trim() }))
+    .on('data', row => rows.push(row))
+    .on('end', () => resolve(rows))
+    .on('error', reject)
+})
+
+// Reads the first worksheet, using its first row as headers
+const parseXLSX = async (buffer) => {
+  const workbook = new ExcelJS.Workbook()
+  await workbook.xlsx.load(buffer)
+
+  const worksheet = workbook.worksheets[0]
+  if (!worksheet) return []
+
+  const headers = []
+  worksheet.getRow(1).eachCell((cell, column) => {
+    headers[column] = cell.text.trim()
+  })
+
+  const rows = []
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return
+
+    const values = {}
+    headers.forEach((header, column) => {
+      if (header) values[header] = row.getCell(column).text
+    })
+    rows.push(values)
+  })
+
+  return rows
+}
+
+export const parseImportFile = async (file, format) => {
+  return format === 'xlsx' ? parseXLSX(file.buffer) : parseCSV(file.buffer)
+}
+
+// mapping is { "<file column>": "<product field>" }. Columns without a mapping
+// are matched to product fields by name, case-insensitively. Columns the user's
+// role may not write are ignored like any unknown column
+const columnField = (column, mapping) => mapping[column] || column.toLowerCase().replace(/\s+/g, '_')
+
+const mapRow = (row, mapping, allowedFields) => {
+  const mapped = {}
+
+  for (const [column, value] of Object.entries(row)) {
+    const field = columnField(column, mapping)
+
+    // Blank cells leave the field untouched instead of clearing it
+    if (value === '' || value === undefined || value === null) continue
+
+    if (IMPORT_FIELDS.includes(field) && allowedFields.includes(field)) {
+      mapped[field] = typeof value === 'string' ? value.trim() : value
+    }
+  }
+
+  return mapped
+}
+
+// Spreadsheet numbers in either convention: 1.234,50 and 1,234.50 (the last
+// separator is the decimal one), 12,50, and thousands-only 1.234.567. A single
+// comma is always decimal, as in Spanish files
+const normalizeDecimal = (value) => {
+  const text = String(value).replace(/[\s\u00a0]/g, '')
+  const lastComma = text.lastIndexOf(',')
+  const lastDot = text.lastIndexOf('.')
+
+  if (lastComma !== -1 && lastDot !== -1) {
+    const decimal = lastComma > lastDot ? ',' : '.'
+    const thousands = decimal === ',' ? '.' : ','
+    return text.split(thousands).join('').replace(decimal, '.')
+  }
+
+  const separator = lastComma !== -1 ? ',' : '.'
+  const parts = text.split(separator)
+
+  if (parts.length > 2) return parts.join('')
+
+  return text.replace(',', '.')
+}
+
+// Same rules as the JSON endpoints, with spreadsheet number formats accepted
+// Rows for an existing SKU are updates, so only the fields they carry are
+// checked; new products need the required ones
+const validateRow = (row, { existing = false } = {}) => {
+  const normalized = { ...row }
+  for (const field of DECIMAL_FIELDS) {
+    if (normalized[field] !== undefined) normalized[field] = normalizeDecimal(normalized[field])
+  }
+
+  const { value, errors } = validate(PRODUCT_SCHEMA, normalized, { partial: existing })
+
+  return {
+    product: value,
+    errors: errors.map(({ field, message }) => `${field}: ${message}`)
+  }
+}
+
+const findExistingSKUs = async (skus) => {
+  const supabase = getDatabase()
+  const existing = new Map()
+
+  for (let i = 0; i < skus.length; i += 100) {
+    const { data, error } = await supabase
+      .from('products')
+      .select('*')
+      .in('sku', skus.slice(i, i + 100))
+
+    if (error) throw error
+
+    data.forEach(product => existing.set(product.sku, product))
+  }
+
+  return existing
+}
+
+const analyzeRow = async (product) => {
+  try {
+    const analysisResult = await analyzeProductWithAI({
+      title: product.title,
+      price: product.price,
+      category: product.category,
+      supplier: product.supplier
+    })
+
+    return {
+      ...product,
+      score: analysisResult.score,
+      demand_score: analysisResult.demand,
+      competition_score: analysisResult.competition,
+      margin_percentage: product.margin_percentage ?? analysisResult.recommended_margin
+    }
+  } catch (error) {
+    console.error('Error analyzing product:', product.title, error)
+    return product
+  }
+}
+
+// Validates and (unless dryRun) writes each row on its own, so one bad row
+// never affects the others. Rows with a known SKU update that product. New
+// rows go through the duplicate detector like the JSON bulk import: certain
+// duplicates are merged into the existing product when onDuplicate is
+// 'merge', the rest are inserted and flagged. With applyPricing, rows that
+// have a cost_price are priced by the pricing rules
+export const runCatalogImport = async (rows, { mapping = {}, dryRun = false, analyze = false, applyPricing = false, onDuplicate = 'flag', actor = null } = {}) => {
+  const supabase = getDatabase()
+  const allowedFields = getWritableProductFields(actor)
+  const pricingContext = applyPricing && !dryRun ? await loadPricingContext() : null
+
+  const mappedRows = rows.map(row => mapRow(row, mapping, allowedFields))
+  const skus = [...new Set(mappedRows.map(row => row.sku && String(row.sku)).filter(Boolean))]
+  const existingSKUs = await findExistingSKUs(skus)
+
+  const validated = rows.map((row, index) => {
+    const mapped = mappedRows[index]
+    const result = validateRow(mapped, { existing: Boolean(mapped.sku) && existingSKUs.has(String(mapped.sku)) })
+
+    // product_type is not an import column, but a bundle row must not turn
+    // into a simple product silently either: bundles need their components
+    const bundle = Object.entries(row).some(([column, value]) =>
+      columnField(column, mapping) === 'product_type' && String(value).trim().toLowerCase() === 'bundle')
+    if (bundle) {
+      result.errors.push('product_type: los packs se crean uno a uno, con sus componentes')
+    }
+
+    // Row numbers match the spreadsheet (header is row 1)
+    return { row: index + 2, ...result }
+  })
+
+  const seenSKUs = new Set()
+
+  const results = []
+  for (const { row, product, errors } of validated) {
+    const result = {
+      row,
+      sku: product.sku || null,
+      title: product.title || null,
+      product_id: existingSKUs.get(product.sku)?.id || null,
+      duplicates: [],
+      errors
+    }
+
+    if (product.sku && seenSKUs.has(product.sku)) {
+      errors.push('sku: duplicado en el archivo')
+    }
+    if (product.sku) seenSKUs.add(product.sku)
+
+    // An exported file carries the current stock; only changes are refused
+    const current = existingSKUs.get(product.sku)
+    if (current && product.stock_quantity !== undefined && product.stock_quantity !== current.stock_quantity) {
+      errors.push('stock_quantity: el stock de un producto existente se ajusta con movimientos de stock')
+    }
+
+    if (errors.length > 0) {
+      results.push({ ...result, status: 'failed' })
+      continue
+    }
+
+    const action = result.product_id ? 'update' : 'create'
+
+    if (dryRun) {
+      results.push({ ...result, status: `would_${action}` })
+      continue
+    }
+
+    try {
+      const data = analyze ? await analyzeRow(product) : { ...product }
+
+      if (action === 'update') delete data.stock_quantity
+
+      if (data.slug) data.slug = slugify(data.slug)
+
+      if (data.category && !data.category_id) {
+        data.category_id = await mapSourceCategory({ sourceCategory: data.category })
+      }
+
+      if (pricingContext) {
+        // Rules match on the stored values for fields the row leaves blank
+        const pricing = priceProduct({ ...existingSKUs.get(product.sku), ...data }, pricingContext)
+        if (pricing) {
+          data.price = pricing.price
+          data.margin_percentage = pricing.margin_percentage
+        }
+      }
+
+      const now = new Date().toISOString()
+      const check = action === 'create' ? await checkNewProduct(data) : null
+
+      if (onDuplicate === 'merge' && check?.duplicate) {
+        const existing = await mergeIntoExisting(check.duplicate.product, data, { actor })
+        results.push({ ...result, product_id: existing.id, status: 'merged' })
+        continue
+      }
+
+      if (check) {
+        data.image_hash = check.image_hash
+        data.duplicates_checked_at = now
+      }
+
+      const query = action === 'update'
+        ? supabase.from('products').update({ ...data, updated_at: now }).eq('id', result.product_id)
+        : supabase.from('products').insert(data)
+
+      const { data: saved, error } = await query.select().single()
+
+      if (error) throw error
+
+      if (check) {
+        await flagDuplicates(saved.id, check.matches)
+        result.duplicates = check.matches.map(match => match.product.id)
+      }
+
+      await recordProductRevision({
+        before: existingSKUs.get(product.sku) || null,
+        after: saved,
+        action,
+        cause: REVISION_CAUSES.IMPORT,
+        actor
+      })
+
+      results.push({ ...result, product_id: saved.id, status: action === 'update' ? 'updated' : 'created' })
+    } catch (error) {
+      results.push({ ...result, status: 'failed', errors: [error.message] })
+    }
+  }
+
+  const summary = results.reduce((totals, { status }) => {
+    totals[status] = (totals[status] || 0) + 1
+    return totals
+  }, { total: results.length })
+
+  return { summary, results }
+}
+
+export const buildImportReportCSV = (results) => {
+  return toCSV(
+    results.map(result => ({ ...result, duplicates: (result.duplicates || []).join('; '), errors: result.errors.join('; ') })),
+    REPORT_COLUMNS
+  )
+}
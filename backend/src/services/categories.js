@@ -0,0 +1,149 @@
+import { getDatabase } from '../config/database.js'
+
+export const DEFAULT_LOCALE = 'es'
+
+export const getAllCategories = async ({ includeInactive = false } = {}) => {
+  const supabase = getDatabase()
+
+  let query = supabase
+    .from('categories')
+    .select('*')
+    .order('position', { ascending: true })
+
+  if (!includeInactive) {
+    query = query.eq('is_active', true)
+  }
+
+  const { data: categories, error } = await query
+
+  if (error) throw error
+
+  return categories || []
+}
+
+export const localizedName = (category, locale = DEFAULT_LOCALE) => {
+  const names = category.name || {}
+  return names[locale] || names[DEFAULT_LOCALE] || Object.values(names)[0] || category.slug
+}
+
+export const withLocalizedName = (category, locale) => ({
+  ...category,
+  display_name: localizedName(category, locale)
+})
+
+// Nests categories under their parents, keeping the position order
+export const buildCategoryTree = (categories, locale) => {
+  const nodes = new Map(categories.map(category => [
+    category.id,
+    { ...withLocalizedName(category, locale), children: [] }
+  ]))
+
+  const roots = []
+  for (const node of nodes.values()) {
+    const parent = node.parent_id && nodes.get(node.parent_id)
+    if (parent) {
+      parent.children.push(node)
+    } else {
+      roots.push(node)
+    }
+  }
+
+  return roots
+}
+
+// Ids of the category and everything below it
+export const getDescendantIds = (categories, rootId) => {
+  const ids = [rootId]
+
+  for (let i = 0; i < ids.length; i++) {
+    categories
+      .filter(category => category.parent_id === ids[i])
+      .forEach(category => ids.push(category.id))
+  }
+
+  return ids
+}
+
+// Path from the root down to the category, for breadcrumbs
+export const getCategoryPath = (categories, categoryId) => {
+  const byId = new Map(categories.map(category => [category.id, category]))
+  const path = []
+
+  let current = byId.get(categoryId)
+  while (current && !path.includes(current)) {
+    path.unshift(current)
+    current = byId.get(current.parent_id)
+  }
+
+  return path
+}
+
+// Would moving categoryId under parentId create a cycle?
+export const isDescendant = (categories, categoryId, parentId) => {
+  return getDescendantIds(categories, categoryId).includes(parentId)
+}
+
+// Turns the `category` slugs parsed by parseProductFilters into category_ids,
+// each expanded with its descendants. Values that are not a category slug are
+// kept as category_labels and matched against the free-text category column,
+// as the filter did before the taxonomy existed
+export const resolveCategoryFilter = async (filters) => {
+  const { categories: slugs, ...rest } = filters
+  if (!slugs) return { filters: rest, errors: [] }
+
+  const categories = await getAllCategories()
+  const ids = new Set()
+  const labels = []
+
+  for (const slug of slugs) {
+    const category = categories.find(category => category.slug === slug.toLowerCase())
+
+    if (!category) {
+      labels.push(slug)
+      continue
+    }
+
+    getDescendantIds(categories, category.id).forEach(id => ids.add(id))
+  }
+
+  return {
+    filters: {
+      ...rest,
+      ...(ids.size > 0 && { category_ids: [...ids] }),
+      ...(labels.length > 0 && { category_labels: labels })
+    },
+    errors: []
+  }
+}
+
+// Maps a scraped or free-text category label onto the taxonomy. Source-specific
+// mappings win over '*' ones; fallbackSlug is used when nothing matches
+export const mapSourceCategory = async ({ source = '*', sourceCategory, fallbackSlug } = {}) => {
+  const supabase = getDatabase()
+  const label = String(sourceCategory || '').trim().toLowerCase()
+
+  if (label) {
+    const { data: mappings } = await supabase
+      .from('category_mappings')
+      .select('source, category_id')
+      .eq('source_category', label)
+      .in('source', [source, '*'])
+
+    if (mappings && mappings.length > 0) {
+      const mapping = mappings.find(mapping => mapping.source === source) || mappings[0]
+      return mapping.category_id
+    }
+  }
+
+  const slug = label || fallbackSlug
+  const slugs = [...new Set([slug, fallbackSlug].filter(Boolean))]
+  if (slugs.length === 0) return null
+
+  const { data: categories } = await supabase
+    .from('categories')
+    .select('id, slug')
+    .in('slug', slugs)
+
+  const match = categories?.find(category => category.slug === slug) || categories?.[0]
+  return match?.id || null
+}
@@ -0,0 +1,15 @@
+// Minimal RFC 4180 writer shared by the import reports and catalog exports
+
+const escapeCSVValue = (value) => {
+  if (value === null || value === undefined) return ''
+
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value)
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+export const toCSVRow = (values) => values.map(escapeCSVValue).join(',') + '\r\n'
+
+export const toCSV = (rows, columns) => {
+  return toCSVRow(columns) + rows.map(row => toCSVRow(columns.map(column => row[column]))).join('')
+}
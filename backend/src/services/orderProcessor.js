@@ -1,6 +1,11 @@
 import Stripe from 'stripe'
 import axios from 'axios'
 import { getDatabase } from '../config/database.js'
+import { getBundleComponents, getBundleCost, getUnitCost } from './productBundles.js'
+import { reserveOrderStock, commitReservation, releaseReservation, getReservation } from './stockReservations.js'
+import { consumeOfferStock, getProductOffers, rankOffers } from './supplierOffers.js'
+import { getSupplierAdapter } from './supplierAdapters.js'
+import { estimateDeliveryDate, getSupplierScorecards } from './suppliers.js'
 
 const stripe = process.env.STRIPE_SECRET_KEY ? new Stripe(process.env.STRIPE_SECRET_KEY) : null
 
@@ -52,13 +57,20 @@ const processSingleOrder = async (order) => {
   
   console.log(`Processing order ${order.order_number}...`)
 
-  // Step 1: Process payment if not already processed
+  // Step 1: Process payment if not already processed. Stock is held before
+  // charging so a paid order never finds its units sold to someone else
   if (order.payment_status === 'pending') {
-    await processPayment(order)
+    const reservationId = await reserveOrderStock(order)
+    await processPayment(order, reservationId)
+  } else if (order.reservation_id) {
+    await commitOrderStock(order, order.reservation_id)
   }
 
+  // Bundle lines are costed and fulfilled through their components
+  const bundles = await getBundleComponents(order.order_items.map(item => item.product_id))
+
   // Step 2: Calculate profit margin
-  const profitAmount = calculateProfit(order)
+  const profitAmount = calculateProfit(order, bundles)
   
   // Update order with profit calculation
   await supabase
@@ -70,7 +82,7 @@ const processSingleOrder = async (order) => {
     .eq('id', order.id)
 
   // Step 3: Process supplier orders
-  const supplierOrders = await processSupplierOrders(order.order_items)
+  const supplierOrders = await processSupplierOrders(order.order_items, bundles)
 
   // Step 4: Handle profit transfer
   await handleProfitTransfer(order, profitAmount)
@@ -87,7 +99,9 @@ const processSingleOrder = async (order) => {
   console.log(`✅ Order ${order.order_number} processed successfully`)
 }
 
-const processPayment = async (order) => {
+// The reservation is committed once the payment is confirmed and released if
+// it fails, so the held units go back on sale
+const processPayment = async (order, reservationId) => {
   const supabase = getDatabase()
   
   try {
@@ -117,11 +131,26 @@ const processPayment = async (order) => {
     console.log(`✅ Payment processed for order ${order.order_number}`)
   } catch (error) {
     console.error(`❌ Payment processing failed for order ${order.order_number}:`, error)
+    await releaseReservation(reservationId)
     throw error
   }
+
+  await commitOrderStock(order, reservationId)
+}
+
+// A paid order must have taken its stock. Committing again on a retry is
+// fine, but a hold that was released or expired before the commit means the
+// units may have been sold to someone else, so the order fails for review
+const commitOrderStock = async (order, reservationId) => {
+  if (await commitReservation(reservationId)) return
+
+  const reservation = await getReservation(reservationId)
+  if (reservation?.status === 'committed') return
+
+  throw new Error(`Paid order took no stock: reservation ${reservationId} is ${reservation?.status || 'missing'}`)
 }
 
-const calculateProfit = (order) => {
+const calculateProfit = (order, bundles = new Map()) => {
   const totalAmount = parseFloat(order.total_amount)
   
   // Default profit margin (can be customized per product)
@@ -130,6 +159,12 @@ const calculateProfit = (order) => {
   // Check if order items have custom margins
   if (order.order_items && order.order_items.length > 0) {
     const totalProfit = order.order_items.reduce((sum, item) => {
+      // Bundles: sale price minus what the components cost us
+      const components = bundles.get(item.product_id)
+      if (components) {
+        return sum + parseFloat(item.total_price) - getBundleCost(components) * item.quantity
+      }
+
       const itemProfit = parseFloat(item.total_price) * (item.profit_margin || 0.25)
       return sum + itemProfit
     }, 0)
@@ -140,12 +175,18 @@ const calculateProfit = (order) => {
   return totalAmount * profitMargin
 }
 
-const processSupplierOrders = async (orderItems) => {
+const processSupplierOrders = async (orderItems, bundles = new Map()) => {
   const supplierOrders = []
+  const scorecards = await getSupplierScorecards()
   
   for (const item of orderItems) {
     try {
-      const supplierOrder = await createSupplierOrder(item)
+      if (bundles.has(item.product_id)) {
+        supplierOrders.push(...await processBundleSupplierOrders(item, bundles.get(item.product_id), scorecards))
+        continue
+      }
+
+      const supplierOrder = await createSupplierOrder(item, scorecards)
       supplierOrders.push(supplierOrder)
       
       // Update order item with supplier order ID
@@ -154,12 +195,26 @@ const processSupplierOrders = async (orderItems) => {
         .from('order_items')
         .update({ 
           supplier_order_id: supplierOrder.id,
-          supplier_status: 'ordered'
+          supplier: supplierOrder.supplier,
+          supplier_offer_id: supplierOrder.offer_id,
+          supplier_status: 'ordered',
+          supplier_ordered_at: new Date().toISOString(),
+          supplier_estimated_delivery: supplierOrder.estimated_delivery,
+          supplier_attempts: supplierOrder.failed_offers || []
         })
         .eq('id', item.id)
         
     } catch (error) {
       console.error(`Error creating supplier order for item ${item.id}:`, error)
+
+      // Kept for the supplier scorecards
+      if (error.attempts) {
+        await getDatabase()
+          .from('order_items')
+          .update({ supplier_status: 'failed', supplier_attempts: error.attempts })
+          .eq('id', item.id)
+      }
+
       throw error
     }
   }
@@ -167,30 +222,169 @@ const processSupplierOrders = async (orderItems) => {
   return supplierOrders
 }
 
-const createSupplierOrder = async (orderItem) => {
-  // Simulate supplier order creation
-  // In real implementation, this would interface with supplier APIs
-  
+// One supplier order per component, each for the component quantity times the
+// number of bundles ordered, priced at the component's cost. When a component
+// fails, the orders already placed for the others are recorded on the line
+// before the error propagates, so they can be followed up or cancelled
+const processBundleSupplierOrders = async (item, components, scorecards) => {
+  const supabase = getDatabase()
+  const supplierOrders = []
+
+  const componentOrders = () => supplierOrders.map(supplierOrder => ({
+    supplier_order_id: supplierOrder.id,
+    supplier: supplierOrder.supplier,
+    ...supplierOrder.items[0]
+  }))
+  const attempts = () => supplierOrders.flatMap(supplierOrder => supplierOrder.failed_offers || [])
+
+  for (const component of components) {
+    const quantity = component.quantity * item.quantity
+    const unitCost = Math.round(getUnitCost(component.component, component.variant) * 100) / 100
+
+    try {
+      supplierOrders.push(await createSupplierOrder({
+        ...item,
+        product_id: component.component_id,
+        variant_id: component.component_variant_id,
+        supplier: component.component.supplier,
+        quantity,
+        unit_price: unitCost,
+        total_price: Math.round(unitCost * quantity * 100) / 100
+      }, scorecards))
+    } catch (error) {
+      error.attempts = [...attempts(), ...(error.attempts || [])]
+
+      await supabase
+        .from('order_items')
+        .update({
+          component_orders: componentOrders(),
+          supplier_status: 'failed',
+          supplier_attempts: error.attempts
+        })
+        .eq('id', item.id)
+
+      throw error
+    }
+  }
+
+  await supabase
+    .from('order_items')
+    .update({
+      component_orders: componentOrders(),
+      supplier_status: 'ordered',
+      supplier_attempts: attempts()
+    })
+    .eq('id', item.id)
+
+  return supplierOrders
+}
+
+// Sends the line to the best supplier offer for the product (cheapest, then
+// fastest, then best scorecard, skipping those out of stock) and falls back to
+// the next offer when a supplier rejects the order. Products without offers
+// are ordered from their own supplier
+const createSupplierOrder = async (orderItem, scorecards = new Map()) => {
+  const variantId = orderItem.variant_id || null
+  const allOffers = await getProductOffers(orderItem.product_id)
+  const offers = rankOffers(allOffers, { variantId, quantity: orderItem.quantity, scorecards })
+
+  // The product's own supplier is only used when no offer covers the line.
+  // Offers known to be out of stock count as failed attempts instead
+  const covering = allOffers.filter(offer => offer.is_active !== false && (!offer.variant_id || offer.variant_id === variantId))
+
+  if (covering.length === 0) {
+    const supplier = orderItem.supplier || await getProductSupplier(orderItem.product_id)
+    return placeSupplierOrder(orderItem, { supplier, supplier_sku: null, offer: null })
+  }
+
+  const failures = covering
+    .filter(offer => !offers.includes(offer))
+    .map(offer => ({ supplier: offer.supplier, offer_id: offer.id, error: `Out of stock (${offer.stock_quantity} available)` }))
+
+  for (const offer of offers) {
+    let supplierOrder
+    try {
+      supplierOrder = await placeSupplierOrder(orderItem, {
+        supplier: offer.supplier,
+        supplier_sku: offer.supplier_sku,
+        offer
+      })
+    } catch (error) {
+      console.error(`⚠️ Supplier ${offer.supplier} could not fulfil ${orderItem.quantity} units of ${orderItem.product_id}:`, error.message)
+      failures.push({ supplier: offer.supplier, offer_id: offer.id, error: error.message })
+      continue
+    }
+
+    // The supplier already accepted the order, so a failed stock update must
+    // not send the line to the next offer as well
+    try {
+      await consumeOfferStock(offer, orderItem.quantity)
+    } catch (error) {
+      console.error(`Error updating stock of offer ${offer.id}:`, error)
+    }
+
+    return { ...supplierOrder, failed_offers: failures }
+  }
+
+  const error = new Error(`No supplier could fulfil ${orderItem.quantity} units of product ${orderItem.product_id}`)
+  error.attempts = failures
+  throw error
+}
+
+// Orders through the supplier's adapter when it takes orders; otherwise the
+// order is recorded locally for manual placement
+const placeSupplierOrder = async (orderItem, { supplier, supplier_sku, offer }) => {
+  const adapter = getSupplierAdapter(supplier)
+  let id = generateSupplierOrderId()
+
+  if (adapter?.placeOrder && supplier_sku) {
+    const placed = await adapter.placeOrder({
+      sku: supplier_sku,
+      quantity: orderItem.quantity,
+      shippingAddress: orderItem.shipping_address
+    })
+    id = placed.id
+  }
+
+  const unitCost = offer ? parseFloat(offer.cost) : orderItem.unit_price
+
   const supplierOrder = {
-    id: generateSupplierOrderId(),
-    supplier: orderItem.supplier,
+    id,
+    supplier,
+    offer_id: offer?.id || null,
     items: [{
       product_id: orderItem.product_id,
+      variant_id: orderItem.variant_id || null,
+      supplier_sku,
       quantity: orderItem.quantity,
-      unit_price: orderItem.unit_price
+      unit_price: unitCost
     }],
     shipping_address: orderItem.shipping_address,
-    total_amount: orderItem.total_price,
+    total_amount: offer ? Math.round(unitCost * orderItem.quantity * 100) / 100 : orderItem.total_price,
     status: 'ordered',
-    estimated_delivery: getEstimatedDeliveryDate(orderItem.supplier),
+    estimated_delivery: await estimateDeliveryDate(supplier, offer?.lead_time_days),
     tracking_number: null
   }
-  
-  console.log(`📦 Created supplier order: ${supplierOrder.id} for ${orderItem.quantity} units`)
-  
+
+  console.log(`📦 Created supplier order: ${supplierOrder.id} (${supplier}) for ${orderItem.quantity} units`)
+
   return supplierOrder
 }
 
+const getProductSupplier = async (productId) => {
+  const supabase = getDatabase()
+
+  const { data: product, error } = await supabase
+    .from('products')
+    .select('supplier')
+    .eq('id', productId)
+    .maybeSingle()
+
+  if (error) throw error
+
+  return product?.supplier || null
+}
+
 const generateSupplierOrderId = () => {
   const suppliers = {
     'amazon': 'AMZ',
@@ -205,21 +399,6 @@ const generateSupplierOrderId = () => {
   return `${timestamp}${random}`
 }
 
-const getEstimatedDeliveryDate = (supplier) => {
-  const deliveryDays = {
-    'amazon': 2,
-    'aliexpress': 7,
-    'mercadolibre': 3,
-    'ebay': 5
-  }
-  
-  const days = deliveryDays[supplier.toLowerCase()] || 5
-  const deliveryDate = new Date()
-  deliveryDate.setDate(deliveryDate.getDate() + days)
-  
-  return deliveryDate.toISOString()
-}
-
 const handleProfitTransfer = async (order, profitAmount) => {
   try {
     if (profitAmount <= 0) {
@@ -306,12 +485,21 @@ export const getOrderStatus = async (orderId) => {
 
     return {
       order,
-      supplierOrders: order.order_items.map(item => ({
-        supplier_order_id: item.supplier_order_id,
-        supplier: item.supplier,
-        status: item.supplier_status,
-        tracking_number: item.tracking_number
-      }))
+      // Bundle lines list one entry per component order
+      supplierOrders: order.order_items.flatMap(item => {
+        const componentOrders = item.component_orders || [{
+          supplier_order_id: item.supplier_order_id,
+          supplier: item.supplier
+        }]
+
+        return componentOrders.map(componentOrder => ({
+          supplier_order_id: componentOrder.supplier_order_id,
+          supplier: componentOrder.supplier,
+          ...(item.component_orders && { product_id: componentOrder.product_id }),
+          status: item.supplier_status,
+          tracking_number: item.tracking_number
+        }))
+      })
     }
   } catch (error) {
     console.error('Error getting order status:', error)
@@ -319,6 +507,27 @@ export const getOrderStatus = async (orderId) => {
   }
 }
 
+export const SUPPLIER_ORDER_STATUSES = ['ordered', 'in_transit', 'delivered', 'failed', 'cancelled']
+
+// Records how a supplier order ended up; delivered and cancelled lines feed
+// the supplier scorecards. Returns the order items it was found on
+export const updateSupplierOrderStatus = async (supplierOrderId, status, { deliveredAt = null } = {}) => {
+  const supabase = getDatabase()
+
+  const { data: items, error } = await supabase
+    .from('order_items')
+    .update({
+      supplier_status: status,
+      supplier_delivered_at: status === 'delivered' ? deliveredAt || new Date().toISOString() : null
+    })
+    .eq('supplier_order_id', supplierOrderId)
+    .select('id, order_id, supplier, supplier_status, supplier_ordered_at, supplier_estimated_delivery, supplier_delivered_at')
+
+  if (error) throw error
+
+  return items
+}
+
 export const trackSupplierOrder = async (supplierOrderId, supplier) => {
   try {
     // Simulate tracking API call
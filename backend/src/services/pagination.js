@@ -0,0 +1,144 @@
+import { isUUID } from './validation.js'
+
+export const DEFAULT_LIMIT = 12
+export const MAX_LIMIT = 100
+
+// Opaque cursors are base64url encoded JSON with the sort the page was
+// produced with, the last/first row's sort value and id, and the direction
+export const encodeCursor = ({ field, ascending, value, id, direction }) => {
+  const payload = JSON.stringify({ f: field, o: ascending ? 'asc' : 'desc', v: value ?? null, id, d: direction })
+  return Buffer.from(payload).toString('base64url')
+}
+
+// Cursors come back from clients, and their id and value end up in a
+// PostgREST filter, so anything but the shapes encodeCursor produces is rejected
+const isCursorValue = (value) => value === null || typeof value === 'string' ||
+  (typeof value === 'number' && Number.isFinite(value))
+
+export const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'))
+
+    if (!payload || typeof payload.f !== 'string' || !isUUID(payload.id) || !['next', 'prev'].includes(payload.d)) return null
+    if (!['asc', 'desc'].includes(payload.o) || !isCursorValue(payload.v)) return null
+
+    return {
+      field: payload.f,
+      ascending: payload.o === 'asc',
+      value: payload.v,
+      id: payload.id,
+      direction: payload.d
+    }
+  } catch (error) {
+    return null
+  }
+}
+
+// Cursor mode is used when a cursor is given or `pagination=cursor` is requested,
+// page mode (page/limit with offsets) stays the default for compatibility
+export const parsePagination = (query = {}) => {
+  const errors = []
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : parseInt(query.limit)
+
+  if (Number.isNaN(limit) || limit < 1) {
+    errors.push({ field: 'limit', message: 'Debe ser un entero positivo' })
+  }
+
+  const pagination = {
+    limit: Math.min(limit || DEFAULT_LIMIT, MAX_LIMIT),
+    mode: query.cursor || query.pagination === 'cursor' ? 'cursor' : 'page'
+  }
+
+  if (pagination.mode === 'page') {
+    const page = query.page === undefined ? 1 : parseInt(query.page)
+
+    if (Number.isNaN(page) || page < 1) {
+      errors.push({ field: 'page', message: 'Debe ser un entero positivo' })
+    }
+
+    pagination.page = page || 1
+    pagination.offset = (pagination.page - 1) * pagination.limit
+  } else if (query.cursor) {
+    pagination.cursor = decodeCursor(query.cursor)
+
+    if (!pagination.cursor) {
+      errors.push({ field: 'cursor', message: 'Cursor no válido' })
+    }
+  }
+
+  return { pagination, errors }
+}
+
+// PostgREST needs values with reserved characters (commas, parentheses) quoted
+export const quoteValue = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`
+
+// Keyset condition for rows after the cursor row, given the order the rows are
+// read in. Mirrors Postgres defaults: NULLs sort last ascending, first descending
+const keysetCondition = (field, value, id, ascending) => {
+  const op = ascending ? 'gt' : 'lt'
+
+  if (value === null) {
+    return ascending
+      ? `and(${field}.is.null,id.${op}.${id})`
+      : `and(${field}.is.null,id.${op}.${id}),${field}.not.is.null`
+  }
+
+  const quoted = quoteValue(value)
+  const condition = `${field}.${op}.${quoted},and(${field}.eq.${quoted},id.${op}.${id})`
+
+  return ascending ? `${condition},${field}.is.null` : condition
+}
+
+// Orders the query by the sort field plus id and positions it after the cursor.
+// Fetches one extra row so buildCursorPage can tell whether more rows follow
+export const applyCursor = (query, sort, pagination) => {
+  const { cursor, limit } = pagination
+  const backwards = cursor?.direction === 'prev'
+  const ascending = backwards ? !sort.ascending : sort.ascending
+
+  if (cursor) {
+    query = query.or(keysetCondition(sort.field, cursor.value, cursor.id, ascending))
+  }
+
+  return query
+    .order(sort.field, { ascending })
+    .order('id', { ascending })
+    .limit(limit + 1)
+}
+
+export const buildCursorPage = (rows, sort, pagination) => {
+  const { cursor, limit } = pagination
+  const backwards = cursor?.direction === 'prev'
+  const hasMore = rows.length > limit
+  const items = rows.slice(0, limit)
+
+  // Backward pages are read in reverse order
+  if (backwards) items.reverse()
+
+  const cursorFor = (row, direction) => row && encodeCursor({
+    field: sort.field,
+    ascending: sort.ascending,
+    value: row[sort.field],
+    id: row.id,
+    direction
+  })
+
+  const hasNext = backwards ? true : hasMore
+  const hasPrev = backwards ? hasMore : Boolean(cursor)
+
+  return {
+    items,
+    pagination: {
+      mode: 'cursor',
+      limit,
+      has_more: hasNext,
+      next_cursor: hasNext && items.length > 0 ? cursorFor(items[items.length - 1], 'next') : null,
+      prev_cursor: hasPrev && items.length > 0 ? cursorFor(items[0], 'prev') : null
+    }
+  }
+}
+
+// Rejects cursors produced for a different sort than the current request
+export const cursorMatchesSort = (cursor, sort) => {
+  return !cursor || (cursor.field === sort.field && cursor.ascending === sort.ascending)
+}
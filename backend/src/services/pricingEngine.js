@@ -0,0 +1,212 @@
+import { getDatabase } from '../config/database.js'
+import { getAllCategories, getDescendantIds } from './categories.js'
+import { iterateProducts } from './catalogExport.js'
+import { REVISION_CAUSES, recordProductRevision } from './productHistory.js'
+
+// Used for products no rule matches; same markup the fallback analysis uses
+export const DEFAULT_PRICING_RULE = {
+  id: null,
+  name: 'Margen por defecto',
+  markup_percentage: 25,
+  min_margin_amount: null,
+  charm_ending: null,
+  competitor_undercut_percentage: null
+}
+
+export const MAX_PREVIEW_PRODUCTS = 500
+
+export const PRICING_RULE_SCHEMA = {
+  name: { type: 'string', required: true, minLength: 1, maxLength: 255 },
+  priority: { type: 'integer', min: 0, max: 1000 },
+  category_id: { type: 'uuid', nullable: true },
+  supplier: { type: 'string', maxLength: 100, nullable: true },
+  min_cost: { type: 'number', min: 0, nullable: true },
+  max_cost: { type: 'number', min: 0, nullable: true },
+  markup_percentage: { type: 'number', required: true, min: 0, max: 1000 },
+  min_margin_amount: { type: 'number', min: 0, nullable: true },
+  charm_ending: { type: 'number', min: 0, max: 0.99, nullable: true },
+  competitor_undercut_percentage: { type: 'number', min: 0, max: 100, nullable: true },
+  is_active: { type: 'boolean' }
+}
+
+const roundCents = (amount) => Math.round(amount * 100) / 100
+
+// Highest priority first; on equal priority the rule with more conditions wins
+const bySpecificity = (a, b) => {
+  const conditions = (rule) => ['category_id', 'supplier', 'min_cost', 'max_cost']
+    .filter(field => rule[field] !== null && rule[field] !== undefined).length
+
+  return (b.priority || 0) - (a.priority || 0) || conditions(b) - conditions(a)
+}
+
+export const getPricingRules = async ({ includeInactive = false } = {}) => {
+  const supabase = getDatabase()
+
+  let query = supabase
+    .from('pricing_rules')
+    .select('*')
+
+  if (!includeInactive) {
+    query = query.eq('is_active', true)
+  }
+
+  const { data: rules, error } = await query
+
+  if (error) throw error
+
+  return (rules || []).sort(bySpecificity)
+}
+
+// Everything priceProduct needs, loaded once per batch
+export const loadPricingContext = async () => {
+  const [rules, categories] = await Promise.all([getPricingRules(), getAllCategories({ includeInactive: true })])
+
+  return {
+    // A category rule also covers the subcategories
+    rules: rules.map(rule => ({
+      ...rule,
+      category_ids: rule.category_id ? getDescendantIds(categories, rule.category_id) : null
+    }))
+  }
+}
+
+export const findPricingRule = (rules, product) => {
+  const cost = parseFloat(product.cost_price)
+
+  return rules.find(rule =>
+    (!rule.category_ids || rule.category_ids.includes(product.category_id)) &&
+    (!rule.supplier || rule.supplier.toLowerCase() === String(product.supplier || '').toLowerCase()) &&
+    (rule.min_cost === null || rule.min_cost === undefined || cost >= parseFloat(rule.min_cost)) &&
+    (rule.max_cost === null || rule.max_cost === undefined || cost < parseFloat(rule.max_cost))
+  ) || DEFAULT_PRICING_RULE
+}
+
+// Smallest price ending in .ending (e.g. .99) that is not below amount
+const charmUp = (amount, ending) => {
+  const charm = Math.floor(amount) + ending
+  return roundCents(charm >= amount - 0.005 ? charm : charm + 1)
+}
+
+// Largest price ending in .ending that does not exceed amount
+const charmDown = (amount, ending) => roundCents(Math.floor(amount - ending + 0.005) + ending)
+
+// Price for a product from its cost_price:
+//   1. cost plus the markup percentage
+//   2. raised to cost + min_margin_amount if the markup leaves less than that
+//   3. charm-rounded up to the configured ending (x.99)
+//   4. capped below competitor_price by the undercut percentage, never below
+//      the minimum margin from step 2
+// Returns null for products without a cost
+export const priceProduct = (product, { rules }) => {
+  if (product.cost_price === null || product.cost_price === undefined || product.cost_price === '') return null
+
+  const cost = parseFloat(product.cost_price)
+  const rule = findPricingRule(rules, product)
+  const ending = rule.charm_ending !== null && rule.charm_ending !== undefined ? parseFloat(rule.charm_ending) : null
+  const floor = rule.min_margin_amount ? cost + parseFloat(rule.min_margin_amount) : 0
+
+  let price = cost * (1 + parseFloat(rule.markup_percentage) / 100)
+  const minMarginApplied = price < floor
+  price = Math.max(price, floor)
+
+  if (ending !== null) price = charmUp(price, ending)
+
+  let capped = false
+  if (product.competitor_price && rule.competitor_undercut_percentage !== null && rule.competitor_undercut_percentage !== undefined) {
+    const cap = parseFloat(product.competitor_price) * (1 - parseFloat(rule.competitor_undercut_percentage) / 100)
+    const cappedPrice = ending !== null ? charmDown(cap, ending) : cap
+
+    if (cappedPrice < price && cappedPrice >= floor) {
+      price = cappedPrice
+      capped = true
+    }
+  }
+
+  price = roundCents(price)
+
+  return {
+    price,
+    cost,
+    margin_amount: roundCents(price - cost),
+    margin_percentage: cost > 0 ? roundCents(((price - cost) / cost) * 100) : null,
+    rule: { id: rule.id, name: rule.name },
+    min_margin_applied: minMarginApplied,
+    competitor_capped: capped
+  }
+}
+
+// Products the rules would reprice (old vs new price), without writing
+// anything. Variant and bundle prices come from elsewhere and are skipped, as
+// are products in a running sale (their regular price is restored when it ends)
+export const previewPricing = async (filters, { limit = MAX_PREVIEW_PRODUCTS } = {}) => {
+  const context = await loadPricingContext()
+  const changes = []
+  let checked = 0
+
+  for await (const product of iterateProducts(filters, { select: '*' })) {
+    if (product.has_variants || product.product_type === 'bundle' || product.sale_event_id) continue
+
+    const pricing = priceProduct(product, context)
+    if (!pricing) continue
+
+    checked++
+    if (pricing.price === parseFloat(product.price)) continue
+
+    changes.push({
+      id: product.id,
+      title: product.title,
+      sku: product.sku,
+      old_price: parseFloat(product.price),
+      new_price: pricing.price,
+      difference: roundCents(pricing.price - parseFloat(product.price)),
+      ...pricing
+    })
+
+    if (changes.length >= limit) break
+  }
+
+  return { checked, changes }
+}
+
+export const applyPricing = async (filters, actor) => {
+  const supabase = getDatabase()
+  const { changes } = await previewPricing(filters, { limit: Infinity })
+  const applied = []
+
+  for (const change of changes) {
+    const { data: before } = await supabase
+      .from('products')
+      .select('*')
+      .eq('id', change.id)
+      .single()
+
+    const { data: after, error } = await supabase
+      .from('products')
+      .update({
+        price: change.new_price,
+        margin_percentage: change.margin_percentage,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', change.id)
+      .select()
+      .single()
+
+    if (error) {
+      console.error(`Error repricing ${change.title}:`, error)
+      continue
+    }
+
+    await recordProductRevision({
+      before,
+      after,
+      action: 'update',
+      cause: REVISION_CAUSES.PRICING,
+      actor,
+      metadata: { pricing_rule: change.rule }
+    })
+
+    applied.push(change)
+  }
+
+  return applied
+}
@@ -80,6 +80,48 @@ export const analyzeProductWithAI = async (productData) => {
   }
 }
 
+const LANGUAGE_NAMES = {
+  es: 'español',
+  en: 'inglés'
+}
+
+// Translates the product's customer-facing text from Spanish into locale.
+// Unlike the analysis there is no fallback: errors reach the caller, which
+// decides whether to keep the untranslated text
+export const translateProductWithAI = async (product, locale) => {
+  const translationPrompt = `
+    Traduce al ${LANGUAGE_NAMES[locale] || locale} el texto de esta ficha de producto de una tienda online.
+    Mantén nombres de marca, modelos, medidas y unidades. No añadas información que no esté en el original.
+
+    ${JSON.stringify({
+      title: product.title,
+      description: product.description || null,
+      meta_title: product.meta_title || null,
+      meta_description: product.meta_description || null
+    })}
+
+    Responde solo con JSON con las mismas claves; deja en null las que sean null en el original.
+  `
+
+  const completion = await openai.chat.completions.create({
+    model: "gpt-3.5-turbo",
+    messages: [
+      {
+        role: "system",
+        content: "Eres un traductor profesional de comercio electrónico. Traduces con naturalidad para clientes finales."
+      },
+      {
+        role: "user",
+        content: translationPrompt
+      }
+    ],
+    temperature: 0.2,
+    max_tokens: 2000
+  })
+
+  return JSON.parse(completion.choices[0].message.content)
+}
+
 const extractProductFromURL = async (url) => {
   try {
     // Check if URL is from supported sites
@@ -0,0 +1,164 @@
+import { getDatabase } from '../config/database.js'
+
+// Used when neither cost_price nor margin_percentage is known, same as the
+// default margin in order processing
+const DEFAULT_MARGIN_PERCENTAGE = 25
+
+const COMPONENT_SELECT = `
+  *,
+  component:products!component_id (id, title, sku, price, cost_price, margin_percentage, stock_quantity, supplier, image_url, is_active),
+  variant:product_variants (id, sku, title, price, stock_quantity, image_url, is_active)
+`
+
+// Supplier cost of one unit. Without a recorded cost_price it is derived from
+// the selling price and the product's margin
+export const getUnitCost = (product, variant = null) => {
+  if (product.cost_price !== null && product.cost_price !== undefined) {
+    return parseFloat(product.cost_price)
+  }
+
+  const price = parseFloat(variant?.price ?? product.price) || 0
+  const margin = parseFloat(product.margin_percentage ?? DEFAULT_MARGIN_PERCENTAGE)
+
+  return price / (1 + margin / 100)
+}
+
+// Cost of one bundle: the sum of its components' costs times their quantities
+export const getBundleCost = (items) => {
+  const cost = items.reduce((sum, item) => sum + getUnitCost(item.component, item.variant) * item.quantity, 0)
+  return Math.round(cost * 100) / 100
+}
+
+export const getBundleItems = async (bundleId) => {
+  const supabase = getDatabase()
+
+  const { data: items, error } = await supabase
+    .from('product_bundle_items')
+    .select(COMPONENT_SELECT)
+    .eq('bundle_id', bundleId)
+    .order('position', { ascending: true })
+
+  if (error) throw error
+
+  return items || []
+}
+
+// Components of every bundle among productIds, keyed by bundle id. Products
+// that are not bundles have no entry
+export const getBundleComponents = async (productIds) => {
+  const supabase = getDatabase()
+  const ids = [...new Set(productIds.filter(Boolean))]
+  const bundles = new Map()
+
+  if (ids.length === 0) return bundles
+
+  const { data: items, error } = await supabase
+    .from('product_bundle_items')
+    .select(COMPONENT_SELECT)
+    .in('bundle_id', ids)
+    .order('position', { ascending: true })
+
+  if (error) throw error
+
+  for (const item of items) {
+    bundles.set(item.bundle_id, [...(bundles.get(item.bundle_id) || []), item])
+  }
+
+  return bundles
+}
+
+// Checks the components of a bundle (bundleId is null for new products).
+// Components must be existing, active, non-bundle products, so bundle stock
+// never depends on another bundle. Returns { items, errors }
+export const validateBundleItems = async (bundleId, itemsInput = []) => {
+  const supabase = getDatabase()
+  const errors = []
+
+  if (!Array.isArray(itemsInput) || itemsInput.length === 0) {
+    return { items: [], errors: [{ field: 'bundle_items', message: 'Un pack necesita al menos un componente' }] }
+  }
+
+  const componentIds = [...new Set(itemsInput.map(item => item.product_id))]
+  const variantIds = itemsInput.map(item => item.variant_id).filter(Boolean)
+
+  const [{ data: components, error }, { data: variants, error: variantError }, { count: usedAsComponent }] = await Promise.all([
+    supabase.from('products').select('id, product_type, is_active').in('id', componentIds),
+    variantIds.length > 0
+      ? supabase.from('product_variants').select('id, product_id').in('id', variantIds)
+      : { data: [] },
+    bundleId
+      ? supabase.from('product_bundle_items').select('id', { count: 'exact', head: true }).eq('component_id', bundleId)
+      : { count: 0 }
+  ])
+
+  if (error) throw error
+  if (variantError) throw variantError
+
+  if (usedAsComponent > 0) {
+    errors.push({ field: 'product_type', message: 'El producto es componente de otro pack y no puede ser un pack' })
+  }
+
+  const seen = new Set()
+  const items = itemsInput.map((item, index) => {
+    const field = `bundle_items[${index}]`
+    const component = components.find(product => product.id === item.product_id)
+    const key = `${item.product_id}:${item.variant_id || ''}`
+
+    if (!component) {
+      errors.push({ field: `${field}.product_id`, message: 'Producto no encontrado' })
+    } else if (component.id === bundleId || component.product_type === 'bundle') {
+      errors.push({ field: `${field}.product_id`, message: 'Un pack no puede contener otros packs' })
+    } else if (!component.is_active) {
+      errors.push({ field: `${field}.product_id`, message: 'El producto está eliminado' })
+    }
+
+    if (item.variant_id && !variants.some(variant => variant.id === item.variant_id && variant.product_id === item.product_id)) {
+      errors.push({ field: `${field}.variant_id`, message: 'La variante no pertenece al producto' })
+    }
+
+    if (seen.has(key)) {
+      errors.push({ field, message: 'Componente duplicado' })
+    }
+    seen.add(key)
+
+    return {
+      component_id: item.product_id,
+      component_variant_id: item.variant_id || null,
+      quantity: item.quantity ?? 1,
+      position: index
+    }
+  })
+
+  return { items, errors }
+}
+
+// Replaces the components of a bundle with already validated items (see
+// validateBundleItems). The bundle's stock_quantity is recalculated by the
+// products_bundle_stock trigger
+export const saveBundleItems = async (bundle, items) => {
+  const supabase = getDatabase()
+
+  const { error: deleteError } = await supabase
+    .from('product_bundle_items')
+    .delete()
+    .eq('bundle_id', bundle.id)
+
+  if (deleteError) throw deleteError
+
+  if (items.length > 0) {
+    const { error } = await supabase
+      .from('product_bundle_items')
+      .insert(items.map(item => ({ ...item, bundle_id: bundle.id })))
+
+    if (error) throw error
+  }
+
+  const [{ data: product, error: productError }, bundleItems] = await Promise.all([
+    supabase.from('products').select('*').eq('id', bundle.id).single(),
+    getBundleItems(bundle.id)
+  ])
+
+  if (productError) throw productError
+
+  return { product, bundle_items: bundleItems }
+}
@@ -0,0 +1,377 @@
+import sharp from 'sharp'
+import { getDatabase } from '../config/database.js'
+import { REVISION_CAUSES, recordProductRevision } from './productHistory.js'
+import { trashProducts } from './productTrash.js'
+import { fetchPublicUrl } from './publicUrl.js'
+import { slugify } from './slug.js'
+
+// Score above which two products are treated as the same item (imports merge
+// them), and above which they are only flagged for review
+export const DUPLICATE_SCORE = 0.9
+export const SUSPECT_SCORE = 0.6
+
+export const DUPLICATE_ACTIONS = ['flag', 'merge']
+
+// Hashes further apart than this many bits (out of 64) are different images
+const IMAGE_HASH_MAX_DISTANCE = 6
+
+const IMAGE_FETCH_TIMEOUT_MS = 10000
+const IMAGE_MAX_BYTES = 10 * 1024 * 1024
+
+// Words that say nothing about which product it is
+const STOPWORDS = new Set([
+  'de', 'del', 'la', 'las', 'el', 'los', 'y', 'e', 'o', 'para', 'con', 'sin', 'en', 'por', 'un', 'una',
+  'the', 'and', 'or', 'for', 'with', 'without', 'in', 'of', 'a', 'an', 'to',
+  'nuevo', 'nueva', 'new', 'original', 'oferta', 'envio', 'gratis', 'free', 'shipping', 'hot', 'sale'
+])
+
+// Fields a merge copies from the duplicates into the product that is kept,
+// when the kept product has no value for them
+const MERGE_FILL_FIELDS = ['description', 'original_price', 'image_url', 'category_id', 'brand', 'meta_title', 'meta_description']
+
+// Title tokens with accents, punctuation and filler words removed
+export const normalizeTitle = (title) => {
+  return slugify(title, Infinity)
+    .split('-')
+    .filter(token => token.length > 1 && !STOPWORDS.has(token))
+}
+
+// Dice coefficient over the normalized title tokens, 0 to 1
+export const titleSimilarity = (a, b) => {
+  const tokensA = new Set(normalizeTitle(a))
+  const tokensB = new Set(normalizeTitle(b))
+
+  if (tokensA.size === 0 || tokensB.size === 0) return 0
+
+  const shared = [...tokensA].filter(token => tokensB.has(token)).length
+  return (2 * shared) / (tokensA.size + tokensB.size)
+}
+
+// 64-bit difference hash (dHash) as 16 hex characters. Resizing to 9x8 grey
+// pixels and comparing neighbours makes it robust to re-encoding, resizing
+// and small edits, which is what supplier listings of the same item differ by
+export const computeImageHash = async (image) => {
+  const { data } = await sharp(image)
+    .rotate()
+    .greyscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer({ resolveWithObject: true })
+
+  let hash = 0n
+  for (let row = 0; row < 8; row++) {
+    for (let column = 0; column < 8; column++) {
+      const pixel = row * 9 + column
+      hash = (hash << 1n) | (data[pixel] > data[pixel + 1] ? 1n : 0n)
+    }
+  }
+
+  return hash.toString(16).padStart(16, '0')
+}
+
+// Hash of a remote image, or null when it cannot be downloaded or decoded.
+// The URL comes from clients, so only public http(s) hosts are fetched
+export const hashImageUrl = async (url) => {
+  if (!url) return null
+
+  try {
+    const response = await fetchPublicUrl(url, {
+      timeout: IMAGE_FETCH_TIMEOUT_MS,
+      maxBytes: IMAGE_MAX_BYTES
+    })
+
+    return await computeImageHash(Buffer.from(response.data))
+  } catch (error) {
+    console.error(`Error hashing image ${url}:`, error.message)
+    return null
+  }
+}
+
+export const imageHashDistance = (a, b) => {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`)
+  let distance = 0
+
+  while (diff > 0n) {
+    distance += Number(diff & 1n)
+    diff >>= 1n
+  }
+
+  return distance
+}
+
+// Combines title and image evidence into a 0-1 score. The same picture with a
+// different title is still suspicious (listings often reuse supplier photos),
+// and it turns a fairly similar title into a near-certain duplicate.
+// titleScore is the title evidence alone, for callers that must not act on a
+// shared photo
+export const scoreDuplicate = (product, candidate) => {
+  const titleScore = titleSimilarity(product.title, candidate.title)
+  const imageMatch = Boolean(product.image_hash && candidate.image_hash) &&
+    imageHashDistance(product.image_hash, candidate.image_hash) <= IMAGE_HASH_MAX_DISTANCE
+
+  const reasons = []
+  if (titleScore >= SUSPECT_SCORE) reasons.push('title')
+  if (imageMatch) reasons.push('image')
+
+  const score = imageMatch ? Math.max(0.7, Math.min(1, titleScore + 0.3)) : titleScore
+
+  return { score: Math.round(score * 1000) / 1000, titleScore, reasons }
+}
+
+// Active products that look like the given one (which may not be saved yet),
+// best match first. product needs title and, for image matching, image_hash
+export const findDuplicates = async (product, { excludeId = product.id } = {}) => {
+  const supabase = getDatabase()
+
+  const { data: candidates, error } = await supabase.rpc('find_duplicate_candidates', {
+    search_title: product.title,
+    search_image_hash: product.image_hash || null,
+    exclude_id: excludeId || null
+  })
+
+  if (error) throw error
+
+  return candidates
+    .map(candidate => ({ product: candidate, ...scoreDuplicate(product, candidate) }))
+    .filter(match => match.score >= SUSPECT_SCORE)
+    .sort((a, b) => b.score - a.score)
+}
+
+// Compact form of findDuplicates results for API responses and import reports
+export const summarizeMatches = (matches) => matches.map(({ product, score, reasons }) => ({
+  id: product.id,
+  title: product.title,
+  sku: product.sku,
+  supplier: product.supplier,
+  score,
+  reasons
+}))
+
+// Stores suspected pairs for review; pairs that were already dismissed or
+// merged keep their status
+export const flagDuplicates = async (productId, matches) => {
+  const supabase = getDatabase()
+  if (matches.length === 0) return
+
+  const pairs = matches.map(({ product, score, reasons }) => {
+    const [first, second] = [productId, product.id].sort()
+    return { product_id: first, duplicate_id: second, score, reasons }
+  })
+
+  const { error } = await supabase
+    .from('product_duplicates')
+    .upsert(pairs, { onConflict: 'product_id,duplicate_id', ignoreDuplicates: true })
+
+  if (error) throw error
+}
+
+// Looks for duplicates of a product before it is inserted. Returns the hash
+// to store with it, the best match when it is a certain duplicate, and the
+// weaker matches to flag once the product exists
+export const checkNewProduct = async (product) => {
+  const image_hash = product.image_hash || await hashImageUrl(product.image_url)
+  const matches = await findDuplicates({ ...product, image_hash }, { excludeId: null })
+
+  return {
+    image_hash,
+    duplicate: matches.find(match => match.score >= DUPLICATE_SCORE) || null,
+    matches
+  }
+}
+
+// Fills empty fields of the existing product from an incoming duplicate
+// instead of inserting it again
+export const mergeIntoExisting = async (existing, incoming, { actor = null, cause = REVISION_CAUSES.IMPORT } = {}) => {
+  const supabase = getDatabase()
+  const updates = {}
+
+  for (const field of MERGE_FILL_FIELDS) {
+    if ((existing[field] === null || existing[field] === undefined || existing[field] === '') && incoming[field]) {
+      updates[field] = incoming[field]
+    }
+  }
+
+  if (Object.keys(updates).length === 0) return existing
+
+  const { data: merged, error } = await supabase
+    .from('products')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', existing.id)
+    .select()
+    .single()
+
+  if (error) throw error
+
+  await recordProductRevision({
+    before: existing,
+    after: merged,
+    action: 'update',
+    cause,
+    actor,
+    metadata: { merged_duplicate: { title: incoming.title, supplier: incoming.supplier || null } }
+  })
+
+  return merged
+}
+
+// Keeps primaryId and moves the duplicates to the trash, pointing them at the
+// product they were merged into
+export const mergeDuplicates = async (primaryId, duplicateIds, actor) => {
+  const supabase = getDatabase()
+  const ids = duplicateIds.filter(id => id !== primaryId)
+
+  const { data: products, error } = await supabase
+    .from('products')
+    .select('*')
+    .in('id', [primaryId, ...ids])
+    .eq('is_active', true)
+
+  if (error) throw error
+
+  let primary = products.find(product => product.id === primaryId)
+  if (!primary) return null
+
+  const duplicates = products.filter(product => product.id !== primaryId)
+  for (const duplicate of duplicates) {
+    primary = await mergeIntoExisting(primary, duplicate, { actor, cause: REVISION_CAUSES.MANUAL })
+  }
+
+  const mergedIds = duplicates.map(product => product.id)
+  await trashProducts(mergedIds, actor)
+
+  if (mergedIds.length > 0) {
+    const { error: linkError } = await supabase
+      .from('products')
+      .update({ duplicate_of: primaryId })
+      .in('id', mergedIds)
+
+    if (linkError) throw linkError
+
+    await resolvePairs([primaryId, ...mergedIds], 'merged', actor)
+  }
+
+  return { product: primary, merged: mergedIds }
+}
+
+export const dismissDuplicate = async (pairId, actor) => {
+  const supabase = getDatabase()
+
+  const { data: pair, error } = await supabase
+    .from('product_duplicates')
+    .update({ status: 'dismissed', resolved_at: new Date().toISOString(), resolved_by: actor?.id || null })
+    .eq('id', pairId)
+    .eq('status', 'pending')
+    .select()
+    .maybeSingle()
+
+  if (error) throw error
+
+  return pair
+}
+
+// Marks every pending pair between the given products as resolved
+const resolvePairs = async (productIds, status, actor) => {
+  const supabase = getDatabase()
+
+  const { error } = await supabase
+    .from('product_duplicates')
+    .update({ status, resolved_at: new Date().toISOString(), resolved_by: actor?.id || null })
+    .eq('status', 'pending')
+    .in('product_id', productIds)
+    .in('duplicate_id', productIds)
+
+  if (error) throw error
+}
+
+// Suspected duplicates as connected groups (a ~ b and b ~ c puts a, b and c
+// in one group), strongest group first. Pairs with trashed products are skipped
+export const listDuplicateGroups = async ({ minScore = SUSPECT_SCORE } = {}) => {
+  const supabase = getDatabase()
+  const productFields = 'id, title, sku, supplier, price, image_url, is_active, created_at'
+
+  const { data: pairs, error } = await supabase
+    .from('product_duplicates')
+    .select(`*, product:products!product_id (${productFields}), duplicate:products!duplicate_id (${productFields})`)
+    .eq('status', 'pending')
+    .gte('score', minScore)
+    .order('score', { ascending: false })
+
+  if (error) throw error
+
+  const active = pairs.filter(pair => pair.product?.is_active && pair.duplicate?.is_active)
+
+  // Union-find over product ids
+  const parent = new Map()
+  const find = (id) => {
+    if (!parent.has(id)) parent.set(id, id)
+    while (parent.get(id) !== id) id = parent.get(id)
+    return id
+  }
+  for (const pair of active) {
+    parent.set(find(pair.product_id), find(pair.duplicate_id))
+  }
+
+  const groups = new Map()
+  for (const pair of active) {
+    const root = find(pair.product_id)
+    const group = groups.get(root) || { products: new Map(), pairs: [], score: 0 }
+
+    group.products.set(pair.product.id, pair.product)
+    group.products.set(pair.duplicate.id, pair.duplicate)
+    group.pairs.push({ id: pair.id, product_id: pair.product_id, duplicate_id: pair.duplicate_id, score: parseFloat(pair.score), reasons: pair.reasons })
+    group.score = Math.max(group.score, parseFloat(pair.score))
+    groups.set(root, group)
+  }
+
+  return [...groups.values()]
+    .map(group => ({
+      score: group.score,
+      // Oldest product first, the usual pick to keep when merging
+      products: [...group.products.values()].sort((a, b) => new Date(a.created_at) - new Date(b.created_at)),
+      pairs: group.pairs
+    }))
+    .sort((a, b) => b.score - a.score)
+}
+
+// Hashes and checks products that changed since their last check (see
+// products_duplicate_check_reset). Run by the scheduler in batches
+export const scanForDuplicates = async ({ limit = 200 } = {}) => {
+  const supabase = getDatabase()
+
+  const { data: products, error } = await supabase
+    .from('products')
+    .select('id, title, image_url, image_hash')
+    .eq('is_active', true)
+    .is('duplicates_checked_at', null)
+    .order('created_at', { ascending: true })
+    .limit(limit)
+
+  if (error) throw error
+
+  let flagged = 0
+  for (const product of products) {
+    try {
+      const image_hash = product.image_hash || await hashImageUrl(product.image_url)
+      const matches = await findDuplicates({ ...product, image_hash })
+
+      await flagDuplicates(product.id, matches)
+      flagged += matches.length
+
+      await supabase
+        .from('products')
+        .update({ image_hash, duplicates_checked_at: new Date().toISOString() })
+        .eq('id', product.id)
+    } catch (error) {
+      console.error(`Error checking duplicates for ${product.title}:`, error.message)
+
+      // Marked as checked anyway so failing products cannot hold the oldest
+      // slots of every batch; changing its title or image checks it again
+      await supabase
+        .from('products')
+        .update({ duplicates_checked_at: new Date().toISOString() })
+        .eq('id', product.id)
+    }
+  }
+
+  return { checked: products.length, flagged }
+}
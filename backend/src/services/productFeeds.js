@@ -0,0 +1,264 @@
+import crypto from 'crypto'
+import { getDatabase } from '../config/database.js'
+import { parseProductFilters } from './productFilters.js'
+import { getAllCategories, getCategoryPath, localizedName, resolveCategoryFilter } from './categories.js'
+import { iterateProducts } from './catalogExport.js'
+import { toCSVRow } from './csv.js'
+
+const DEFAULT_CACHE_TTL_MINUTES = 60
+const MAX_CACHED_FEEDS = 50
+const MAX_ADDITIONAL_IMAGES = 10
+
+const FEED_SELECT = '*, product_variants (*), product_images (original_url, position)'
+
+const META_COLUMNS = [
+  'id',
+  'item_group_id',
+  'title',
+  'description',
+  'availability',
+  'condition',
+  'price',
+  'sale_price',
+  'link',
+  'image_link',
+  'additional_image_link',
+  'brand',
+  'product_type'
+]
+
+// Rendered feeds keyed by feed name + filters, see getFeed
+const cache = new Map()
+
+const getCacheTTLMinutes = () => {
+  const minutes = parseInt(process.env.FEED_CACHE_TTL_MINUTES)
+  return Number.isNaN(minutes) || minutes < 0 ? DEFAULT_CACHE_TTL_MINUTES : minutes
+}
+
+// Per-feed settings are stored under feed_google / feed_meta, e.g.
+// { "filters": { "category": "electronics", "in_stock": true }, "brand": "Acme", "currency": "EUR" }
+const getFeedSettings = async (name) => {
+  const supabase = getDatabase()
+
+  const { data: setting } = await supabase
+    .from('settings')
+    .select('value')
+    .eq('key', `feed_${name}`)
+    .maybeSingle()
+
+  const value = setting?.value || {}
+
+  return {
+    filters: value.filters || {},
+    brand: value.brand || process.env.STORE_NAME || null,
+    currency: (value.currency || process.env.FEED_CURRENCY || 'USD').toUpperCase(),
+    title: value.title || process.env.STORE_NAME || 'Catalog',
+    description: value.description || '',
+    storeUrl: (value.store_url || process.env.STORE_URL || process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '')
+  }
+}
+
+const truncate = (text, length) => {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim()
+  return clean.length > length ? clean.substring(0, length - 1) + '…' : clean
+}
+
+const formatPrice = (amount, currency) => `${Number(amount).toFixed(2)} ${currency}`
+
+// original_price is the regular price; when it is above price the item is on sale
+const mapPricing = ({ price, original_price: originalPrice }, currency) => {
+  const onSale = originalPrice !== null && originalPrice !== undefined && Number(originalPrice) > Number(price)
+
+  return {
+    price: formatPrice(onSale ? originalPrice : price, currency),
+    sale_price: onSale ? formatPrice(price, currency) : null
+  }
+}
+
+const buildProductTypes = (categories) => {
+  const types = new Map()
+
+  for (const category of categories) {
+    types.set(category.id, getCategoryPath(categories, category.id)
+      .map(item => localizedName(item))
+      .join(' > '))
+  }
+
+  return types
+}
+
+// One item per active variant (grouped by item_group_id), or one for the
+// product itself. Items without an image are left out; both platforms reject them
+const toFeedItems = (product, { settings, productTypes }) => {
+  const gallery = (product.product_images || [])
+    .sort((a, b) => a.position - b.position)
+    .map(image => image.original_url)
+  const productImage = product.image_url || gallery[0]
+  const link = `${settings.storeUrl}/products/${product.slug || product.id}`
+
+  const common = {
+    description: truncate(product.description || product.title, 5000),
+    condition: 'new',
+    brand: product.brand || settings.brand,
+    product_type: productTypes.get(product.category_id) || product.category || null
+  }
+
+  const variants = (product.product_variants || [])
+    .filter(variant => variant.is_active)
+    .sort((a, b) => a.position - b.position)
+
+  const items = variants.map(variant => ({
+    ...common,
+    id: variant.sku,
+    item_group_id: product.sku || product.id,
+    title: truncate(`${product.title} - ${variant.title || Object.values(variant.options || {}).join(' / ')}`, 150),
+    in_stock: variant.stock_quantity > 0,
+    ...mapPricing(variant, settings.currency),
+    link: `${link}?variant=${encodeURIComponent(variant.sku)}`,
+    image: variant.image_url || productImage
+  }))
+
+  if (items.length === 0) {
+    items.push({
+      ...common,
+      id: product.sku || product.id,
+      item_group_id: null,
+      title: truncate(product.title, 150),
+      in_stock: product.stock_quantity > 0,
+      ...mapPricing(product, settings.currency),
+      link,
+      image: productImage
+    })
+  }
+
+  return items
+    .filter(item => item.image)
+    .map(item => ({
+      ...item,
+      additional_images: gallery.filter(url => url !== item.image).slice(0, MAX_ADDITIONAL_IMAGES)
+    }))
+}
+
+const escapeXML = (value) => String(value)
+  // Control characters are not allowed in XML 1.0
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;')
+
+const xmlTag = (name, value) => (value === null || value === undefined || value === '')
+  ? ''
+  : `<${name}>${escapeXML(value)}</${name}>`
+
+const renderGoogleItem = (item) => [
+  '<item>',
+  xmlTag('g:id', item.id),
+  xmlTag('g:item_group_id', item.item_group_id),
+  xmlTag('g:title', item.title),
+  xmlTag('g:description', item.description),
+  xmlTag('g:link', item.link),
+  xmlTag('g:image_link', item.image),
+  ...item.additional_images.map(url => xmlTag('g:additional_image_link', url)),
+  xmlTag('g:availability', item.in_stock ? 'in_stock' : 'out_of_stock'),
+  xmlTag('g:price', item.price),
+  xmlTag('g:sale_price', item.sale_price),
+  xmlTag('g:condition', item.condition),
+  item.brand ? xmlTag('g:brand', item.brand) : xmlTag('g:identifier_exists', 'no'),
+  xmlTag('g:product_type', item.product_type),
+  '</item>'
+].join('')
+
+// Google Merchant Center RSS 2.0 feed
+const renderGoogleFeed = async (products, context) => {
+  const { settings } = context
+  const chunks = [
+    '<?xml version="1.0" encoding="UTF-8"?>\n',
+    '<rss version="2.0" xmlns:g="http://base.google.com/ns/1.0"><channel>',
+    xmlTag('title', settings.title),
+    xmlTag('link', settings.storeUrl),
+    xmlTag('description', settings.description || settings.title)
+  ]
+
+  for await (const product of products) {
+    toFeedItems(product, context).forEach(item => chunks.push('\n' + renderGoogleItem(item)))
+  }
+
+  chunks.push('\n</channel></rss>\n')
+  return chunks.join('')
+}
+
+// Meta (Facebook) catalog CSV; additional images go comma-separated in one column
+const renderMetaFeed = async (products, context) => {
+  const chunks = [toCSVRow(META_COLUMNS)]
+
+  for await (const product of products) {
+    for (const item of toFeedItems(product, context)) {
+      const row = {
+        ...item,
+        availability: item.in_stock ? 'in stock' : 'out of stock',
+        image_link: item.image,
+        additional_image_link: item.additional_images.join(',')
+      }
+
+      chunks.push(toCSVRow(META_COLUMNS.map(column => row[column])))
+    }
+  }
+
+  return chunks.join('')
+}
+
+const FEEDS = {
+  google: { contentType: 'application/xml; charset=utf-8', render: renderGoogleFeed },
+  meta: { contentType: 'text/csv; charset=utf-8', render: renderMetaFeed }
+}
+
+export const FEED_NAMES = Object.keys(FEEDS)
+
+// Renders the feed with its configured filters, overridden by any filters in
+// query. Results are cached per feed and filters for FEED_CACHE_TTL_MINUTES;
+// returns { feed: { body, etag, contentType, generatedAt, maxAge }, errors }
+export const getFeed = async (name, query = {}) => {
+  const settings = await getFeedSettings(name)
+  const { filters: parsedFilters, errors: filterErrors } = parseProductFilters({ ...settings.filters, ...query })
+  const { filters, errors: categoryErrors } = await resolveCategoryFilter(parsedFilters)
+  const errors = [...filterErrors, ...categoryErrors]
+
+  if (errors.length > 0) return { feed: null, errors }
+
+  const ttl = getCacheTTLMinutes() * 60 * 1000
+  const key = `${name}:${JSON.stringify(filters)}:${JSON.stringify(settings)}`
+  const cached = cache.get(key)
+
+  if (cached && cached.generatedAt.getTime() + ttl > Date.now()) {
+    return { feed: cached, errors: [] }
+  }
+
+  const categories = await getAllCategories()
+  const products = iterateProducts(filters, { select: FEED_SELECT })
+  const body = await FEEDS[name].render(products, { settings, productTypes: buildProductTypes(categories) })
+
+  const feed = {
+    body,
+    etag: `"${crypto.createHash('md5').update(body).digest('hex')}"`,
+    contentType: FEEDS[name].contentType,
+    generatedAt: new Date(),
+    maxAge: Math.floor(ttl / 1000)
+  }
+
+  // Filters come from the query string, so keep the number of entries bounded
+  cache.delete(key)
+  cache.set(key, feed)
+  if (cache.size > MAX_CACHED_FEEDS) {
+    cache.delete(cache.keys().next().value)
+  }
+
+  return { feed, errors: [] }
+}
+
+export const clearFeedCache = () => {
+  const cleared = cache.size
+  cache.clear()
+  return cleared
+}
@@ -0,0 +1,161 @@
+import { quoteValue } from './pagination.js'
+
+export const PRICE_RANGES = ['budget', 'mid-range', 'premium', 'luxury']
+
+export const SORTABLE_FIELDS = [
+  'created_at',
+  'updated_at',
+  'title',
+  'price',
+  'stock_quantity',
+  'score',
+  'demand_score',
+  'competition_score',
+  'margin_percentage',
+  'rating_average',
+  'rating_count'
+]
+
+// Query param suffix -> products column, e.g. min_score / max_score -> score
+const RANGE_FILTERS = {
+  price: 'price',
+  score: 'score',
+  demand: 'demand_score',
+  competition: 'competition_score',
+  margin: 'margin_percentage'
+}
+
+const DATE_FILTERS = {
+  created_after: { column: 'created_at', operator: 'gte' },
+  created_before: { column: 'created_at', operator: 'lte' }
+}
+
+// Accepts both `category=a,b` and `category[]=a&category[]=b`
+const parseList = (value) => {
+  if (value === undefined || value === null || value === '') return undefined
+
+  const values = (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean)
+
+  return values.length > 0 ? values : undefined
+}
+
+// Validates and normalizes the listing query string. Returns the filters plus
+// a list of { field, message } errors for anything that could not be parsed
+export const parseProductFilters = (query = {}) => {
+  const filters = {}
+  const errors = []
+
+  filters.categories = parseList(query.category)
+
+  if (query.supplier) {
+    filters.supplier = String(query.supplier)
+  }
+
+  if (query.in_stock !== undefined) {
+    if (!['true', 'false', true, false].includes(query.in_stock)) {
+      errors.push({ field: 'in_stock', message: 'Debe ser true o false' })
+    } else {
+      filters.in_stock = query.in_stock === true || query.in_stock === 'true'
+    }
+  }
+
+  if (query.price_range !== undefined) {
+    if (!PRICE_RANGES.includes(query.price_range)) {
+      errors.push({ field: 'price_range', message: `Debe ser uno de: ${PRICE_RANGES.join(', ')}` })
+    } else {
+      filters.price_range = query.price_range
+    }
+  }
+
+  for (const key of Object.keys(RANGE_FILTERS)) {
+    for (const bound of ['min', 'max']) {
+      const field = `${bound}_${key}`
+      if (query[field] === undefined || query[field] === '') continue
+
+      const value = Number(query[field])
+      if (Number.isNaN(value)) {
+        errors.push({ field, message: 'Debe ser un número' })
+      } else {
+        filters[field] = value
+      }
+    }
+
+    const min = filters[`min_${key}`]
+    const max = filters[`max_${key}`]
+    if (min !== undefined && max !== undefined && min > max) {
+      errors.push({ field: `min_${key}`, message: `No puede ser mayor que max_${key}` })
+    }
+  }
+
+  for (const field of Object.keys(DATE_FILTERS)) {
+    if (!query[field]) continue
+
+    const date = new Date(query[field])
+    if (Number.isNaN(date.getTime())) {
+      errors.push({ field, message: 'Debe ser una fecha ISO 8601 válida' })
+    } else {
+      filters[field] = date.toISOString()
+    }
+  }
+
+  return { filters, errors }
+}
+
+// Only whitelisted columns reach .order(), anything else is a validation error
+export const parseProductSort = ({ sortBy = 'created_at', sortOrder = 'desc' } = {}) => {
+  const errors = []
+
+  if (!SORTABLE_FIELDS.includes(sortBy)) {
+    errors.push({ field: 'sortBy', message: `Debe ser uno de: ${SORTABLE_FIELDS.join(', ')}` })
+  }
+
+  if (!['asc', 'desc'].includes(sortOrder)) {
+    errors.push({ field: 'sortOrder', message: 'Debe ser asc o desc' })
+  }
+
+  return { sort: { field: sortBy, ascending: sortOrder === 'asc' }, errors }
+}
+
+// Applies parsed filters to a Supabase query on the products table
+export const applyProductFilters = (query, filters) => {
+  // Resolved from category slugs (descendants included) by resolveCategoryFilter;
+  // labels that are not a slug match the free-text category instead
+  if (filters.category_ids && filters.category_labels) {
+    query = query.or([
+      `category_id.in.(${filters.category_ids.join(',')})`,
+      `category.in.(${filters.category_labels.map(quoteValue).join(',')})`
+    ].join(','))
+  } else if (filters.category_ids) {
+    query = query.in('category_id', filters.category_ids)
+  } else if (filters.category_labels) {
+    query = query.in('category', filters.category_labels)
+  }
+
+  if (filters.supplier) {
+    query = query.eq('supplier', filters.supplier)
+  }
+
+  if (filters.in_stock) {
+    query = query.gt('stock_quantity', 0)
+  }
+
+  if (filters.price_range) {
+    const bounds = { budget: [0, 25], 'mid-range': [25, 100], premium: [100, 500], luxury: [500, null] }
+    const [lower, upper] = bounds[filters.price_range]
+    query = query.gte('price', lower)
+    if (upper !== null) query = query.lt('price', upper)
+  }
+
+  for (const [key, column] of Object.entries(RANGE_FILTERS)) {
+    if (filters[`min_${key}`] !== undefined) query = query.gte(column, filters[`min_${key}`])
+    if (filters[`max_${key}`] !== undefined) query = query.lte(column, filters[`max_${key}`])
+  }
+
+  for (const [field, { column, operator }] of Object.entries(DATE_FILTERS)) {
+    if (filters[field]) query = query[operator](column, filters[field])
+  }
+
+  return query
+}
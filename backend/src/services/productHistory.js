@@ -0,0 +1,235 @@
+import { getDatabase } from '../config/database.js'
+import { getProductVariants, saveProductVariants } from './productVariants.js'
+
+export const REVISION_CAUSES = {
+  MANUAL: 'manual_edit',
+  DAILY_JOB: 'daily_job',
+  IMPORT: 'import',
+  ROLLBACK: 'rollback',
+  PRICING: 'pricing_rule',
+  SALE: 'scheduled_sale',
+  SUPPLIER_SYNC: 'supplier_sync',
+  TRANSLATION: 'ai_translation'
+}
+
+// Columns that are bookkeeping rather than product data
+const IGNORED_FIELDS = ['id', 'created_at', 'updated_at', 'search_vector', 'image_hash', 'duplicates_checked_at', 'stock_synced_at', 'stock_sync_error', 'rating_average', 'rating_count']
+
+// Fields a rollback writes back from a revision snapshot. Stock is owned by
+// the stock ledger and product_type by the bundle endpoints, so neither is
+// rolled back; rollbackProduct reports them when they differ
+const RESTORABLE_FIELDS = [
+  'title',
+  'slug',
+  'description',
+  'meta_title',
+  'meta_description',
+  'price',
+  'original_price',
+  'cost_price',
+  'competitor_price',
+  'image_url',
+  'category',
+  'category_id',
+  'supplier',
+  'brand',
+  'sku',
+  'score',
+  'demand_score',
+  'competition_score',
+  'margin_percentage',
+  'translations',
+  'is_active'
+]
+
+// Variant fields kept in snapshots, enough for saveProductVariants to
+// restore them
+const VARIANT_FIELDS = ['id', 'sku', 'title', 'options', 'price', 'original_price', 'stock_quantity', 'image_url', 'position', 'is_active']
+
+const cleanSnapshot = (product) => {
+  const { search_vector, ...snapshot } = product || {}
+  return snapshot
+}
+
+const cleanVariants = (variants) => (variants || []).map(variant => Object.fromEntries(
+  VARIANT_FIELDS.filter(field => field in variant).map(field => [field, variant[field]])
+))
+
+// Variants live in their own table, so a revision stores them alongside the
+// product. Callers that change variants pass them as product.variants (before
+// and after); otherwise the current active ones are read and taken as unchanged
+const withVariants = async (before, after) => {
+  const current = after || before
+  const variants = 'variants' in current
+    ? current.variants
+    : await getProductVariants(current.id)
+
+  return {
+    before: before && { ...before, variants: cleanVariants('variants' in before ? before.variants : variants) },
+    after: after && { ...after, variants: cleanVariants(variants) }
+  }
+}
+
+// Field-level diff as { field: { from, to } }
+export const diffProducts = (before, after) => {
+  const changes = {}
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})])
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue
+
+    const from = before?.[field] ?? null
+    const to = after?.[field] ?? null
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to }
+    }
+  }
+
+  return changes
+}
+
+// actor is the authenticated user (req.user) or null for automated jobs.
+// Failures are logged and swallowed: the audit trail must never block a write
+export const recordProductRevision = async ({ before = null, after, action, cause, actor = null, metadata = null }) => {
+  try {
+    const supabase = getDatabase()
+    const states = await withVariants(before, after)
+    const changes = diffProducts(states.before, states.after)
+
+    if (action === 'update' && Object.keys(changes).length === 0) return null
+
+    const { data: revision, error } = await supabase
+      .from('product_revisions')
+      .insert({
+        product_id: after?.id || before?.id,
+        action,
+        cause,
+        actor_id: actor?.id || null,
+        actor_email: actor?.email || null,
+        changes,
+        snapshot: cleanSnapshot(states.after || states.before),
+        metadata
+      })
+      .select()
+      .single()
+
+    if (error) throw error
+
+    return revision
+  } catch (error) {
+    console.error('Error recording product revision:', error)
+    return null
+  }
+}
+
+export const getProductHistory = async (productId, { limit = 50, offset = 0 } = {}) => {
+  const supabase = getDatabase()
+
+  const { data: revisions, error, count } = await supabase
+    .from('product_revisions')
+    .select('id, action, cause, actor_id, actor_email, changes, metadata, created_at', { count: 'exact' })
+    .eq('product_id', productId)
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1)
+
+  if (error) throw error
+
+  return { revisions, total: count || 0 }
+}
+
+// Restores the product, variants included, to the state recorded by the
+// given revision and records the rollback itself as a new revision. Revisions
+// recorded before snapshots carried variants cannot restore them, so rolling
+// back to one is refused when either state has variants.
+// Resolves to { product, notRestored }, notRestored listing the snapshot
+// fields the product still differs in (stock, product_type, a slug another
+// product took since)
+export const rollbackProduct = async (productId, revisionId, actor) => {
+  const supabase = getDatabase()
+
+  const { data: revision } = await supabase
+    .from('product_revisions')
+    .select('*')
+    .eq('id', revisionId)
+    .eq('product_id', productId)
+    .single()
+
+  if (!revision) {
+    const error = new Error('Revisión no encontrada')
+    error.status = 404
+    throw error
+  }
+
+  const { data: current, error: currentError } = await supabase
+    .from('products')
+    .select('*')
+    .eq('id', productId)
+    .single()
+
+  if (currentError) throw currentError
+
+  const currentVariants = await getProductVariants(productId)
+  const snapshotVariants = revision.snapshot.variants
+
+  if (!Array.isArray(snapshotVariants) && (revision.snapshot.has_variants || currentVariants.length > 0)) {
+    const error = new Error('La revisión no incluye las variantes del producto y no se puede restaurar')
+    error.status = 409
+    throw error
+  }
+
+  // Variants go first: a SKU another product took since fails the rollback
+  // before anything is written. This also sets has_variants and options.
+  // Variant stock keeps its current level
+  if (Array.isArray(snapshotVariants)) {
+    const allVariants = await getProductVariants(productId, { includeInactive: true })
+    const stock = new Map(allVariants.map(variant => [variant.id, variant.stock_quantity]))
+
+    await saveProductVariants(current, snapshotVariants.map(variant => ({
+      ...variant,
+      stock_quantity: stock.get(variant.id) ?? 0
+    })))
+  }
+
+  const restored = Object.fromEntries(
+    RESTORABLE_FIELDS
+      .filter(field => field in revision.snapshot)
+      .map(field => [field, revision.snapshot[field]])
+  )
+
+  if (restored.slug && restored.slug !== current.slug) {
+    const { data: taken, error: slugError } = await supabase
+      .from('products')
+      .select('id')
+      .eq('slug', restored.slug)
+      .neq('id', productId)
+      .limit(1)
+
+    if (slugError) throw slugError
+    if (taken.length > 0) delete restored.slug
+  }
+
+  const { data: updated, error } = await supabase
+    .from('products')
+    .update({ ...restored, updated_at: new Date().toISOString() })
+    .eq('id', productId)
+    .select()
+    .single()
+
+  if (error) throw error
+
+  const product = { ...updated, variants: await getProductVariants(productId) }
+  const { variants, ...snapshot } = revision.snapshot
+  const notRestored = Object.keys(diffProducts(updated, snapshot))
+
+  await recordProductRevision({
+    before: { ...current, variants: currentVariants },
+    after: product,
+    action: 'update',
+    cause: REVISION_CAUSES.ROLLBACK,
+    actor,
+    metadata: { rolled_back_to: revision.id }
+  })
+
+  return { product, notRestored }
+}
@@ -0,0 +1,214 @@
+import sharp from 'sharp'
+import crypto from 'crypto'
+import { getDatabase } from '../config/database.js'
+import { getStorage } from './storage.js'
+
+// Longest edge in pixels for each generated thumbnail
+export const IMAGE_SIZES = {
+  thumb: 150,
+  small: 300,
+  medium: 600,
+  large: 1200
+}
+
+export const IMAGE_FORMATS = ['webp', 'avif']
+
+// Error code thrown by addProductImage for files sharp cannot decode
+export const INVALID_IMAGE = 'invalid_image'
+
+const FORMAT_OPTIONS = {
+  webp: { quality: 80 },
+  avif: { quality: 50 }
+}
+
+const CONTENT_TYPES = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  gif: 'image/gif',
+  tiff: 'image/tiff'
+}
+
+const invalidImage = (cause) => {
+  const error = new Error(`Unreadable image: ${cause.message}`)
+  error.code = INVALID_IMAGE
+  return error
+}
+
+// Header-only check, cheap enough to run on every file of an upload before
+// any of them is stored
+export const assertReadableImage = async (buffer) => {
+  try {
+    const { format, width, height } = await sharp(buffer).metadata()
+    if (!format || !width || !height) throw new Error('No image dimensions')
+  } catch (error) {
+    throw invalidImage(error)
+  }
+}
+
+// Normalizes orientation and drops EXIF/GPS metadata (sharp only keeps
+// metadata when withMetadata() is called), then renders every size/format
+const processImage = async (buffer) => {
+  let original, info
+  try {
+    ({ data: original, info } = await sharp(buffer)
+      .rotate()
+      .toBuffer({ resolveWithObject: true }))
+  } catch (decodeError) {
+    // The upload's mimetype is client-supplied; sharp is the real check
+    throw invalidImage(decodeError)
+  }
+
+  const variants = []
+  for (const [size, width] of Object.entries(IMAGE_SIZES)) {
+    for (const format of IMAGE_FORMATS) {
+      const data = await sharp(original)
+        .resize({ width, height: width, fit: 'inside', withoutEnlargement: true })
+        .toFormat(format, FORMAT_OPTIONS[format])
+        .toBuffer()
+
+      variants.push({ size, format, data })
+    }
+  }
+
+  return { original, info, variants }
+}
+
+export const getProductImages = async (productId) => {
+  const supabase = getDatabase()
+
+  const { data: images, error } = await supabase
+    .from('product_images')
+    .select('*')
+    .eq('product_id', productId)
+    .order('position', { ascending: true })
+
+  if (error) throw error
+
+  return images || []
+}
+
+// Stores the original and its thumbnails, appends the image to the product
+// gallery and keeps products.image_url pointing at the first image
+export const addProductImage = async (productId, file, { altText } = {}) => {
+  const supabase = getDatabase()
+  const storage = getStorage()
+
+  const { original, info, variants } = await processImage(file.buffer)
+
+  const imageId = crypto.randomUUID()
+  const baseKey = `products/${productId}/${imageId}`
+  const originalKey = `${baseKey}/original.${info.format}`
+
+  const originalUrl = await storage.put(originalKey, original, CONTENT_TYPES[info.format] || file.mimetype)
+
+  const variantUrls = {}
+  for (const variant of variants) {
+    const url = await storage.put(
+      `${baseKey}/${variant.size}.${variant.format}`,
+      variant.data,
+      CONTENT_TYPES[variant.format]
+    )
+
+    variantUrls[variant.size] = variantUrls[variant.size] || {}
+    variantUrls[variant.size][variant.format] = url
+  }
+
+  const existing = await getProductImages(productId)
+  const position = existing.length > 0 ? existing[existing.length - 1].position + 1 : 0
+
+  const { data: image, error } = await supabase
+    .from('product_images')
+    .insert({
+      id: imageId,
+      product_id: productId,
+      storage_key: baseKey,
+      original_url: originalUrl,
+      variants: variantUrls,
+      format: info.format,
+      width: info.width,
+      height: info.height,
+      alt_text: altText || null,
+      position
+    })
+    .select()
+    .single()
+
+  if (error) throw error
+
+  if (position === 0) {
+    await syncPrimaryImage(productId)
+  }
+
+  return image
+}
+
+// Returns the deleted image, or null when the product has no such image
+export const deleteProductImage = async (productId, imageId) => {
+  const supabase = getDatabase()
+
+  const { data: image, error } = await supabase
+    .from('product_images')
+    .delete()
+    .eq('id', imageId)
+    .eq('product_id', productId)
+    .select()
+    .maybeSingle()
+
+  if (error) throw error
+  if (!image) return null
+
+  const keys = [
+    `${image.storage_key}/original.${image.format}`,
+    ...Object.keys(IMAGE_SIZES).flatMap(size =>
+      IMAGE_FORMATS.map(format => `${image.storage_key}/${size}.${format}`)
+    )
+  ]
+
+  try {
+    await getStorage().remove(keys)
+  } catch (storageError) {
+    // The row is already gone; orphaned files can be cleaned up manually
+    console.error('Error removing image files:', storageError)
+  }
+
+  await syncPrimaryImage(productId)
+
+  return image
+}
+
+// Rewrites positions following the given list of image ids
+export const reorderProductImages = async (productId, imageIds) => {
+  const supabase = getDatabase()
+
+  for (const [position, imageId] of imageIds.entries()) {
+    const { error } = await supabase
+      .from('product_images')
+      .update({ position })
+      .eq('id', imageId)
+      .eq('product_id', productId)
+
+    if (error) throw error
+  }
+
+  const images = await getProductImages(productId)
+  if (images.length > 0) await syncPrimaryImage(productId)
+
+  return images
+}
+
+// products.image_url follows the first gallery image and is cleared when the
+// last one is deleted, so it never points at a removed file
+const syncPrimaryImage = async (productId) => {
+  const supabase = getDatabase()
+  const [primary] = await getProductImages(productId)
+
+  await supabase
+    .from('products')
+    .update({
+      image_url: primary ? primary.variants?.large?.webp || primary.original_url : null,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', productId)
+}
@@ -0,0 +1,55 @@
+import { getDatabase } from '../config/database.js'
+
+export const RECOMMENDATION_KINDS = ['bought_together', 'similar']
+
+export const DEFAULT_RECOMMENDATIONS_LIMIT = 8
+export const MAX_RECOMMENDATIONS_LIMIT = 24
+
+const RECOMMENDED_PRODUCT_FIELDS = 'id, title, slug, price, original_price, image_url, category_id, stock_quantity, is_active'
+
+// Rebuilds product_recommendations from order history and the catalog (see
+// refresh_product_recommendations). Returns the number of rows written
+export const refreshRecommendations = async ({ perProduct = MAX_RECOMMENDATIONS_LIMIT, lookbackDays = 365 } = {}) => {
+  const supabase = getDatabase()
+
+  const { data: total, error } = await supabase.rpc('refresh_product_recommendations', {
+    per_product: perProduct,
+    lookback_days: lookbackDays
+  })
+
+  if (error) throw error
+
+  return total
+}
+
+// Recommendations grouped by kind, best first. Recommended products that were
+// trashed since the last refresh are left out
+export const getRecommendations = async (productId, { kinds = RECOMMENDATION_KINDS, limit = DEFAULT_RECOMMENDATIONS_LIMIT } = {}) => {
+  const supabase = getDatabase()
+
+  const { data: rows, error } = await supabase
+    .from('product_recommendations')
+    .select(`kind, score, support, computed_at, product:products!recommended_id (${RECOMMENDED_PRODUCT_FIELDS})`)
+    .eq('product_id', productId)
+    .in('kind', kinds)
+    .order('score', { ascending: false })
+
+  if (error) throw error
+
+  const recommendations = Object.fromEntries(kinds.map(kind => [kind, []]))
+
+  for (const row of rows) {
+    if (!row.product?.is_active || recommendations[row.kind].length >= limit) continue
+
+    recommendations[row.kind].push({
+      ...row.product,
+      score: parseFloat(row.score),
+      ...(row.kind === 'bought_together' && { support: row.support })
+    })
+  }
+
+  return {
+    recommendations,
+    computed_at: rows[0]?.computed_at || null
+  }
+}
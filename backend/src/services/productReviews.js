@@ -0,0 +1,164 @@
+import { getDatabase } from '../config/database.js'
+
+export const REVIEW_STATUSES = ['pending', 'approved', 'rejected']
+
+// Reviewers are customers, not users: the order line and the email it was
+// ordered with prove the purchase
+export const REVIEW_SCHEMA = {
+  order_item_id: { type: 'uuid', required: true },
+  email: { type: 'string', required: true, maxLength: 255 },
+  author_name: { type: 'string', maxLength: 100, nullable: true },
+  rating: { type: 'integer', required: true, min: 1, max: 5 },
+  title: { type: 'string', maxLength: 200, nullable: true },
+  body: { type: 'string', maxLength: 5000, nullable: true }
+}
+
+export const MODERATION_SCHEMA = {
+  status: { type: 'string', required: true, enum: ['approved', 'rejected'] },
+  note: { type: 'string', maxLength: 1000, nullable: true }
+}
+
+// What the storefront shows; the email and moderation details stay private
+const PUBLIC_FIELDS = 'id, product_id, author_name, rating, title, body, created_at'
+
+// Orders in these states were paid for and sent to the supplier
+const REVIEWABLE_ORDER_STATUSES = ['completed']
+
+// Checks that the order line is for the product and was bought with that
+// email. Returns { item } or { reason } ('not_found', 'not_reviewable')
+export const verifyPurchase = async (productId, orderItemId, email) => {
+  const supabase = getDatabase()
+
+  const { data: item, error } = await supabase
+    .from('order_items')
+    .select('id, product_id, order:orders!order_id (id, customer_email, status)')
+    .eq('id', orderItemId)
+    .maybeSingle()
+
+  if (error) throw error
+
+  if (!item || item.product_id !== productId || item.order?.customer_email?.toLowerCase() !== email.toLowerCase()) {
+    return { reason: 'not_found' }
+  }
+
+  if (!REVIEWABLE_ORDER_STATUSES.includes(item.order.status)) {
+    return { reason: 'not_reviewable' }
+  }
+
+  return { item }
+}
+
+// Stored as pending until a moderator approves it. Returns null when the line
+// already has a review
+export const createReview = async (productId, { order_item_id, email, ...review }) => {
+  const supabase = getDatabase()
+
+  const { data: created, error } = await supabase
+    .from('product_reviews')
+    .insert({
+      ...review,
+      product_id: productId,
+      order_item_id,
+      customer_email: email.toLowerCase()
+    })
+    .select(`${PUBLIC_FIELDS}, status`)
+    .single()
+
+  if (error?.code === '23505') return null
+  if (error) throw error
+
+  return created
+}
+
+// Approved reviews, newest first or by rating (sort: 'newest' | 'rating_desc' | 'rating_asc')
+export const getApprovedReviews = async (productId, { sort = 'newest', rating, limit = 20, offset = 0 } = {}) => {
+  const supabase = getDatabase()
+
+  let query = supabase
+    .from('product_reviews')
+    .select(PUBLIC_FIELDS, { count: 'exact' })
+    .eq('product_id', productId)
+    .eq('status', 'approved')
+
+  if (rating) {
+    query = query.eq('rating', rating)
+  }
+
+  if (sort !== 'newest') {
+    query = query.order('rating', { ascending: sort === 'rating_asc' })
+  }
+
+  const { data: reviews, error, count } = await query
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .range(offset, offset + limit - 1)
+
+  if (error) throw error
+
+  return { reviews, total: count || 0 }
+}
+
+// Approved reviews per star, 1 to 5
+export const getRatingDistribution = async (productId) => {
+  const supabase = getDatabase()
+
+  const { data: ratings, error } = await supabase
+    .from('product_reviews')
+    .select('rating')
+    .eq('product_id', productId)
+    .eq('status', 'approved')
+
+  if (error) throw error
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 }
+  for (const { rating } of ratings) {
+    distribution[rating]++
+  }
+
+  return distribution
+}
+
+// Moderation queue, oldest first so nothing waits forever
+export const getReviewsForModeration = async ({ status = 'pending', productId, limit = 50, offset = 0 } = {}) => {
+  const supabase = getDatabase()
+
+  let query = supabase
+    .from('product_reviews')
+    .select('*, product:products!product_id (id, title, sku)', { count: 'exact' })
+    .eq('status', status)
+
+  if (productId) {
+    query = query.eq('product_id', productId)
+  }
+
+  const { data: reviews, error, count } = await query
+    .order('created_at', { ascending: true })
+    .range(offset, offset + limit - 1)
+
+  if (error) throw error
+
+  return { reviews, total: count || 0 }
+}
+
+// The rating trigger updates the product's rating_average and rating_count
+export const moderateReview = async (reviewId, { status, note = null }, actor) => {
+  const supabase = getDatabase()
+  const now = new Date().toISOString()
+
+  const { data: review, error } = await supabase
+    .from('product_reviews')
+    .update({
+      status,
+      moderation_note: note,
+      moderated_by: actor?.id || null,
+      moderated_at: now,
+      updated_at: now
+    })
+    .eq('id', reviewId)
+    .select()
+    .maybeSingle()
+
+  if (error) throw error
+
+  return review
+}
@@ -0,0 +1,94 @@
+import { TRANSLATIONS_SCHEMA } from './productTranslations.js'
+
+// Field rules for product writes, shared by the request validation middleware,
+// the file import and the catalog export
+
+const VARIANT_SCHEMA = {
+  id: { type: 'uuid' },
+  sku: { type: 'string', maxLength: 100 },
+  title: { type: 'string', maxLength: 255, nullable: true },
+  options: { type: 'object' },
+  price: { type: 'number', min: 0.01 },
+  original_price: { type: 'number', min: 0, nullable: true },
+  stock_quantity: { type: 'integer', min: 0 },
+  image_url: { type: 'url', nullable: true },
+  position: { type: 'integer', min: 0 },
+  is_active: { type: 'boolean' }
+}
+
+const BUNDLE_ITEM_SCHEMA = {
+  product_id: { type: 'uuid', required: true },
+  variant_id: { type: 'uuid', nullable: true },
+  quantity: { type: 'integer', min: 1, max: 100 }
+}
+
+export const PRODUCT_TYPES = ['simple', 'bundle']
+
+export const PRODUCT_SCHEMA = {
+  title: { type: 'string', required: true, minLength: 1, maxLength: 500 },
+  description: { type: 'string', maxLength: 10000, nullable: true },
+  price: { type: 'number', required: true, min: 0.01 },
+  original_price: { type: 'number', min: 0, nullable: true },
+  image_url: { type: 'url', nullable: true },
+  category: { type: 'string', maxLength: 100, nullable: true },
+  category_id: { type: 'uuid', nullable: true },
+  supplier: { type: 'string', maxLength: 100, nullable: true },
+  brand: { type: 'string', maxLength: 100, nullable: true },
+  sku: { type: 'string', maxLength: 100, nullable: true },
+  stock_quantity: { type: 'integer', min: 0 },
+  margin_percentage: { type: 'number', min: 0, max: 999.99, nullable: true },
+  score: { type: 'integer', min: 0, max: 100 },
+  demand_score: { type: 'integer', min: 0, max: 100 },
+  competition_score: { type: 'integer', min: 0, max: 100 },
+  is_active: { type: 'boolean' },
+  slug: { type: 'string', minLength: 1, maxLength: 120 },
+  meta_title: { type: 'string', maxLength: 120, nullable: true },
+  meta_description: { type: 'string', maxLength: 320, nullable: true },
+  variants: { type: 'array', maxLength: 100, items: { type: 'object', schema: VARIANT_SCHEMA } },
+  product_type: { type: 'string', enum: PRODUCT_TYPES },
+  cost_price: { type: 'number', min: 0, nullable: true },
+  competitor_price: { type: 'number', min: 0, nullable: true },
+  bundle_items: { type: 'array', maxLength: 20, items: { type: 'object', schema: BUNDLE_ITEM_SCHEMA } },
+  translations: { type: 'object', schema: TRANSLATIONS_SCHEMA },
+  analyze: { type: 'boolean' }
+}
+
+const EDITABLE_FIELDS = [
+  'title',
+  'description',
+  'price',
+  'original_price',
+  'image_url',
+  'category',
+  'category_id',
+  'supplier',
+  'brand',
+  'sku',
+  'stock_quantity',
+  'margin_percentage',
+  'slug',
+  'meta_title',
+  'meta_description',
+  'variants',
+  'product_type',
+  'cost_price',
+  'competitor_price',
+  'bundle_items',
+  'translations'
+]
+
+// Analysis scores and visibility are only writable by admins; ids, timestamps
+// and derived columns (options, has_variants, search_vector, bundle stock) by nobody
+const ROLE_FIELDS = {
+  admin: [...EDITABLE_FIELDS, 'score', 'demand_score', 'competition_score', 'is_active'],
+  default: EDITABLE_FIELDS
+}
+
+// Stock only takes an opening level on create; afterwards it changes through
+// the stock ledger (POST /products/:id/stock-movements) with a reason
+const CREATE_ONLY_FIELDS = ['stock_quantity']
+
+export const getWritableProductFields = (user, { existing = false } = {}) => {
+  const fields = ROLE_FIELDS[user?.role] || ROLE_FIELDS.default
+  return existing ? fields.filter(field => !CREATE_ONLY_FIELDS.includes(field)) : fields
+}
@@ -0,0 +1,33 @@
+import { getDatabase } from '../config/database.js'
+
+// Ranked full-text search over active products. Ranking, accent folding,
+// stemming and facet counts all happen in the search_products SQL function.
+// Expects filters already normalized by parseProductFilters and a sort from
+// parseProductSort; without a sort results come in relevance order
+export const searchProducts = async ({ search, filters = {}, sort = null, limit = 12, offset = 0 }) => {
+  const supabase = getDatabase()
+
+  const { data, error } = await supabase.rpc('search_products', {
+    search_query: search.trim(),
+    filters: buildSearchFilters(filters),
+    result_limit: limit,
+    result_offset: offset,
+    sort_field: sort?.field ?? null,
+    sort_ascending: sort?.ascending ?? false
+  })
+
+  if (error) throw error
+
+  return {
+    products: data?.products || [],
+    total: data?.total || 0,
+    facets: data?.facets || {}
+  }
+}
+
+// Drops empty values so the SQL function treats them as "no filter"
+const buildSearchFilters = (filters) => {
+  return Object.fromEntries(
+    Object.entries(filters).filter(([, value]) => value !== undefined && value !== null && value !== false)
+  )
+}
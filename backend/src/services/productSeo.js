@@ -0,0 +1,51 @@
+import { getDatabase } from '../config/database.js'
+
+const META_TITLE_LENGTH = 70
+const META_DESCRIPTION_LENGTH = 160
+
+const truncate = (text, length) => {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim()
+  if (clean.length <= length) return clean
+
+  const cut = clean.substring(0, length - 1)
+  return cut.substring(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length) + '…'
+}
+
+// meta_title/meta_description are only stored when set explicitly; otherwise
+// they are derived from the title and description when the product is served
+export const withSEODefaults = (product) => ({
+  ...product,
+  meta_title: product.meta_title || truncate(product.title, META_TITLE_LENGTH),
+  meta_description: product.meta_description ||
+    truncate(product.description || product.title, META_DESCRIPTION_LENGTH)
+})
+
+export const findProductBySlug = async (slug) => {
+  const supabase = getDatabase()
+
+  const { data: product, error } = await supabase
+    .from('products')
+    .select('*')
+    .eq('slug', slug)
+    .maybeSingle()
+
+  if (error) throw error
+
+  return product
+}
+
+// Old slugs are kept when titles change (see products_slug_update); returns
+// the product's current slug so the caller can redirect
+export const findSlugRedirect = async (slug) => {
+  const supabase = getDatabase()
+
+  const { data: redirect, error } = await supabase
+    .from('product_slug_redirects')
+    .select('products (slug, is_active)')
+    .eq('slug', slug)
+    .maybeSingle()
+
+  if (error) throw error
+
+  return redirect?.products?.slug || null
+}
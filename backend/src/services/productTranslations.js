@@ -0,0 +1,91 @@
+import { getDatabase } from '../config/database.js'
+import { DEFAULT_LOCALE } from './categories.js'
+
+// Products are written in DEFAULT_LOCALE (title, description, meta_*);
+// other locales live in products.translations, e.g.
+//   { "en": { "title": "...", "description": "..." } }
+export const SUPPORTED_LOCALES = ['es', 'en']
+export const TRANSLATION_LOCALES = SUPPORTED_LOCALES.filter(locale => locale !== DEFAULT_LOCALE)
+
+export const TRANSLATION_SCHEMA = {
+  title: { type: 'string', required: true, minLength: 1, maxLength: 500 },
+  description: { type: 'string', maxLength: 10000, nullable: true },
+  meta_title: { type: 'string', maxLength: 120, nullable: true },
+  meta_description: { type: 'string', maxLength: 320, nullable: true }
+}
+
+export const TRANSLATIONS_SCHEMA = Object.fromEntries(
+  TRANSLATION_LOCALES.map(locale => [locale, { type: 'object', nullable: true, schema: TRANSLATION_SCHEMA }])
+)
+
+const TRANSLATABLE_FIELDS = Object.keys(TRANSLATION_SCHEMA)
+
+// `lang` wins over Accept-Language (es-MX, es-419 and es-ES all mean es);
+// anything unsupported falls back to DEFAULT_LOCALE
+export const resolveLocale = (req) => {
+  const lang = String(req.query.lang || '').toLowerCase().split('-')[0]
+  if (SUPPORTED_LOCALES.includes(lang)) return lang
+
+  if (!req.headers['accept-language']) return DEFAULT_LOCALE
+
+  return req.acceptsLanguages(...SUPPORTED_LOCALES) || DEFAULT_LOCALE
+}
+
+// Serves the product text in locale. Without a translation the default locale
+// text is served; a translation without description keeps the default one,
+// and missing meta fields are left empty so withSEODefaults derives them from
+// the translated text. locale on the result is the locale actually served
+export const localizeProduct = (product, locale = DEFAULT_LOCALE, { keepTranslations = false } = {}) => {
+  const { translations, ...rest } = product
+  const translation = locale === DEFAULT_LOCALE ? null : translations?.[locale]
+  const localized = keepTranslations ? { ...rest, translations: translations || {} } : rest
+
+  if (!translation) {
+    return { ...localized, locale: DEFAULT_LOCALE }
+  }
+
+  return {
+    ...localized,
+    title: translation.title,
+    description: translation.description || product.description,
+    meta_title: translation.meta_title || null,
+    meta_description: translation.meta_description || null,
+    locale
+  }
+}
+
+export const localizeProducts = (products, locale) => products.map(product => localizeProduct(product, locale))
+
+// Replaces (or with null removes) one locale's translation. Returns the
+// product before and after so the caller can record the revision; the write
+// itself only touches that locale (set_product_translation), the before state
+// is read separately and only feeds the revision diff
+export const saveTranslation = async (productId, locale, translation) => {
+  const supabase = getDatabase()
+
+  const { data: before, error: fetchError } = await supabase
+    .from('products')
+    .select('*')
+    .eq('id', productId)
+    .maybeSingle()
+
+  if (fetchError) throw fetchError
+  if (!before) return null
+
+  const cleaned = translation && Object.fromEntries(
+    TRANSLATABLE_FIELDS.filter(field => translation[field]).map(field => [field, translation[field]])
+  )
+
+  const { data: after, error } = await supabase
+    .rpc('set_product_translation', {
+      target_product: productId,
+      target_locale: locale,
+      translation: cleaned || null
+    })
+    .maybeSingle()
+
+  if (error) throw error
+  if (!after) return null
+
+  return { before, after }
+}
@@ -0,0 +1,226 @@
+import { getDatabase } from '../config/database.js'
+import { applyProductFilters } from './productFilters.js'
+import { REVISION_CAUSES, recordProductRevision } from './productHistory.js'
+import { getProductImages, deleteProductImage } from './productImages.js'
+
+export const MAX_BULK_IDS = 1000
+const DEFAULT_RETENTION_DAYS = 30
+
+// Ids per .in() filter, like the import's SKU lookups: 1000 UUIDs would make
+// a ~37 KB query string
+const ID_CHUNK_SIZE = 100
+
+const chunkIds = (ids) => {
+  const chunks = []
+  for (let i = 0; i < ids.length; i += ID_CHUNK_SIZE) {
+    chunks.push(ids.slice(i, i + ID_CHUNK_SIZE))
+  }
+  return chunks
+}
+
+// Products in the trash are the soft-deleted ones (is_active = false)
+export const listTrash = async ({ limit, offset }) => {
+  const supabase = getDatabase()
+
+  const { data: products, error, count } = await supabase
+    .from('products')
+    .select('*', { count: 'exact' })
+    .eq('is_active', false)
+    .order('deleted_at', { ascending: false, nullsFirst: false })
+    .order('id', { ascending: false })
+    .range(offset, offset + limit - 1)
+
+  if (error) throw error
+
+  return { products, total: count || 0 }
+}
+
+// Bulk operations target explicit ids or every product matching a listing
+// filter (as parsed by parseProductFilters/resolveCategoryFilter)
+export const resolveBulkTargets = async ({ ids, filters }, { active }) => {
+  if (ids) return ids
+
+  const supabase = getDatabase()
+  const query = supabase
+    .from('products')
+    .select('id')
+    .eq('is_active', active)
+
+  const { data, error } = await applyProductFilters(query, filters).limit(MAX_BULK_IDS)
+
+  if (error) throw error
+
+  return data.map(product => product.id)
+}
+
+const setActive = async (ids, active, actor) => {
+  const updated = []
+
+  for (const chunk of chunkIds(ids)) {
+    updated.push(...await setActiveChunk(chunk, active, actor))
+  }
+
+  return updated
+}
+
+const setActiveChunk = async (ids, active, actor) => {
+  const supabase = getDatabase()
+
+  const { data: before, error: beforeError } = await supabase
+    .from('products')
+    .select('*')
+    .in('id', ids)
+    .eq('is_active', !active)
+
+  if (beforeError) throw beforeError
+  if (before.length === 0) return []
+
+  const { data: updated, error } = await supabase
+    .from('products')
+    .update({
+      is_active: active,
+      deleted_at: active ? null : new Date().toISOString(),
+      deleted_by: active ? null : actor?.id || null,
+      updated_at: new Date().toISOString()
+    })
+    .in('id', before.map(product => product.id))
+    .select()
+
+  if (error) throw error
+
+  const previous = new Map(before.map(product => [product.id, product]))
+  await Promise.all(updated.map(product => recordProductRevision({
+    before: previous.get(product.id),
+    after: product,
+    action: active ? 'restore' : 'delete',
+    cause: REVISION_CAUSES.MANUAL,
+    actor
+  })))
+
+  return updated
+}
+
+export const trashProducts = (ids, actor) => setActive(ids, false, actor)
+
+export const restoreProducts = (ids, actor) => setActive(ids, true, actor)
+
+// Permanently deletes trashed products. Products referenced by order items
+// are kept: deleting them would cascade into order history
+export const purgeProducts = async (ids) => {
+  const purged = []
+
+  for (const chunk of chunkIds(ids)) {
+    purged.push(...await purgeChunk(chunk))
+  }
+
+  return {
+    purged,
+    skipped: ids.filter(id => !purged.includes(id))
+  }
+}
+
+const purgeChunk = async (ids) => {
+  const supabase = getDatabase()
+
+  const { data: trashed, error } = await supabase
+    .from('products')
+    .select('id')
+    .in('id', ids)
+    .eq('is_active', false)
+
+  if (error) throw error
+
+  const trashedIds = trashed.map(product => product.id)
+
+  // Products that were sold or are still part of a bundle are kept
+  const [{ data: referenced, error: referencedError }, { data: components, error: componentsError }] = await Promise.all([
+    supabase.from('order_items').select('product_id').in('product_id', trashedIds),
+    supabase.from('product_bundle_items').select('component_id').in('component_id', trashedIds)
+  ])
+
+  if (referencedError) throw referencedError
+  if (componentsError) throw componentsError
+
+  const referencedIds = new Set([
+    ...referenced.map(item => item.product_id),
+    ...components.map(item => item.component_id)
+  ])
+  const purgeable = trashedIds.filter(id => !referencedIds.has(id))
+
+  // Stored image files are not covered by the cascade, remove them first
+  for (const productId of purgeable) {
+    const images = await getProductImages(productId)
+    for (const image of images) {
+      await deleteProductImage(productId, image.id)
+    }
+  }
+
+  if (purgeable.length > 0) {
+    const { error: deleteError } = await supabase
+      .from('products')
+      .delete()
+      .in('id', purgeable)
+
+    if (deleteError) throw deleteError
+  }
+
+  return purgeable
+}
+
+// Retention comes from the `trash_retention_days` setting, then the
+// TRASH_RETENTION_DAYS env var, then 30 days
+export const getTrashRetentionDays = async () => {
+  const supabase = getDatabase()
+
+  const { data: setting } = await supabase
+    .from('settings')
+    .select('value')
+    .eq('key', 'trash_retention_days')
+    .maybeSingle()
+
+  const days = parseInt(setting?.value ?? process.env.TRASH_RETENTION_DAYS)
+  return Number.isNaN(days) || days < 1 ? DEFAULT_RETENTION_DAYS : days
+}
+
+// Walks the expired trash in id order so products kept for their orders never
+// hide the ones behind them from later batches
+export const purgeExpiredTrash = async () => {
+  const supabase = getDatabase()
+  const retentionDays = await getTrashRetentionDays()
+
+  const cutoff = new Date()
+  cutoff.setDate(cutoff.getDate() - retentionDays)
+
+  const purged = []
+  const skipped = []
+  let lastId = null
+
+  while (true) {
+    // Products trashed before deleted_at existed fall back to updated_at
+    let query = supabase
+      .from('products')
+      .select('id')
+      .eq('is_active', false)
+      .or(`deleted_at.lt.${cutoff.toISOString()},and(deleted_at.is.null,updated_at.lt.${cutoff.toISOString()})`)
+
+    if (lastId) {
+      query = query.gt('id', lastId)
+    }
+
+    const { data: expired, error } = await query
+      .order('id', { ascending: true })
+      .limit(MAX_BULK_IDS)
+
+    if (error) throw error
+    if (expired.length === 0) break
+
+    const result = await purgeProducts(expired.map(product => product.id))
+    purged.push(...result.purged)
+    skipped.push(...result.skipped)
+
+    if (expired.length < MAX_BULK_IDS) break
+    lastId = expired[expired.length - 1].id
+  }
+
+  return { purged, skipped }
+}
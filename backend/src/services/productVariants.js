@@ -0,0 +1,223 @@
+import { getDatabase } from '../config/database.js'
+
+// Error code thrown by saveProductVariants; error.details lists the
+// { field, message } conflicts
+export const VARIANT_CONFLICT = 'variant_conflict'
+
+// Builds variant rows from the request payload, generating a SKU from the
+// parent SKU and option values when the client does not provide one
+export const normalizeVariants = (variants, product) => {
+  if (!Array.isArray(variants)) return []
+
+  return variants.map((variant, index) => {
+    const options = variant.options || {}
+    const optionValues = Object.values(options)
+
+    return {
+      ...(variant.id && { id: variant.id }),
+      sku: variant.sku || generateVariantSKU(product.sku || product.title, optionValues, index),
+      title: variant.title || optionValues.join(' / ') || null,
+      options,
+      price: variant.price ?? product.price,
+      original_price: variant.original_price ?? product.original_price ?? null,
+      stock_quantity: parseInt(variant.stock_quantity ?? 0),
+      image_url: variant.image_url || null,
+      position: variant.position ?? index,
+      is_active: variant.is_active ?? true
+    }
+  })
+}
+
+// Derives the option definitions (e.g. size: [S, M, L]) from the variants
+export const buildOptionsFromVariants = (variants) => {
+  const options = {}
+
+  for (const variant of variants) {
+    for (const [name, value] of Object.entries(variant.options || {})) {
+      options[name] = options[name] || []
+      if (!options[name].includes(value)) {
+        options[name].push(value)
+      }
+    }
+  }
+
+  return Object.entries(options).map(([name, values]) => ({ name, values }))
+}
+
+// Product-level price and stock mirror the variants so listings keep working:
+// cheapest active variant price and total stock across active variants
+export const summarizeVariants = (variants) => {
+  const active = variants.filter(variant => variant.is_active !== false)
+
+  if (active.length === 0) return null
+
+  const cheapest = active.reduce((min, variant) =>
+    parseFloat(variant.price) < parseFloat(min.price) ? variant : min
+  )
+
+  return {
+    price: cheapest.price,
+    original_price: cheapest.original_price,
+    stock_quantity: active.reduce((sum, variant) => sum + (parseInt(variant.stock_quantity) || 0), 0)
+  }
+}
+
+export const getProductVariants = async (productId, { includeInactive = false } = {}) => {
+  const supabase = getDatabase()
+
+  let query = supabase
+    .from('product_variants')
+    .select('*')
+    .eq('product_id', productId)
+    .order('position', { ascending: true })
+
+  if (!includeInactive) {
+    query = query.eq('is_active', true)
+  }
+
+  const { data: variants, error } = await query
+
+  if (error) throw error
+
+  return variants || []
+}
+
+// Variant SKUs are unique across the catalog, so rows are matched to this
+// product's own variants only: by id, then by SKU. A SKU or id belonging to
+// another product is a conflict when the client sent it; a generated SKU that
+// another product already uses gets the product id appended instead
+const resolveVariantRows = async (product, variantsInput) => {
+  const supabase = getDatabase()
+  const variants = normalizeVariants(variantsInput, product)
+
+  const { data: own, error } = await supabase
+    .from('product_variants')
+    .select('id, sku')
+    .eq('product_id', product.id)
+
+  if (error) throw error
+
+  const { data: taken, error: takenError } = variants.length > 0
+    ? await supabase
+      .from('product_variants')
+      .select('sku')
+      .in('sku', variants.map(variant => variant.sku))
+      .neq('product_id', product.id)
+    : { data: [] }
+
+  if (takenError) throw takenError
+
+  const ownIds = new Set(own.map(variant => variant.id))
+  const ownSkus = new Map(own.map(variant => [variant.sku, variant.id]))
+  const takenSkus = new Set(taken.map(variant => variant.sku))
+  const conflicts = []
+
+  const rows = variants.map((variant, index) => {
+    if (variant.id && !ownIds.has(variant.id)) {
+      conflicts.push({ field: `variants[${index}].id`, message: 'La variante no pertenece a este producto' })
+    }
+
+    if (takenSkus.has(variant.sku)) {
+      if (variantsInput[index].sku) {
+        conflicts.push({ field: `variants[${index}].sku`, message: 'El SKU ya lo usa otro producto' })
+      } else {
+        variant.sku = `${variant.sku}-${product.id.slice(0, 8).toUpperCase()}`
+      }
+    }
+
+    const id = variant.id || ownSkus.get(variant.sku)
+    return { ...variant, ...(id && { id }) }
+  })
+
+  if (conflicts.length > 0) {
+    const conflict = new Error('Variant conflicts with another product')
+    conflict.code = VARIANT_CONFLICT
+    conflict.details = conflicts
+    throw conflict
+  }
+
+  return rows
+}
+
+// Saves the given variants (matched by id or SKU, see resolveVariantRows) and
+// deactivates the ones no longer present, so existing order items keep
+// pointing at a valid variant row
+export const saveProductVariants = async (product, variantsInput) => {
+  const supabase = getDatabase()
+  const rows = await resolveVariantRows(product, variantsInput)
+  const now = new Date().toISOString()
+  const toRow = variant => ({ ...variant, product_id: product.id, updated_at: now })
+
+  const existing = rows.filter(variant => variant.id).map(toRow)
+  const created = rows.filter(variant => !variant.id).map(toRow)
+  const saved = []
+
+  if (existing.length > 0) {
+    const { data: updated, error } = await supabase
+      .from('product_variants')
+      .upsert(existing, { onConflict: 'id' })
+      .select()
+
+    if (error) throw error
+    saved.push(...updated)
+  }
+
+  if (created.length > 0) {
+    const { data: inserted, error } = await supabase
+      .from('product_variants')
+      .insert(created)
+      .select()
+
+    if (error) throw error
+    saved.push(...inserted)
+  }
+
+  const keptIds = saved.map(variant => variant.id)
+  let deactivate = supabase
+    .from('product_variants')
+    .update({ is_active: false, updated_at: now })
+    .eq('product_id', product.id)
+
+  if (keptIds.length > 0) {
+    deactivate = deactivate.not('id', 'in', `(${keptIds.join(',')})`)
+  }
+
+  const { error: deactivateError } = await deactivate
+
+  if (deactivateError) throw deactivateError
+
+  // Keep product-level aggregates in sync with the variants
+  const summary = summarizeVariants(saved)
+  const { data: updatedProduct, error: productError } = await supabase
+    .from('products')
+    .update({
+      ...(summary || {}),
+      options: buildOptionsFromVariants(saved),
+      has_variants: saved.length > 0,
+      updated_at: now
+    })
+    .eq('id', product.id)
+    .select()
+    .single()
+
+  if (productError) throw productError
+
+  return {
+    product: updatedProduct,
+    variants: saved.sort((a, b) => a.position - b.position)
+  }
+}
+
+const generateVariantSKU = (base, optionValues, index) => {
+  const baseCode = String(base || 'VAR')
+    .replace(/[^a-zA-Z0-9-]/g, '')
+    .substring(0, 20)
+    .toUpperCase()
+
+  const optionCode = optionValues
+    .map(value => String(value).replace(/[^a-zA-Z0-9]/g, '').substring(0, 4).toUpperCase())
+    .filter(Boolean)
+    .join('-')
+
+  return `${baseCode}-${optionCode || index + 1}`
+}
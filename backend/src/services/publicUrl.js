@@ -0,0 +1,72 @@
+import axios from 'axios'
+import dns from 'dns'
+import net from 'net'
+
+// Loopback, private, link-local (cloud metadata), carrier-grade NAT,
+// multicast and reserved ranges. Server-side fetches of user-supplied URLs
+// must never reach them
+const PRIVATE_RANGES = new net.BlockList()
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4')
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6')
+}
+
+const MAX_REDIRECTS = 3
+
+// BlockList checks IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) against the
+// IPv4 ranges
+export const isPrivateAddress = (address) => PRIVATE_RANGES.check(address, net.isIP(address) === 6 ? 'ipv6' : 'ipv4')
+
+const assertPublicHost = (hostname) => {
+  const host = hostname.replace(/^\[|\]$/g, '')
+  if (net.isIP(host) && isPrivateAddress(host)) {
+    throw new Error(`Blocked private address ${host}`)
+  }
+}
+
+// Checked at connect time, so a host that resolves to a public address for a
+// pre-check and to a private one afterwards is still refused
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error)
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }]
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address))
+    if (blocked) return callback(new Error(`Blocked private address ${blocked.address} for ${hostname}`))
+
+    callback(null, address, family)
+  })
+}
+
+// GET of a user-supplied http(s) URL on the public internet, redirects
+// included, with the body capped at maxBytes. Resolves to the axios response
+// (arraybuffer data); rejects for anything else
+export const fetchPublicUrl = async (url, { timeout, maxBytes }) => {
+  const parsed = new URL(url)
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error(`Unsupported protocol ${parsed.protocol}`)
+  }
+
+  assertPublicHost(parsed.hostname)
+
+  return axios.get(parsed.toString(), {
+    responseType: 'arraybuffer',
+    timeout,
+    maxContentLength: maxBytes,
+    maxRedirects: MAX_REDIRECTS,
+    proxy: false,
+    lookup: publicLookup,
+    beforeRedirect: (options) => {
+      if (!['http:', 'https:'].includes(options.protocol)) {
+        throw new Error(`Unsupported protocol ${options.protocol}`)
+      }
+      assertPublicHost(options.hostname)
+    }
+  })
+}
@@ -0,0 +1,383 @@
+import { getDatabase } from '../config/database.js'
+import { getAllCategories, getDescendantIds } from './categories.js'
+import { iterateProducts } from './catalogExport.js'
+import { REVISION_CAUSES, recordProductRevision } from './productHistory.js'
+
+export const SALE_DISCOUNT_TYPES = ['percent', 'fixed']
+export const SALE_SCOPES = ['product', 'category']
+export const SALE_STATUSES = ['scheduled', 'active', 'ended', 'cancelled']
+
+export const SALE_EVENT_SCHEMA = {
+  name: { type: 'string', required: true, minLength: 1, maxLength: 255 },
+  discount_type: { type: 'string', required: true, enum: SALE_DISCOUNT_TYPES },
+  discount_value: { type: 'number', required: true, min: 0.01 },
+  scope: { type: 'string', required: true, enum: SALE_SCOPES },
+  product_ids: { type: 'array', maxLength: 500, items: { type: 'uuid' } },
+  category_ids: { type: 'array', maxLength: 50, items: { type: 'uuid' } },
+  starts_at: { type: 'date', required: true },
+  ends_at: { type: 'date', required: true }
+}
+
+// A sale never takes a price below this
+const MIN_SALE_PRICE = 0.01
+
+const ACTIVE_SALE_FIELDS = 'id, name, discount_type, discount_value, starts_at, ends_at'
+
+const roundCents = (amount) => Math.round(amount * 100) / 100
+
+export const discountedPrice = (price, { discount_type: type, discount_value: value }) => {
+  const amount = parseFloat(price)
+  const discounted = type === 'percent'
+    ? amount * (1 - parseFloat(value) / 100)
+    : amount - parseFloat(value)
+
+  return Math.max(MIN_SALE_PRICE, roundCents(discounted))
+}
+
+// Price shown struck through during the sale: an existing higher
+// original_price is kept, otherwise the regular price
+const compareAtPrice = ({ price, original_price: originalPrice }) => {
+  return originalPrice !== null && originalPrice !== undefined && parseFloat(originalPrice) > parseFloat(price)
+    ? originalPrice
+    : price
+}
+
+// Cross-field checks on top of SALE_EVENT_SCHEMA
+export const validateSaleEvent = (event) => {
+  const errors = []
+
+  if (event.scope === 'product' && !event.product_ids?.length) {
+    errors.push({ field: 'product_ids', message: 'Se requiere al menos un producto' })
+  }
+
+  if (event.scope === 'category' && !event.category_ids?.length) {
+    errors.push({ field: 'category_ids', message: 'Se requiere al menos una categoría' })
+  }
+
+  if (event.discount_type === 'percent' && event.discount_value >= 100) {
+    errors.push({ field: 'discount_value', message: 'Un descuento porcentual debe ser menor que 100' })
+  }
+
+  if (event.starts_at && event.ends_at && new Date(event.ends_at) <= new Date(event.starts_at)) {
+    errors.push({ field: 'ends_at', message: 'Debe ser posterior a starts_at' })
+  }
+
+  return errors
+}
+
+// Active products covered by the event; category scope includes subcategories
+async function* iterateSaleProducts(event) {
+  const select = '*, product_variants (*)'
+
+  if (event.scope === 'category') {
+    const categories = await getAllCategories({ includeInactive: true })
+    const categoryIds = [...new Set(event.category_ids.flatMap(id => getDescendantIds(categories, id)))]
+
+    yield* iterateProducts({ category_ids: categoryIds }, { select })
+    return
+  }
+
+  const supabase = getDatabase()
+  const { data: products, error } = await supabase
+    .from('products')
+    .select(select)
+    .in('id', event.product_ids)
+    .eq('is_active', true)
+
+  if (error) throw error
+
+  for (const product of products) {
+    yield product
+  }
+}
+
+const applyToProduct = async (event, product) => {
+  const supabase = getDatabase()
+  const { product_variants, ...before } = product
+  const variants = (product_variants || []).filter(variant => variant.is_active)
+
+  const salePrice = discountedPrice(product.price, event)
+  const variantPrices = variants.map(variant => ({
+    id: variant.id,
+    regular_price: variant.price,
+    regular_original_price: variant.original_price,
+    sale_price: discountedPrice(variant.price, event)
+  }))
+
+  // Recorded before touching the product, so a revert can always restore it
+  const { error: recordError } = await supabase
+    .from('sale_event_products')
+    .upsert({
+      event_id: event.id,
+      product_id: product.id,
+      regular_price: product.price,
+      regular_original_price: product.original_price,
+      sale_price: salePrice,
+      variant_prices: variantPrices
+    }, { onConflict: 'event_id,product_id' })
+
+  if (recordError) throw recordError
+
+  // Guarded on sale_event_id so overlapping sales never stack on one product
+  const { data: after, error } = await supabase
+    .from('products')
+    .update({
+      price: salePrice,
+      original_price: compareAtPrice(product),
+      sale_event_id: event.id,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', product.id)
+    .is('sale_event_id', null)
+    .select()
+    .maybeSingle()
+
+  if (error) throw error
+
+  if (!after) {
+    await supabase
+      .from('sale_event_products')
+      .delete()
+      .eq('event_id', event.id)
+      .eq('product_id', product.id)
+    return false
+  }
+
+  for (const [index, variant] of variants.entries()) {
+    await supabase
+      .from('product_variants')
+      .update({
+        price: variantPrices[index].sale_price,
+        original_price: compareAtPrice(variant),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', variant.id)
+  }
+
+  await recordProductRevision({
+    before,
+    after,
+    action: 'update',
+    cause: REVISION_CAUSES.SALE,
+    metadata: { sale_event: { id: event.id, name: event.name } }
+  })
+
+  return true
+}
+
+// Discounts every product in scope that is not already in another sale.
+// Products that fail are left at their regular price and recorded in
+// failed_product_ids. When the event was cancelled while it was being
+// applied, the products discounted meanwhile are restored again
+export const applySaleEvent = async (event) => {
+  const supabase = getDatabase()
+  const failed = []
+  let applied = 0
+  let skipped = 0
+
+  for await (const product of iterateSaleProducts(event)) {
+    if (product.sale_event_id) {
+      skipped++
+      continue
+    }
+
+    try {
+      if (await applyToProduct(event, product)) applied++
+      else skipped++
+    } catch (error) {
+      console.error(`Error applying sale ${event.name} to ${product.title}:`, error.message)
+      failed.push(product.id)
+    }
+  }
+
+  const { data: activated, error } = await supabase
+    .from('sale_events')
+    .update({
+      status: 'active',
+      applied_at: new Date().toISOString(),
+      failed_product_ids: failed,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', event.id)
+    .eq('status', 'scheduled')
+    .select('id')
+    .maybeSingle()
+
+  if (error) throw error
+
+  if (!activated) {
+    const { data: current, error: currentError } = await supabase
+      .from('sale_events')
+      .select('status')
+      .eq('id', event.id)
+      .maybeSingle()
+
+    if (currentError) throw currentError
+
+    await revertSaleEvent(event, current?.status || 'cancelled')
+    return { applied: 0, skipped, failed: failed.length, cancelled: true }
+  }
+
+  return { applied, skipped, failed: failed.length }
+}
+
+// Restores the prices the sale replaced. Prices edited by hand during the
+// sale are left as they are
+export const revertSaleEvent = async (event, status = 'ended') => {
+  const supabase = getDatabase()
+
+  const { data: entries, error } = await supabase
+    .from('sale_event_products')
+    .select('*, product:products!product_id (*)')
+    .eq('event_id', event.id)
+
+  if (error) throw error
+
+  let reverted = 0
+  for (const entry of entries) {
+    const before = entry.product
+    if (!before || before.sale_event_id !== event.id) continue
+
+    try {
+      const untouched = parseFloat(before.price) === parseFloat(entry.sale_price)
+
+      const { data: after, error: updateError } = await supabase
+        .from('products')
+        .update({
+          ...(untouched && { price: entry.regular_price, original_price: entry.regular_original_price }),
+          sale_event_id: null,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', before.id)
+        .eq('sale_event_id', event.id)
+        .select()
+        .maybeSingle()
+
+      if (updateError) throw updateError
+      if (!after) continue
+
+      for (const variant of entry.variant_prices) {
+        await supabase
+          .from('product_variants')
+          .update({
+            price: variant.regular_price,
+            original_price: variant.regular_original_price,
+            updated_at: new Date().toISOString()
+          })
+          .eq('id', variant.id)
+          .eq('price', variant.sale_price)
+      }
+
+      await recordProductRevision({
+        before,
+        after,
+        action: 'update',
+        cause: REVISION_CAUSES.SALE,
+        metadata: { sale_event: { id: event.id, name: event.name }, reverted: true }
+      })
+
+      reverted++
+    } catch (error) {
+      console.error(`Error reverting sale ${event.name} on ${before.title}:`, error.message)
+    }
+  }
+
+  const { error: statusError } = await supabase
+    .from('sale_events')
+    .update({ status, reverted_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+    .eq('id', event.id)
+
+  if (statusError) throw statusError
+
+  return { reverted }
+}
+
+// Run by the scheduler: ends finished sales, then starts the due ones, so a
+// product moving from one sale straight into the next is free for it
+export const processScheduledSales = async (now = new Date()) => {
+  const supabase = getDatabase()
+  const timestamp = now.toISOString()
+
+  const [{ data: ending, error: endingError }, { data: starting, error: startingError }] = await Promise.all([
+    supabase.from('sale_events').select('*').eq('status', 'active').lte('ends_at', timestamp),
+    supabase.from('sale_events').select('*').eq('status', 'scheduled').lte('starts_at', timestamp).order('starts_at', { ascending: true })
+  ])
+
+  if (endingError) throw endingError
+  if (startingError) throw startingError
+
+  for (const event of ending) {
+    const { reverted } = await revertSaleEvent(event)
+    console.log(`🏷️ Sale ended: ${event.name} (${reverted} products restored)`)
+  }
+
+  for (const event of starting) {
+    // Missed entirely, e.g. the server was down for the whole sale
+    if (new Date(event.ends_at) <= now) {
+      await supabase.from('sale_events').update({ status: 'ended', updated_at: timestamp }).eq('id', event.id)
+      continue
+    }
+
+    const { applied, skipped, failed, cancelled } = await applySaleEvent(event)
+
+    if (cancelled) {
+      console.log(`🏷️ Sale cancelled while starting: ${event.name}`)
+      continue
+    }
+
+    console.log(`🏷️ Sale started: ${event.name} (${applied} products, ${skipped} skipped, ${failed} failed)`)
+  }
+
+  return { started: starting.length, ended: ending.length }
+}
+
+// Cancelling an active sale restores prices right away
+export const cancelSaleEvent = async (event) => {
+  const supabase = getDatabase()
+
+  if (event.status === 'active') {
+    await revertSaleEvent(event, 'cancelled')
+  } else {
+    const { error } = await supabase
+      .from('sale_events')
+      .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+      .eq('id', event.id)
+
+    if (error) throw error
+  }
+
+  const { data: cancelled, error } = await supabase
+    .from('sale_events')
+    .select('*')
+    .eq('id', event.id)
+    .single()
+
+  if (error) throw error
+
+  return cancelled
+}
+
+// Adds active_sale ({ id, name, discount_type, discount_value, starts_at,
+// ends_at } or null) to each product for listings and detail pages
+export const withActiveSales = async (products) => {
+  const supabase = getDatabase()
+  const eventIds = [...new Set(products.map(product => product.sale_event_id).filter(Boolean))]
+  const events = new Map()
+
+  if (eventIds.length > 0) {
+    const { data, error } = await supabase
+      .from('sale_events')
+      .select(ACTIVE_SALE_FIELDS)
+      .in('id', eventIds)
+      .eq('status', 'active')
+
+    if (error) throw error
+
+    data.forEach(event => events.set(event.id, event))
+  }
+
+  return products.map(product => ({
+    ...product,
+    active_sale: events.get(product.sale_event_id) || null
+  }))
+}
@@ -5,8 +5,18 @@ import { analyzeProductWithAI } from './productAnalysis.js'
 import { processOrders } from './orderProcessor.js'
 import { sendMarketingEmails } from './marketingService.js'
 import { generateAnalyticsReport } from './analyticsService.js'
+import { REVISION_CAUSES, recordProductRevision } from './productHistory.js'
+import { mapSourceCategory } from './categories.js'
+import { purgeExpiredTrash } from './productTrash.js'
+import { refreshRecommendations } from './productRecommendations.js'
+import { DUPLICATE_SCORE, checkNewProduct, flagDuplicates, mergeIntoExisting, scanForDuplicates } from './productDuplicates.js'
+import { loadPricingContext, priceProduct } from './pricingEngine.js'
+import { processScheduledSales } from './scheduledSales.js'
+import { releaseExpiredReservations } from './stockReservations.js'
+import { syncSupplierStock } from './supplierSync.js'
 
 let schedulerStarted = false
+let salesRunning = false
 
 export const initializeScheduler = () => {
   if (schedulerStarted) {
@@ -56,6 +66,28 @@ export const initializeScheduler = () => {
     timezone: "Europe/Madrid"
   })
 
+  // Scheduled sales start and end (every minute; logs only when one does)
+  cron.schedule('* * * * *', async () => {
+    await runScheduledSales()
+  }, {
+    timezone: "Europe/Madrid"
+  })
+
+  // Expired checkout reservations give their stock back (every minute)
+  cron.schedule('* * * * *', async () => {
+    await expireStockReservations()
+  }, {
+    timezone: "Europe/Madrid"
+  })
+
+  // Recommendations refresh from order history (daily at 4:00 AM)
+  cron.schedule('0 4 * * *', async () => {
+    console.log('🤝 Refreshing product recommendations...')
+    await refreshProductRecommendations()
+  }, {
+    timezone: "Europe/Madrid"
+  })
+
   // Weekly trending analysis (Sundays at 3:00 AM)
   cron.schedule('0 3 * * 0', async () => {
     console.log('📈 Running weekly trending analysis...')
@@ -79,6 +111,7 @@ export const initializeScheduler = () => {
 const runDailyProductAnalysis = async () => {
   try {
     const supabase = getDatabase()
+    const pricingContext = await loadPricingContext()
     
     // Get categories to analyze
     const categories = ['electronics', 'clothing', 'home', 'sports', 'beauty']
@@ -104,26 +137,68 @@ const runDailyProductAnalysis = async () => {
 
             if (existing) continue // Skip if already exists
 
+            // The same item with a reworded title or from another supplier is
+            // merged into the existing product instead of being added again.
+            // Nobody reviews these merges, so the title alone has to be a
+            // certain match: different models often share a supplier photo.
+            // Image-driven matches are added and flagged for review instead
+            const duplicateCheck = await checkNewProduct(product)
+            const duplicate = duplicateCheck.matches.find(match => match.titleScore >= DUPLICATE_SCORE)
+            if (duplicate) {
+              await mergeIntoExisting(duplicate.product, product, { cause: REVISION_CAUSES.DAILY_JOB })
+              console.log(`🔁 Skipped duplicate of ${duplicate.product.title}: ${product.title}`)
+              continue
+            }
+
             // Analyze with AI
             const analysisResult = await analyzeProductWithAI(product)
 
             // Only add high-scoring products
             if (analysisResult.score >= 60) {
-              await supabase.from('products').insert({
+              const categoryId = await mapSourceCategory({
+                source: product.source,
+                sourceCategory: product.category,
+                fallbackSlug: category
+              })
+
+              // The supplier's price is our cost; the pricing rules decide the
+              // selling price
+              const pricing = priceProduct({
+                cost_price: product.price,
+                category_id: categoryId,
+                supplier: product.supplier
+              }, pricingContext)
+
+              const { data: created, error: insertError } = await supabase.from('products').insert({
                 title: product.title,
                 description: `Producto trending en ${category}`,
-                price: analysisResult.recommended_price || product.price,
+                price: pricing?.price || analysisResult.recommended_price || product.price,
                 original_price: product.original_price,
                 image_url: product.image_url,
                 category: product.category,
+                category_id: categoryId,
                 supplier: product.supplier,
                 sku: generateSKU(product.title, product.supplier),
                 score: analysisResult.score,
                 demand_score: analysisResult.demand,
                 competition_score: analysisResult.competition,
-                margin_percentage: analysisResult.recommended_margin,
+                margin_percentage: pricing?.margin_percentage ?? analysisResult.recommended_margin,
+                cost_price: product.price,
                 stock_quantity: 100, // Default stock for dropshipping
-                is_active: true
+                is_active: true,
+                image_hash: duplicateCheck.image_hash,
+                duplicates_checked_at: new Date().toISOString()
+              }).select().single()
+
+              if (insertError) throw insertError
+
+              await flagDuplicates(created.id, duplicateCheck.matches)
+
+              await recordProductRevision({
+                after: created,
+                action: 'create',
+                cause: REVISION_CAUSES.DAILY_JOB,
+                metadata: { source: product.source, source_url: product.url }
               })
 
               console.log(`✅ Added trending product: ${product.title} (Score: ${analysisResult.score})`)
@@ -204,44 +279,54 @@ const generateDailyAnalyticsReport = async () => {
   }
 }
 
+// Stock and cost come from each supplier's adapter and are recorded in the
+// stock ledger; per-product sync errors are kept on the product
 const syncStockLevels = async () => {
   try {
-    const supabase = getDatabase()
-    
-    // Get all active products
-    const { data: products, error } = await supabase
-      .from('products')
-      .select('*')
-      .eq('is_active', true)
-
-    if (error) throw error
+    const { synced, changed, failed, offers, lowStock } = await syncSupplierStock()
 
-    for (const product of products) {
-      try {
-        // Simulate stock check (in real implementation, check with supplier APIs)
-        const currentStock = Math.max(0, product.stock_quantity + Math.floor(Math.random() * 20) - 10)
-        
-        // Update stock if changed
-        if (currentStock !== product.stock_quantity) {
-          await supabase
-            .from('products')
-            .update({ stock_quantity: currentStock })
-            .eq('id', product.id)
-
-          // Alert if stock is low
-          if (currentStock <= 5) {
-            console.log(`⚠️ Low stock alert: ${product.title} (${currentStock} remaining)`)
-          }
-        }
-      } catch (error) {
-        console.error(`Error syncing stock for ${product.title}:`, error)
-      }
+    for (const product of lowStock) {
+      console.log(`⚠️ Low stock alert: ${product.title} (${product.stock} remaining)`)
     }
+
+    console.log(`✅ Stock synchronized: ${synced} products synced, ${changed} changed, ${failed} failed, ${offers} supplier offers refreshed`)
   } catch (error) {
     console.error('❌ Error syncing stock levels:', error)
   }
 }
 
+const refreshProductRecommendations = async () => {
+  try {
+    const total = await refreshRecommendations()
+    console.log(`✅ Product recommendations refreshed (${total} recommendations)`)
+  } catch (error) {
+    console.error('❌ Error refreshing product recommendations:', error)
+  }
+}
+
+const expireStockReservations = async () => {
+  try {
+    const expired = await releaseExpiredReservations()
+    if (expired > 0) console.log(`🔓 Released ${expired} expired stock reservations`)
+  } catch (error) {
+    console.error('❌ Error releasing expired stock reservations:', error)
+  }
+}
+
+// A large sale can take longer than a minute to apply; runs never overlap
+const runScheduledSales = async () => {
+  if (salesRunning) return
+  salesRunning = true
+
+  try {
+    await processScheduledSales()
+  } catch (error) {
+    console.error('❌ Error processing scheduled sales:', error)
+  } finally {
+    salesRunning = false
+  }
+}
+
 const runWeeklyTrendingAnalysis = async () => {
   try {
     const supabase = getDatabase()
@@ -356,6 +441,18 @@ const runSystemHealthCheck = async () => {
       console.log(`⚠️ Found ${lowScoreProducts.length} products with low scores`)
     }
 
+    // Hash and check products added or changed outside the import paths
+    const { checked, flagged } = await scanForDuplicates()
+    if (flagged > 0) {
+      console.log(`⚠️ Found ${flagged} suspected duplicates among ${checked} checked products`)
+    }
+
+    // Permanently remove products that stayed in the trash past the retention period
+    const { purged, skipped } = await purgeExpiredTrash()
+    if (purged.length > 0 || skipped.length > 0) {
+      console.log(`🗑️ Purged ${purged.length} trashed products (${skipped.length} kept, referenced by orders)`)
+    }
+
     console.log('✅ System health check completed')
   } catch (error) {
     console.error('❌ Error in system health check:', error)
@@ -389,6 +486,21 @@ export const triggerOrderProcessing = async () => {
   await processPendingOrders()
 }
 
+export const triggerRecommendationsRefresh = async () => {
+  console.log('🤝 Manual trigger: Refreshing product recommendations...')
+  await refreshProductRecommendations()
+}
+
+export const triggerStockSync = async () => {
+  console.log('📋 Manual trigger: Synchronizing stock levels...')
+  await syncStockLevels()
+}
+
+export const triggerScheduledSales = async () => {
+  console.log('🏷️ Manual trigger: Processing scheduled sales...')
+  await runScheduledSales()
+}
+
 export const triggerMarketingCampaigns = async () => {
   console.log('📧 Manual trigger: Processing marketing campaigns...')
   await processMarketingCampaigns()
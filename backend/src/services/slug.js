@@ -0,0 +1,11 @@
+// URL-safe slugs with Spanish characters transliterated (á -> a, ñ -> n, ü -> u)
+export const slugify = (text, maxLength = 100) => {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, maxLength)
+    .replace(/-+$/, '')
+}
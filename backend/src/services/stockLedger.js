@@ -0,0 +1,110 @@
+import { getDatabase } from '../config/database.js'
+
+// Why stock changed. reservation covers checkout holds and their release;
+// a committed reservation shows up as the hold coming back plus a sale
+export const STOCK_MOVEMENT_REASONS = ['supplier_sync', 'sale', 'return', 'manual', 'reservation']
+
+// Reasons that can be recorded by hand through the API; the rest are
+// written by the sync, checkout and order processing
+export const MANUAL_MOVEMENT_REASONS = ['manual', 'return']
+
+export const STOCK_MOVEMENT_SCHEMA = {
+  variant_id: { type: 'uuid', nullable: true },
+  quantity_change: { type: 'integer', required: true, min: -100000, max: 100000 },
+  reason: { type: 'string', required: true, enum: MANUAL_MOVEMENT_REASONS },
+  reference_type: { type: 'string', maxLength: 30, nullable: true },
+  reference_id: { type: 'string', maxLength: 255, nullable: true },
+  note: { type: 'string', maxLength: 1000, nullable: true }
+}
+
+// Adds a movement; the stock_movements_apply trigger updates stock_quantity.
+// Returns { movement } or, when it would take stock below zero,
+// { unavailable: { product_id, variant_id, available } }
+export const recordStockMovement = async ({
+  productId,
+  variantId = null,
+  quantityChange,
+  reason,
+  referenceType = null,
+  referenceId = null,
+  note = null,
+  actor = null
+}) => {
+  const supabase = getDatabase()
+
+  const { data: movement, error } = await supabase
+    .from('stock_movements')
+    .insert({
+      product_id: productId,
+      variant_id: variantId,
+      quantity_change: quantityChange,
+      reason,
+      reference_type: referenceType,
+      reference_id: referenceId,
+      note,
+      actor_id: actor?.id || null
+    })
+    .select()
+    .single()
+
+  if (error?.message === 'insufficient_stock') {
+    return { movement: null, unavailable: JSON.parse(error.details) }
+  }
+  if (error) throw error
+
+  return { movement, unavailable: null }
+}
+
+// Brings a product (or variant) to the level reported by a supplier,
+// recording the difference. Returns the recorded change (0 when in sync)
+export const setStockLevel = async ({
+  productId,
+  variantId = null,
+  level,
+  reason = 'supplier_sync',
+  referenceType = null,
+  referenceId = null,
+  note = null
+}) => {
+  const supabase = getDatabase()
+
+  const { data: difference, error } = await supabase.rpc('set_stock_level', {
+    target_product: productId,
+    target_variant: variantId,
+    stock_level: level,
+    movement_reason: reason,
+    movement_reference_type: referenceType,
+    movement_reference_id: referenceId,
+    movement_note: note
+  })
+
+  if (error) throw error
+
+  return difference
+}
+
+// Newest first. variantId narrows the history to one variant
+export const getStockMovements = async (productId, { variantId, reason, limit = 50, offset = 0 } = {}) => {
+  const supabase = getDatabase()
+
+  let query = supabase
+    .from('stock_movements')
+    .select('*, variant:product_variants (id, sku, title)', { count: 'exact' })
+    .eq('product_id', productId)
+
+  if (variantId) {
+    query = query.eq('variant_id', variantId)
+  }
+
+  if (reason) {
+    query = query.eq('reason', reason)
+  }
+
+  const { data: movements, error, count } = await query
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1)
+
+  if (error) throw error
+
+  return { movements, total: count || 0 }
+}
@@ -0,0 +1,198 @@
+import { getDatabase } from '../config/database.js'
+import { getBundleComponents } from './productBundles.js'
+
+const DEFAULT_RESERVATION_TTL_MINUTES = 15
+const DEFAULT_MAX_UNITS_PER_USER = 100
+
+export const RESERVATION_SCHEMA = {
+  items: {
+    type: 'array',
+    required: true,
+    minLength: 1,
+    maxLength: 50,
+    items: {
+      type: 'object',
+      schema: {
+        product_id: { type: 'uuid', required: true },
+        variant_id: { type: 'uuid', nullable: true },
+        quantity: { type: 'integer', required: true, min: 1, max: 100 }
+      }
+    }
+  }
+}
+
+const RESERVATION_SELECT = '*, stock_reservation_items (product_id, variant_id, quantity)'
+
+export const getReservationTTLMinutes = () => {
+  const minutes = parseInt(process.env.RESERVATION_TTL_MINUTES)
+  return Number.isNaN(minutes) || minutes < 1 ? DEFAULT_RESERVATION_TTL_MINUTES : minutes
+}
+
+// Units one customer may hold across their active checkout reservations
+export const getMaxUnitsPerUser = () => {
+  const units = parseInt(process.env.RESERVATION_MAX_UNITS_PER_USER)
+  return Number.isNaN(units) || units < 1 ? DEFAULT_MAX_UNITS_PER_USER : units
+}
+
+export const getReservation = async (reservationId) => {
+  const supabase = getDatabase()
+
+  const { data: reservation, error } = await supabase
+    .from('stock_reservations')
+    .select(RESERVATION_SELECT)
+    .eq('id', reservationId)
+    .maybeSingle()
+
+  if (error) throw error
+
+  return reservation
+}
+
+// Takes the items ([{ product_id, variant_id, quantity }]) out of stock until
+// the reservation is committed, released or expires. All or nothing: returns
+// { reservation } or, when a line cannot be covered,
+// { unavailable: { product_id, variant_id, available } }. With userId and
+// maxUserUnits, { limit } when the customer would hold more units than that
+export const reserveStock = async (items, { orderId = null, userId = null, maxUserUnits = null } = {}) => {
+  const supabase = getDatabase()
+
+  const { data: reservationId, error } = await supabase.rpc('reserve_stock', {
+    reservation_items: items.map(item => ({
+      product_id: item.product_id,
+      variant_id: item.variant_id || null,
+      quantity: item.quantity
+    })),
+    ttl_minutes: getReservationTTLMinutes(),
+    reservation_order: orderId,
+    reservation_user: userId,
+    max_user_units: maxUserUnits
+  })
+
+  if (error?.message === 'insufficient_stock') {
+    return { reservation: null, unavailable: JSON.parse(error.details) }
+  }
+  if (error?.message === 'reservation_limit') {
+    return { reservation: null, limit: JSON.parse(error.details).limit }
+  }
+  if (error) throw error
+
+  return { reservation: await getReservation(reservationId), unavailable: null }
+}
+
+// Records the reserved units as sold. Returns false when the reservation is
+// no longer active (released, expired or already committed)
+export const commitReservation = async (reservationId) => {
+  const supabase = getDatabase()
+
+  const { data: committed, error } = await supabase.rpc('commit_stock_reservation', { target: reservationId })
+
+  if (error) throw error
+
+  return committed
+}
+
+// Gives the units back to stock. status is 'released' for failed or
+// abandoned checkouts and 'expired' for the timeout cleanup. Returns false
+// when the reservation was no longer active
+export const releaseReservation = async (reservationId, status = 'released') => {
+  const supabase = getDatabase()
+
+  const { data: released, error } = await supabase.rpc('release_stock_reservation', {
+    target: reservationId,
+    new_status: status
+  })
+
+  if (error) throw error
+
+  return released
+}
+
+// Returns the stock of checkouts that timed out
+export const releaseExpiredReservations = async () => {
+  const supabase = getDatabase()
+
+  const { data: expired, error } = await supabase
+    .from('stock_reservations')
+    .select('id')
+    .eq('status', 'active')
+    .lt('expires_at', new Date().toISOString())
+
+  if (error) throw error
+
+  let released = 0
+  for (const { id } of expired) {
+    if (await releaseReservation(id, 'expired')) released++
+  }
+
+  return released
+}
+
+// Units per product/variant key, with bundles expanded into their components
+// the same way reserve_stock stores them
+const heldUnits = (lines) => {
+  const units = new Map()
+  for (const line of lines) {
+    const key = `${line.product_id}:${line.variant_id || ''}`
+    units.set(key, (units.get(key) || 0) + line.quantity)
+  }
+  return units
+}
+
+const expandOrderLines = async (items) => {
+  const bundles = await getBundleComponents(items.map(item => item.product_id))
+
+  return items.flatMap(item => (bundles.get(item.product_id) || [null]).map(component => component
+    ? { product_id: component.component_id, variant_id: component.component_variant_id, quantity: item.quantity * component.quantity }
+    : item))
+}
+
+const coversOrder = async (reservation, order) => {
+  const reserved = heldUnits(reservation.stock_reservation_items)
+  const ordered = heldUnits(await expandOrderLines(order.order_items))
+
+  return reserved.size === ordered.size &&
+    [...ordered].every(([key, quantity]) => reserved.get(key) === quantity)
+}
+
+// Reservation an order's payment runs under: the one made at checkout when it
+// holds exactly the order's lines, extended so it cannot expire mid-payment,
+// or a new one reserved from the order lines. A checkout hold that does not
+// match the order is released. Throws when stock ran out
+export const reserveOrderStock = async (order) => {
+  const supabase = getDatabase()
+  const expiresAt = new Date(Date.now() + getReservationTTLMinutes() * 60 * 1000).toISOString()
+  const checkout = order.reservation_id ? await getReservation(order.reservation_id) : null
+
+  if (checkout?.status === 'active') {
+    if (await coversOrder(checkout, order)) {
+      const { data: extended, error } = await supabase
+        .from('stock_reservations')
+        .update({ expires_at: expiresAt, order_id: order.id })
+        .eq('id', checkout.id)
+        .eq('status', 'active')
+        .select('id')
+        .maybeSingle()
+
+      if (error) throw error
+      if (extended) return extended.id
+    } else {
+      console.warn(`Reservation ${checkout.id} does not match order ${order.order_number}, reserving its lines again`)
+      await releaseReservation(checkout.id)
+    }
+  }
+
+  const { reservation, unavailable } = await reserveStock(order.order_items, { orderId: order.id })
+
+  if (!reservation) {
+    throw new Error(`Insufficient stock for product ${unavailable.product_id}`)
+  }
+
+  const { error } = await supabase
+    .from('orders')
+    .update({ reservation_id: reservation.id })
+    .eq('id', order.id)
+
+  if (error) throw error
+
+  return reservation.id
+}
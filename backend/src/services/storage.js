@@ -0,0 +1,73 @@
+import fs from 'fs/promises'
+import path from 'path'
+import { getDatabase } from '../config/database.js'
+
+// Storage backends share one interface:
+//   put(key, buffer, contentType) -> public URL
+//   remove(keys)
+// STORAGE_DRIVER selects the backend ('local' by default, or 'supabase')
+
+export const LOCAL_UPLOADS_DIR = path.resolve(process.env.UPLOADS_DIR || 'uploads')
+
+const createLocalStorage = () => {
+  const baseUrl = (process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '')
+
+  return {
+    put: async (key, buffer) => {
+      const filePath = path.join(LOCAL_UPLOADS_DIR, key)
+      await fs.mkdir(path.dirname(filePath), { recursive: true })
+      await fs.writeFile(filePath, buffer)
+      return `${baseUrl}/uploads/${key}`
+    },
+
+    remove: async (keys) => {
+      await Promise.all(
+        keys.map(key => fs.rm(path.join(LOCAL_UPLOADS_DIR, key), { force: true }))
+      )
+    }
+  }
+}
+
+const createSupabaseStorage = () => {
+  const bucket = process.env.STORAGE_BUCKET || 'product-images'
+
+  return {
+    put: async (key, buffer, contentType) => {
+      const storage = getDatabase().storage.from(bucket)
+      const { error } = await storage.upload(key, buffer, { contentType, upsert: true })
+
+      if (error) throw error
+
+      return storage.getPublicUrl(key).data.publicUrl
+    },
+
+    remove: async (keys) => {
+      if (keys.length === 0) return
+
+      const { error } = await getDatabase().storage.from(bucket).remove(keys)
+
+      if (error) throw error
+    }
+  }
+}
+
+const drivers = {
+  local: createLocalStorage,
+  supabase: createSupabaseStorage
+}
+
+let storage = null
+
+export const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'local'
+
+    if (!drivers[driver]) {
+      throw new Error(`Unknown storage driver: ${driver}`)
+    }
+
+    storage = drivers[driver]()
+  }
+
+  return storage
+}
@@ -0,0 +1,141 @@
+import axios from 'axios'
+
+// Supplier adapters share one interface:
+//   batchSize                 max SKUs per request
+//   fetchStock(skus) -> [{ sku, stock, cost }]
+//   placeOrder({ sku, quantity, shippingAddress }) -> { id } (optional; throws
+//                             when the supplier rejects the order)
+// SKUs the supplier does not know are left out of the result. Each adapter is
+// enabled by its API URL (SUPPLIER_<NAME>_API_URL, with an optional
+// SUPPLIER_<NAME>_API_KEY); SUPPLIER_ADAPTER=mock sends every supplier to the
+// local mock supplier (SUPPLIER_MOCK_API_URL) instead
+
+const REQUEST_TIMEOUT_MS = 15000
+
+const envConfig = (name) => ({
+  baseUrl: process.env[`SUPPLIER_${name}_API_URL`]?.replace(/\/$/, ''),
+  apiKey: process.env[`SUPPLIER_${name}_API_KEY`]
+})
+
+const toNumber = (value) => {
+  const number = parseFloat(value)
+  return Number.isNaN(number) ? null : number
+}
+
+const createAmazonAdapter = ({ baseUrl, apiKey }) => ({
+  batchSize: 50,
+  fetchStock: async (skus) => {
+    const { data } = await axios.post(`${baseUrl}/inventory/summaries`, { sellerSkus: skus }, {
+      headers: { 'x-api-key': apiKey },
+      timeout: REQUEST_TIMEOUT_MS
+    })
+
+    return (data.inventorySummaries || []).map(item => ({
+      sku: item.sellerSku,
+      stock: parseInt(item.fulfillableQuantity) || 0,
+      cost: toNumber(item.unitCost?.amount)
+    }))
+  }
+})
+
+const createAliExpressAdapter = ({ baseUrl, apiKey }) => ({
+  batchSize: 20,
+  fetchStock: async (skus) => {
+    const { data } = await axios.get(`${baseUrl}/products/stock`, {
+      params: { sku_codes: skus.join(','), app_key: apiKey },
+      timeout: REQUEST_TIMEOUT_MS
+    })
+
+    return (data.result?.products || []).map(item => ({
+      sku: item.sku_code,
+      stock: parseInt(item.sku_available_stock) || 0,
+      cost: toNumber(item.offer_sale_price)
+    }))
+  }
+})
+
+const createMercadoLibreAdapter = ({ baseUrl, apiKey }) => ({
+  batchSize: 20,
+  fetchStock: async (skus) => {
+    const { data } = await axios.get(`${baseUrl}/items`, {
+      params: { seller_sku: skus.join(',') },
+      headers: { Authorization: `Bearer ${apiKey}` },
+      timeout: REQUEST_TIMEOUT_MS
+    })
+
+    return (data.results || []).map(item => ({
+      sku: item.seller_sku,
+      stock: parseInt(item.available_quantity) || 0,
+      cost: toNumber(item.price)
+    }))
+  }
+})
+
+const createEbayAdapter = ({ baseUrl, apiKey }) => ({
+  batchSize: 25,
+  fetchStock: async (skus) => {
+    const { data } = await axios.get(`${baseUrl}/sell/inventory/v1/bulk_get_inventory_item`, {
+      params: { sku: skus.join(',') },
+      headers: { Authorization: `Bearer ${apiKey}` },
+      timeout: REQUEST_TIMEOUT_MS
+    })
+
+    return (data.responses || [])
+      .filter(item => item.statusCode === 200)
+      .map(item => ({
+        sku: item.sku,
+        stock: parseInt(item.inventoryItem?.availability?.shipToLocationAvailability?.quantity) || 0,
+        cost: toNumber(item.inventoryItem?.unitCost?.value)
+      }))
+  }
+})
+
+// Speaks the generic protocol served by routes/mockSupplier.js
+const createMockAdapter = ({ baseUrl }) => ({
+  batchSize: 100,
+  fetchStock: async (skus) => {
+    const { data } = await axios.post(`${baseUrl}/stock`, { skus }, { timeout: REQUEST_TIMEOUT_MS })
+
+    return data.items.map(item => ({
+      sku: item.sku,
+      stock: parseInt(item.stock) || 0,
+      cost: toNumber(item.cost)
+    }))
+  },
+  placeOrder: async ({ sku, quantity, shippingAddress }) => {
+    const { data } = await axios.post(`${baseUrl}/orders`, { sku, quantity, shipping_address: shippingAddress }, {
+      timeout: REQUEST_TIMEOUT_MS
+    })
+
+    return { id: data.order.id }
+  }
+})
+
+const mockConfig = () => ({
+  baseUrl: (process.env.SUPPLIER_MOCK_API_URL || `http://localhost:${process.env.PORT || 5000}/mock-supplier`).replace(/\/$/, '')
+})
+
+// Keyed by the lowercased products.supplier value
+const adapters = {
+  amazon: () => createAmazonAdapter(envConfig('AMAZON')),
+  aliexpress: () => createAliExpressAdapter(envConfig('ALIEXPRESS')),
+  mercadolibre: () => createMercadoLibreAdapter(envConfig('MERCADOLIBRE')),
+  ebay: () => createEbayAdapter(envConfig('EBAY')),
+  mock: () => createMockAdapter(mockConfig())
+}
+
+const cache = new Map()
+
+// Adapter for a supplier, or null when there is none or it is not configured
+export const getSupplierAdapter = (supplier) => {
+  const key = process.env.SUPPLIER_ADAPTER === 'mock' ? 'mock' : String(supplier || '').toLowerCase()
+
+  if (!adapters[key]) return null
+  if (key !== 'mock' && !envConfig(key.toUpperCase()).baseUrl) return null
+
+  if (!cache.has(key)) {
+    cache.set(key, adapters[key]())
+  }
+
+  return cache.get(key)
+}
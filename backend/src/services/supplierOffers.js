@@ -0,0 +1,59 @@
+import { getDatabase } from '../config/database.js'
+
+export const SUPPLIER_OFFER_SCHEMA = {
+  supplier: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+  supplier_sku: { type: 'string', maxLength: 100, nullable: true },
+  variant_id: { type: 'uuid', nullable: true },
+  cost: { type: 'number', required: true, min: 0 },
+  lead_time_days: { type: 'integer', min: 0, max: 365, nullable: true },
+  // null means the supplier does not report stock
+  stock_quantity: { type: 'integer', min: 0, nullable: true },
+  is_active: { type: 'boolean' }
+}
+
+export const getProductOffers = async (productId) => {
+  const supabase = getDatabase()
+
+  const { data: offers, error } = await supabase
+    .from('product_supplier_offers')
+    .select('*')
+    .eq('product_id', productId)
+    .order('cost', { ascending: true })
+
+  if (error) throw error
+
+  return offers
+}
+
+const leadTime = (offer) => offer.lead_time_days ?? Infinity
+
+const supplierScore = (scorecards, offer) => scorecards.get(offer.supplier.toLowerCase())?.score ?? -1
+
+// Offers that can fulfil quantity units of the product (or variant), best
+// first: cheapest, then fastest, then the supplier with the better scorecard
+// (getSupplierScorecards). Offers known to be out of stock are left out
+export const rankOffers = (offers, { variantId = null, quantity = 1, scorecards = new Map() } = {}) => offers
+  .filter(offer => offer.is_active !== false)
+  .filter(offer => !offer.variant_id || offer.variant_id === variantId)
+  .filter(offer => offer.stock_quantity === null || offer.stock_quantity >= quantity)
+  .sort((a, b) =>
+    parseFloat(a.cost) - parseFloat(b.cost) ||
+    leadTime(a) - leadTime(b) ||
+    supplierScore(scorecards, b) - supplierScore(scorecards, a) ||
+    // A variant's own offer beats a product-wide one
+    !a.variant_id - !b.variant_id
+  )
+
+// Keeps the offer's stock in step with what was just ordered from it
+export const consumeOfferStock = async (offer, quantity) => {
+  if (offer.stock_quantity === null) return
+
+  const supabase = getDatabase()
+
+  const { error } = await supabase
+    .from('product_supplier_offers')
+    .update({ stock_quantity: Math.max(offer.stock_quantity - quantity, 0), updated_at: new Date().toISOString() })
+    .eq('id', offer.id)
+
+  if (error) throw error
+}
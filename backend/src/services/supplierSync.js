@@ -0,0 +1,207 @@
+import { getDatabase } from '../config/database.js'
+import { iterateProducts } from './catalogExport.js'
+import { REVISION_CAUSES, recordProductRevision } from './productHistory.js'
+import { setStockLevel } from './stockLedger.js'
+import { getSupplierAdapter } from './supplierAdapters.js'
+
+export const LOW_STOCK_THRESHOLD = 5
+
+const markSynced = async (productId, error = null) => {
+  const supabase = getDatabase()
+
+  const { error: updateError } = await supabase
+    .from('products')
+    .update({ stock_synced_at: new Date().toISOString(), stock_sync_error: error })
+    .eq('id', productId)
+
+  if (updateError) throw updateError
+}
+
+// Applies one supplier answer: stock through the ledger, cost onto cost_price
+const applySupplierItem = async (product, item, summary) => {
+  const difference = await setStockLevel({
+    productId: product.id,
+    level: item.stock,
+    reason: 'supplier_sync',
+    referenceType: 'supplier',
+    referenceId: product.supplier
+  })
+
+  if (difference !== 0) summary.changed++
+  if (item.stock <= LOW_STOCK_THRESHOLD) {
+    summary.lowStock.push({ id: product.id, title: product.title, stock: item.stock })
+  }
+
+  if (item.cost !== null && item.cost !== parseFloat(product.cost_price)) {
+    const supabase = getDatabase()
+    const { data: updated, error } = await supabase
+      .from('products')
+      .update({ cost_price: item.cost, updated_at: new Date().toISOString() })
+      .eq('id', product.id)
+      .select()
+      .single()
+
+    if (error) throw error
+
+    await recordProductRevision({
+      before: product,
+      after: updated,
+      action: 'update',
+      cause: REVISION_CAUSES.SUPPLIER_SYNC
+    })
+  }
+}
+
+const syncBatch = async (adapter, products, summary) => {
+  let items
+
+  try {
+    items = await adapter.fetchStock(products.map(product => product.sku))
+  } catch (error) {
+    const message = `Supplier request failed: ${error.message}`
+    for (const product of products) {
+      await markSynced(product.id, message)
+    }
+    summary.failed += products.length
+    return
+  }
+
+  const bySku = new Map(items.map(item => [item.sku, item]))
+
+  for (const product of products) {
+    const item = bySku.get(product.sku)
+
+    try {
+      if (!item) {
+        await markSynced(product.id, 'SKU not found at supplier')
+        summary.failed++
+        continue
+      }
+
+      await applySupplierItem(product, item, summary)
+      await markSynced(product.id)
+      summary.synced++
+    } catch (error) {
+      console.error(`Error syncing stock for ${product.title}:`, error)
+      await markSynced(product.id, error.message).catch(() => {})
+      summary.failed++
+    }
+  }
+}
+
+// Refreshes stock and cost of the supplier offers used to pick who fulfils an
+// order, one adapter batch at a time. Offers of suppliers without an adapter
+// keep the values entered by hand
+const syncOfferStock = async (summary) => {
+  const supabase = getDatabase()
+  let lastId = null
+
+  while (true) {
+    let query = supabase
+      .from('product_supplier_offers')
+      .select('id, supplier, supplier_sku')
+      .eq('is_active', true)
+      .not('supplier_sku', 'is', null)
+
+    if (lastId) {
+      query = query.gt('id', lastId)
+    }
+
+    const { data: offers, error } = await query
+      .order('id', { ascending: true })
+      .limit(500)
+
+    if (error) throw error
+
+    const bySupplier = new Map()
+    for (const offer of offers) {
+      const supplier = offer.supplier.toLowerCase()
+      if (!bySupplier.has(supplier)) bySupplier.set(supplier, [])
+      bySupplier.get(supplier).push(offer)
+    }
+
+    for (const [supplier, supplierOffers] of bySupplier) {
+      const adapter = getSupplierAdapter(supplier)
+      if (!adapter) continue
+
+      for (let i = 0; i < supplierOffers.length; i += adapter.batchSize) {
+        const batch = supplierOffers.slice(i, i + adapter.batchSize)
+
+        try {
+          const items = new Map((await adapter.fetchStock(batch.map(offer => offer.supplier_sku))).map(item => [item.sku, item]))
+
+          for (const offer of batch) {
+            const item = items.get(offer.supplier_sku)
+
+            const { error: updateError } = await supabase
+              .from('product_supplier_offers')
+              .update({
+                // An offer the supplier no longer lists cannot be ordered from
+                stock_quantity: item ? item.stock : 0,
+                ...(item && item.cost !== null && { cost: item.cost }),
+                stock_synced_at: new Date().toISOString()
+              })
+              .eq('id', offer.id)
+
+            if (updateError) throw updateError
+            summary.offers++
+          }
+        } catch (error) {
+          console.error(`Error syncing ${supplier} offers:`, error)
+        }
+      }
+    }
+
+    if (offers.length < 500) return
+    lastId = offers[offers.length - 1].id
+  }
+}
+
+// Walks the active catalog in pages and asks each supplier for the stock and
+// cost of its SKUs, grouped into the adapter's batch size. Products with
+// variants and bundles are skipped (bundle stock follows its components).
+// Every checked product gets stock_synced_at, with stock_sync_error set when
+// it could not be synced. Supplier offers are refreshed afterwards
+export const syncSupplierStock = async ({ pageSize = 500 } = {}) => {
+  const summary = { synced: 0, changed: 0, failed: 0, offers: 0, lowStock: [] }
+  const pending = new Map()
+
+  const flush = async (supplier) => {
+    const { adapter, products } = pending.get(supplier)
+    pending.delete(supplier)
+    await syncBatch(adapter, products, summary)
+  }
+
+  for await (const product of iterateProducts({}, { select: '*', batchSize: pageSize })) {
+    if (product.has_variants || product.product_type === 'bundle') continue
+
+    const adapter = getSupplierAdapter(product.supplier)
+
+    if (!adapter || !product.sku) {
+      await markSynced(product.id, adapter ? 'Product has no SKU' : `No stock adapter for supplier ${product.supplier || 'unknown'}`)
+      summary.failed++
+      continue
+    }
+
+    const supplier = String(product.supplier).toLowerCase()
+
+    if (!pending.has(supplier)) {
+      pending.set(supplier, { adapter, products: [] })
+    }
+
+    const batch = pending.get(supplier)
+    batch.products.push(product)
+
+    if (batch.products.length >= adapter.batchSize) {
+      await flush(supplier)
+    }
+  }
+
+  for (const supplier of [...pending.keys()]) {
+    await flush(supplier)
+  }
+
+  await syncOfferStock(summary)
+
+  return summary
+}
@@ -0,0 +1,89 @@
+import { getDatabase } from '../config/database.js'
+
+// Used when neither the offer nor the supplier registry has a lead time
+export const DEFAULT_LEAD_TIME_DAYS = 5
+export const DEFAULT_SCORECARD_DAYS = 90
+
+export const SUPPLIER_SCHEMA = {
+  name: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+  contact_name: { type: 'string', maxLength: 255, nullable: true },
+  contact_email: { type: 'string', maxLength: 255, nullable: true },
+  contact_phone: { type: 'string', maxLength: 50, nullable: true },
+  website: { type: 'url', nullable: true },
+  credentials_ref: { type: 'string', maxLength: 255, nullable: true },
+  default_lead_time_days: { type: 'integer', min: 0, max: 365, nullable: true },
+  // ISO 3166-1 alpha-2 codes
+  shipping_countries: { type: 'array', maxLength: 250, items: { type: 'string', minLength: 2, maxLength: 2 } },
+  notes: { type: 'string', maxLength: 2000, nullable: true },
+  is_active: { type: 'boolean' }
+}
+
+export const normalizeSupplier = (value) => ({
+  ...value,
+  ...(value.shipping_countries && {
+    shipping_countries: [...new Set(value.shipping_countries.map(code => code.toUpperCase()))]
+  })
+})
+
+export const findSupplierByName = async (name) => {
+  if (!name) return null
+
+  const supabase = getDatabase()
+
+  const { data: supplier, error } = await supabase
+    .from('suppliers')
+    .select('*')
+    .ilike('name', name.replace(/[\\%_]/g, '\\$&'))
+    .maybeSingle()
+
+  if (error) throw error
+
+  return supplier
+}
+
+// Scorecards keyed by lowercased supplier name
+export const getSupplierScorecards = async (lookbackDays = DEFAULT_SCORECARD_DAYS) => {
+  const supabase = getDatabase()
+
+  const { data: rows, error } = await supabase.rpc('supplier_scorecards', { lookback_days: lookbackDays })
+
+  if (error) throw error
+
+  return new Map(rows.map(({ supplier, ...scorecard }) => [supplier, {
+    ...scorecard,
+    score: scorecard.score === null ? null : parseFloat(scorecard.score)
+  }]))
+}
+
+// Registered suppliers with their scorecard, best score first. Suppliers
+// without order history in the window have no score and go last
+export const getRankedSuppliers = async ({ lookbackDays = DEFAULT_SCORECARD_DAYS, includeInactive = false } = {}) => {
+  const supabase = getDatabase()
+
+  let query = supabase
+    .from('suppliers')
+    .select('*')
+    .order('name', { ascending: true })
+
+  if (!includeInactive) {
+    query = query.eq('is_active', true)
+  }
+
+  const [{ data: suppliers, error }, scorecards] = await Promise.all([query, getSupplierScorecards(lookbackDays)])
+
+  if (error) throw error
+
+  return suppliers
+    .map(supplier => ({ ...supplier, scorecard: scorecards.get(supplier.name.toLowerCase()) || null }))
+    .sort((a, b) => (b.scorecard?.score ?? -1) - (a.scorecard?.score ?? -1))
+}
+
+// Delivery estimate for a supplier order: the offer's lead time, else the
+// supplier's default, else DEFAULT_LEAD_TIME_DAYS
+export const estimateDeliveryDate = async (supplierName, leadTimeDays = null, from = new Date()) => {
+  const days = leadTimeDays ?? (await findSupplierByName(supplierName))?.default_lead_time_days ?? DEFAULT_LEAD_TIME_DAYS
+  const deliveryDate = new Date(from)
+  deliveryDate.setDate(deliveryDate.getDate() + days)
+
+  return deliveryDate.toISOString()
+}
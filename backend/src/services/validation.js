@@ -0,0 +1,166 @@
+// Small schema validator used by the request validation middleware.
+// A schema maps field names to rules:
+//   { type, required, nullable, min, max, minLength, maxLength, enum, items, schema }
+// type is one of string, number, integer, boolean, uuid, url, date, object, array.
+// Values are coerced to their type (query strings and form fields arrive as text)
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+export const isUUID = (value) => typeof value === 'string' && UUID_PATTERN.test(value)
+
+const coerce = (value, rule) => {
+  switch (rule.type) {
+    case 'string':
+      return typeof value === 'string' || typeof value === 'number'
+        ? { value: String(value).trim() }
+        : { error: 'Debe ser texto' }
+
+    case 'number':
+    case 'integer': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value
+      if (typeof number !== 'number' || Number.isNaN(number)) {
+        return { error: 'Debe ser un número' }
+      }
+      if (rule.type === 'integer' && !Number.isInteger(number)) {
+        return { error: 'Debe ser un número entero' }
+      }
+      return { value: number }
+    }
+
+    case 'boolean':
+      if (typeof value === 'boolean') return { value }
+      if (value === 'true' || value === '1') return { value: true }
+      if (value === 'false' || value === '0') return { value: false }
+      return { error: 'Debe ser true o false' }
+
+    case 'uuid':
+      return isUUID(value) ? { value } : { error: 'Debe ser un UUID válido' }
+
+    case 'url':
+      try {
+        const url = new URL(String(value).trim())
+        return ['http:', 'https:'].includes(url.protocol)
+          ? { value: url.toString() }
+          : { error: 'Debe ser una URL http(s)' }
+      } catch (error) {
+        return { error: 'Debe ser una URL válida' }
+      }
+
+    case 'date': {
+      const date = new Date(value)
+      return Number.isNaN(date.getTime())
+        ? { error: 'Debe ser una fecha ISO 8601 válida' }
+        : { value: date.toISOString() }
+    }
+
+    case 'object':
+      return value && typeof value === 'object' && !Array.isArray(value)
+        ? { value }
+        : { error: 'Debe ser un objeto' }
+
+    case 'array':
+      return Array.isArray(value) ? { value } : { error: 'Debe ser una lista' }
+
+    default:
+      return { value }
+  }
+}
+
+const checkConstraints = (value, rule) => {
+  const size = typeof value === 'string' || Array.isArray(value) ? value.length : null
+
+  if (rule.enum && !rule.enum.includes(value)) return `Debe ser uno de: ${rule.enum.join(', ')}`
+  if (rule.min !== undefined && typeof value === 'number' && value < rule.min) return `Debe ser mayor o igual que ${rule.min}`
+  if (rule.max !== undefined && typeof value === 'number' && value > rule.max) return `Debe ser menor o igual que ${rule.max}`
+  if (rule.minLength !== undefined && size !== null && size < rule.minLength) {
+    return rule.minLength === 1 ? 'No puede estar vacío' : `Debe tener al menos ${rule.minLength} elementos`
+  }
+  if (rule.maxLength !== undefined && size !== null && size > rule.maxLength) return `Debe tener como máximo ${rule.maxLength} caracteres o elementos`
+
+  return null
+}
+
+// Validates input against schema. With partial: true (updates) required rules
+// are skipped. allowedFields restricts which schema fields may be written;
+// anything outside it, or outside the schema, is reported as not allowed
+export const validate = (schema, input, { partial = false, allowedFields = null, path = '' } = {}) => {
+  const value = {}
+  const errors = []
+  const data = input && typeof input === 'object' ? input : {}
+  const fieldName = (field) => (path ? `${path}.${field}` : field)
+
+  for (const field of Object.keys(data)) {
+    if (!schema[field] || (allowedFields && !allowedFields.includes(field))) {
+      errors.push({ field: fieldName(field), message: 'Campo no permitido' })
+    }
+  }
+
+  for (const [field, rule] of Object.entries(schema)) {
+    if (allowedFields && !allowedFields.includes(field)) continue
+
+    const raw = data[field]
+    const missing = raw === undefined || raw === null || raw === ''
+
+    if (missing) {
+      if (rule.required && !partial) {
+        errors.push({ field: fieldName(field), message: 'Es obligatorio' })
+      } else if (raw !== undefined && rule.nullable) {
+        value[field] = null
+      } else if (raw !== undefined) {
+        errors.push({ field: fieldName(field), message: 'No puede estar vacío' })
+      }
+      continue
+    }
+
+    const { value: coerced, error } = coerce(raw, rule)
+    if (error) {
+      errors.push({ field: fieldName(field), message: error })
+      continue
+    }
+
+    const constraintError = checkConstraints(coerced, rule)
+    if (constraintError) {
+      errors.push({ field: fieldName(field), message: constraintError })
+      continue
+    }
+
+    // Nested objects and arrays of objects are validated recursively
+    if (rule.type === 'object' && rule.schema) {
+      const nested = validate(rule.schema, coerced, { path: fieldName(field) })
+      errors.push(...nested.errors)
+      value[field] = nested.value
+    } else if (rule.type === 'array' && rule.items) {
+      value[field] = coerced.map((item, index) => {
+        const itemPath = `${fieldName(field)}[${index}]`
+        const { value: itemValue, error: itemError } = coerce(item, rule.items)
+
+        if (itemError) {
+          errors.push({ field: itemPath, message: itemError })
+          return itemValue
+        }
+
+        if (rule.items.schema) {
+          const nested = validate(rule.items.schema, itemValue, { path: itemPath })
+          errors.push(...nested.errors)
+          return nested.value
+        }
+
+        return itemValue
+      })
+    } else {
+      value[field] = coerced
+    }
+  }
+
+  return { value, errors }
+}
+
+export const validationErrorResponse = (res, errors, message = 'Datos no válidos') => {
+  return res.status(400).json({
+    success: false,
+    error: {
+      message,
+      details: errors
+    }
+  })
+}